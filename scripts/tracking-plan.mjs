@@ -0,0 +1,24 @@
+/**
+ * Print the analytics tracking plan generated from src/analytics/events.js
+ *
+ * Usage:
+ *   npm run tracking-plan                                   # JSON
+ *   npm run tracking-plan -- --format=markdown > TRACKING_PLAN.md
+ */
+
+import { EVENT_REGISTRY, COMMON_PROPERTIES } from '../src/analytics/events.js';
+import { buildTrackingPlan, trackingPlanToMarkdown } from '../src/analytics/trackingPlan.js';
+
+const formatArg = process.argv.find((arg) => arg.startsWith('--format='));
+const format = formatArg ? formatArg.split('=')[1] : 'json';
+
+const plan = buildTrackingPlan(EVENT_REGISTRY, COMMON_PROPERTIES);
+
+if (format === 'markdown' || format === 'md') {
+  process.stdout.write(trackingPlanToMarkdown(plan));
+} else if (format === 'json') {
+  process.stdout.write(`${JSON.stringify(plan, null, 2)}\n`);
+} else {
+  console.error(`Unknown format "${format}" - use json or markdown`);
+  process.exit(1);
+}
@@ -1,10 +1,13 @@
-import React, { useEffect } from 'react';
-import { Routes, Route, useLocation } from 'react-router-dom';
+import React, { useEffect, useRef } from 'react';
+import { useLocation } from 'react-router-dom';
 import { useTheme, useAnalytics } from './contexts';
 import Sidebar from './components/Sidebar';
-import HomePage from './pages/HomePage';
-import AboutPage from './pages/AboutPage';
-import NotFound from './pages/NotFound';
+import AppRoutes from './components/AppRoutes';
+import ConsentBanner from './components/ConsentBanner';
+import CommandPalette from './components/CommandPalette';
+import ErrorBoundary from './components/ErrorBoundary';
+import { useRouteMeta } from './hooks/useRouteMeta';
+import { APP_NAME, APP_LOGO } from './routes';
 
 /**
  * App Component
@@ -16,41 +19,51 @@ import NotFound from './pages/NotFound';
  *   1. Sidebar Layout (default) - Sidebar with nav + theme toggle
  *   2. Header Layout - Use <Header /> instead of <Sidebar />
  *   3. Combined - Use both with sidebar-with-header class
+ *
+ * Pages, navigation and page titles come from the route manifest (src/routes.js).
  */
 function App() {
-  const { theme } = useTheme();
-  const { trackPageView } = useAnalytics();
+  const { resolvedTheme } = useTheme();
+  const { trackPageView, trackRouteRender } = useAnalytics();
   const location = useLocation();
+  const { title } = useRouteMeta();
+
+  // When the first render for the current location started, for route render timings
+  const routeRenderRef = useRef({ key: null, start: 0 });
+  if (routeRenderRef.current.key !== location.key) {
+    routeRenderRef.current = { key: location.key, start: performance.now() };
+  }
 
-  // Track page views on route change
+  // Track page views (and render timings) on route change
   useEffect(() => {
     trackPageView(location.pathname, {
       search: location.search,
     });
-  }, [location, trackPageView]);
+    return trackRouteRender(location.pathname, routeRenderRef.current.start);
+  }, [location, trackPageView, trackRouteRender]);
 
-  // Define navigation items for the sidebar
-  const navItems = [
-    { path: '/', label: 'Home', icon: '🏠' },
-    { path: '/about', label: 'About', icon: 'ℹ️' },
-    // Add more navigation items as needed
-  ];
+  // Page title from the route manifest
+  useEffect(() => {
+    document.title = title ? `${title} | ${APP_NAME}` : APP_NAME;
+  }, [title]);
 
   return (
-    <div className="app" data-theme={theme}>
+    <div className="app" data-theme={resolvedTheme}>
+      {/* Navigation items default to the route manifest */}
       <Sidebar
-        logo="🔷"
-        appName="My App"
-        navItems={navItems}
+        logo={APP_LOGO}
+        appName={APP_NAME}
       />
 
       <main className="app-main page-container-with-sidebar">
-        <Routes>
-          <Route path="/" element={<HomePage />} />
-          <Route path="/about" element={<AboutPage />} />
-          <Route path="*" element={<NotFound />} />
-        </Routes>
+        {/* Route errors keep the sidebar usable and clear on navigation */}
+        <ErrorBoundary name="route" resetKeys={[location.pathname]}>
+          <AppRoutes />
+        </ErrorBoundary>
       </main>
+
+      <CommandPalette />
+      <ConsentBanner />
     </div>
   );
 }
@@ -0,0 +1,487 @@
+/**
+ * Analytics Event Registry
+ *
+ * Every event the app tracks, with the properties it carries. `track` validates
+ * payloads against this registry, and the tracking plan for analysts is
+ * generated from it (npm run tracking-plan).
+ *
+ * Event names follow Amplitude best practices:
+ * - Use snake_case
+ * - Use past tense verbs
+ * - Noun + Verb pattern
+ *
+ * Property definitions:
+ *   {
+ *     type: 'string' | 'number' | 'boolean' | 'object' | 'array' | 'any' (or an array of these),
+ *     required: true,       // Must be present (default: false)
+ *     nullable: true,       // null is accepted (default: false)
+ *     enum: ['a', 'b'],     // Allowed values
+ *     description: '...',
+ *   }
+ *
+ * Properties that aren't declared are allowed but must be snake_case.
+ * Add new events here to maintain consistency across the app.
+ *
+ * This file must not import anything - scripts/tracking-plan.mjs loads it in Node.
+ */
+
+/**
+ * Properties `track` adds to every event
+ */
+export const COMMON_PROPERTIES = {
+  timestamp: { type: 'string', required: true, description: 'ISO time the event was tracked' },
+  session_duration_ms: { type: 'number', required: true, description: 'Time since the session started' },
+};
+
+const performanceContext = {
+  page_path: { type: 'string', required: true, description: 'Route the measurement belongs to' },
+  device_type: { type: 'string', required: true, enum: ['mobile', 'tablet', 'desktop'] },
+  sample_rate: { type: 'number', required: true, description: 'Fraction of page loads reporting performance' },
+};
+
+const meetingId = {
+  meeting_id: { type: ['string', 'number'], required: true, description: 'Meeting identifier' },
+};
+
+export const EVENT_REGISTRY = {
+  // Page/View Events
+  PAGE_VIEWED: {
+    name: 'page_viewed',
+    category: 'Page/View',
+    description: 'A route was rendered',
+    properties: {
+      page_name: { type: 'string', required: true, description: 'Page name or route path' },
+      page_path: { type: 'string', required: true, description: 'window.location.pathname' },
+      page_url: { type: 'string', description: 'Full URL' },
+      referrer: { type: 'string', description: 'document.referrer' },
+      search: { type: 'string', description: 'Query string of the route' },
+    },
+  },
+  MODAL_OPENED: {
+    name: 'modal_opened',
+    category: 'Page/View',
+    description: 'A modal dialog was opened',
+    properties: {
+      modal_name: { type: 'string', required: true },
+    },
+  },
+  MODAL_CLOSED: {
+    name: 'modal_closed',
+    category: 'Page/View',
+    description: 'A modal dialog was closed',
+    properties: {
+      modal_name: { type: 'string', required: true },
+    },
+  },
+  TAB_CHANGED: {
+    name: 'tab_changed',
+    category: 'Page/View',
+    description: 'A different tab was selected',
+    properties: {
+      tab_name: { type: 'string', required: true },
+      previous_tab: { type: 'string', nullable: true },
+    },
+  },
+
+  // Navigation Events
+  NAVIGATION_CLICKED: {
+    name: 'navigation_clicked',
+    category: 'Navigation',
+    description: 'A navigation item was clicked',
+    properties: {
+      destination: { type: 'string', required: true, description: 'Target path' },
+      label: { type: 'string' },
+    },
+  },
+  LINK_CLICKED: {
+    name: 'link_clicked',
+    category: 'Navigation',
+    description: 'A link was clicked',
+    properties: {
+      url: { type: 'string', required: true },
+      is_external: { type: 'boolean' },
+    },
+  },
+  BACK_CLICKED: {
+    name: 'back_clicked',
+    category: 'Navigation',
+    description: 'A back button was clicked',
+    properties: {},
+  },
+
+  // Search & Filter Events
+  SEARCH_INITIATED: {
+    name: 'search_initiated',
+    category: 'Search & Filter',
+    description: 'A search was started',
+    properties: {
+      query: { type: 'string', required: true },
+      search_context: { type: 'string', description: 'Where the search happened, e.g. command_palette' },
+    },
+  },
+  SEARCH_COMPLETED: {
+    name: 'search_completed',
+    category: 'Search & Filter',
+    description: 'Search results were shown',
+    properties: {
+      query: { type: 'string', required: true },
+      results_count: { type: 'number', required: true },
+      search_context: { type: 'string', description: 'Where the search happened, e.g. command_palette' },
+    },
+  },
+  SEARCH_CLEARED: {
+    name: 'search_cleared',
+    category: 'Search & Filter',
+    description: 'The search input was cleared',
+    properties: {},
+  },
+  FILTER_APPLIED: {
+    name: 'filter_applied',
+    category: 'Search & Filter',
+    description: 'A filter was applied',
+    properties: {
+      filter_name: { type: 'string', required: true },
+      filter_value: { type: 'any' },
+    },
+  },
+  FILTER_CLEARED: {
+    name: 'filter_cleared',
+    category: 'Search & Filter',
+    description: 'A filter was removed',
+    properties: {
+      filter_name: { type: 'string' },
+    },
+  },
+  SORT_CHANGED: {
+    name: 'sort_changed',
+    category: 'Search & Filter',
+    description: 'The sort order changed',
+    properties: {
+      sort_by: { type: 'string', required: true },
+      sort_direction: { type: 'string', enum: ['asc', 'desc'] },
+    },
+  },
+
+  // User Actions
+  BUTTON_CLICKED: {
+    name: 'button_clicked',
+    category: 'User Actions',
+    description: 'A tracked button was clicked',
+    properties: {
+      button_name: { type: 'string', required: true },
+    },
+  },
+  FORM_SUBMITTED: {
+    name: 'form_submitted',
+    category: 'User Actions',
+    description: 'A form or mutation was submitted',
+    properties: {
+      form_name: { type: 'string', required: true },
+      method: { type: 'string', description: 'HTTP method of the submission' },
+      success: { type: 'boolean', required: true },
+    },
+  },
+  FORM_FIELD_CHANGED: {
+    name: 'form_field_changed',
+    category: 'User Actions',
+    description: 'A form field value changed',
+    properties: {
+      form_name: { type: 'string', required: true },
+      field_name: { type: 'string', required: true },
+    },
+  },
+  ITEM_SELECTED: {
+    name: 'item_selected',
+    category: 'User Actions',
+    description: 'An item in a list was selected',
+    properties: {
+      item_type: { type: 'string', required: true },
+      item_id: { type: ['string', 'number'] },
+    },
+  },
+  ITEM_DESELECTED: {
+    name: 'item_deselected',
+    category: 'User Actions',
+    description: 'An item in a list was deselected',
+    properties: {
+      item_type: { type: 'string', required: true },
+      item_id: { type: ['string', 'number'] },
+    },
+  },
+  COMMAND_EXECUTED: {
+    name: 'command_executed',
+    category: 'User Actions',
+    description: 'A command was run from the command palette',
+    properties: {
+      command_id: { type: 'string', required: true },
+      command_group: { type: 'string', required: true, description: 'e.g. Pages, Recent, Actions' },
+      query: { type: 'string', description: 'What was typed before choosing it' },
+      result_position: { type: 'number', description: 'Zero-based position in the results' },
+    },
+  },
+  TOGGLE_CHANGED: {
+    name: 'toggle_changed',
+    category: 'User Actions',
+    description: 'A toggle or switch changed',
+    properties: {
+      toggle_name: { type: 'string', required: true },
+      enabled: { type: 'boolean', required: true },
+    },
+  },
+
+  // Authentication Events
+  SIGNIN_INITIATED: {
+    name: 'signin_initiated',
+    category: 'Authentication',
+    description: 'The user started signing in',
+    properties: {
+      method: { type: 'string', description: 'Sign-in method, e.g. google' },
+    },
+  },
+  SIGNIN_SUCCESS: {
+    name: 'signin_success',
+    category: 'Authentication',
+    description: 'The user signed in',
+    properties: {
+      method: { type: 'string' },
+    },
+  },
+  SIGNIN_FAILED: {
+    name: 'signin_failed',
+    category: 'Authentication',
+    description: 'Signing in failed',
+    properties: {
+      method: { type: 'string' },
+      error_message: { type: 'string' },
+    },
+  },
+  SIGNOUT_COMPLETED: {
+    name: 'signout_completed',
+    category: 'Authentication',
+    description: 'The user signed out',
+    properties: {},
+  },
+  SESSION_EXPIRED: {
+    name: 'session_expired',
+    category: 'Authentication',
+    description: 'The ID token expired and could not be refreshed',
+    properties: {
+      expired_at: { type: 'string', required: true, description: 'ISO time the token expired' },
+    },
+  },
+
+  // Content Events
+  CONTENT_VIEWED: {
+    name: 'content_viewed',
+    category: 'Content',
+    description: 'A piece of content was viewed',
+    properties: {
+      content_type: { type: 'string', required: true },
+      content_id: { type: ['string', 'number'] },
+    },
+  },
+  CONTENT_SHARED: {
+    name: 'content_shared',
+    category: 'Content',
+    description: 'A piece of content was shared',
+    properties: {
+      content_type: { type: 'string', required: true },
+      content_id: { type: ['string', 'number'] },
+      share_method: { type: 'string' },
+    },
+  },
+  CONTENT_DOWNLOADED: {
+    name: 'content_downloaded',
+    category: 'Content',
+    description: 'A file was downloaded',
+    properties: {
+      content_type: { type: 'string', required: true },
+      file_name: { type: 'string' },
+    },
+  },
+  CONTENT_COPIED: {
+    name: 'content_copied',
+    category: 'Content',
+    description: 'Content was copied to the clipboard',
+    properties: {
+      content_type: { type: 'string', required: true },
+    },
+  },
+
+  // Error Events
+  ERROR_OCCURRED: {
+    name: 'error_occurred',
+    category: 'Error',
+    description: 'An error was reported through trackError or caught by error reporting',
+    properties: {
+      error_context: {
+        type: 'string',
+        required: true,
+        description: 'Where the error happened; render, window and promise come from error reporting',
+      },
+      error_message: { type: 'string', required: true },
+      error_name: { type: 'string' },
+      error_stack: { type: 'string', nullable: true, description: 'Truncated stack trace' },
+      component_stack: { type: 'string', nullable: true, description: 'React component stack of render errors' },
+      page_path: { type: 'string', description: 'Route the error happened on' },
+      build_version: { type: 'string', description: 'REACT_APP_VERSION of the build' },
+      handled: { type: 'boolean', description: 'Caught and reported by app code' },
+      occurrences: { type: 'number', description: 'Times the error happened since it was last reported' },
+      boundary: { type: 'string', description: 'ErrorBoundary that caught a render error' },
+      file: { type: 'string', nullable: true },
+      line: { type: 'number', nullable: true },
+      column: { type: 'number', nullable: true },
+    },
+  },
+  API_ERROR: {
+    name: 'api_error',
+    category: 'Error',
+    description: 'An API request failed',
+    properties: {
+      endpoint: { type: 'string', required: true },
+      method: { type: 'string' },
+      status: { type: 'number', nullable: true, description: 'HTTP status, null for network errors' },
+      error_name: { type: 'string' },
+      error_code: { type: 'string', nullable: true },
+      error_message: { type: 'string' },
+    },
+  },
+  VALIDATION_ERROR: {
+    name: 'validation_error',
+    category: 'Error',
+    description: 'User input failed validation',
+    properties: {
+      form_name: { type: 'string', required: true },
+      field_name: { type: 'string' },
+      error_message: { type: 'string' },
+    },
+  },
+
+  // Performance Events
+  API_REQUEST_COMPLETED: {
+    name: 'api_request_completed',
+    category: 'Performance',
+    description: 'An API request finished (successfully or not)',
+    properties: {
+      endpoint: { type: 'string', required: true },
+      duration_ms: { type: 'number', required: true },
+      success: { type: 'boolean', required: true },
+      method: { type: 'string' },
+      status: { type: 'number', nullable: true },
+      attempts: { type: 'number', description: 'Including retries' },
+    },
+  },
+  PAGE_LOAD_COMPLETED: {
+    name: 'page_load_completed',
+    category: 'Performance',
+    description: 'The initial page load finished (sampled)',
+    properties: {
+      ...performanceContext,
+      duration_ms: { type: 'number', required: true, description: 'Navigation start to load event end' },
+      dom_content_loaded_ms: { type: 'number', description: 'Navigation start to DOMContentLoaded end' },
+      transfer_size: { type: 'number', description: 'Bytes transferred for the document' },
+    },
+  },
+  WEB_VITAL_REPORTED: {
+    name: 'web_vital_reported',
+    category: 'Performance',
+    description: 'A Core Web Vital was measured (sampled)',
+    properties: {
+      ...performanceContext,
+      metric_name: { type: 'string', required: true, enum: ['LCP', 'CLS', 'INP', 'TTFB'] },
+      value: { type: 'number', required: true, description: 'Milliseconds, or a unitless score for CLS' },
+      rating: { type: 'string', required: true, enum: ['good', 'needs-improvement', 'poor'] },
+    },
+  },
+  ROUTE_RENDERED: {
+    name: 'route_rendered',
+    category: 'Performance',
+    description: 'A client-side route change was rendered and painted (sampled)',
+    properties: {
+      ...performanceContext,
+      duration_ms: { type: 'number', required: true, description: 'Route change render to next paint' },
+    },
+  },
+  LONG_TASKS_REPORTED: {
+    name: 'long_tasks_reported',
+    category: 'Performance',
+    description: 'Main-thread tasks over 50ms while a route was shown (sampled)',
+    properties: {
+      ...performanceContext,
+      count: { type: 'number', required: true },
+      total_duration_ms: { type: 'number', required: true },
+    },
+  },
+
+  // Feature-specific Events (extend as needed)
+  MEETING_VIEWED: {
+    name: 'meeting_viewed',
+    category: 'Meetings',
+    description: 'A meeting detail was viewed',
+    properties: { ...meetingId },
+  },
+  MEETING_DIRECTIONS_CLICKED: {
+    name: 'meeting_directions_clicked',
+    category: 'Meetings',
+    description: 'Directions to a meeting were opened',
+    properties: { ...meetingId },
+  },
+  MEETING_SHARED: {
+    name: 'meeting_shared',
+    category: 'Meetings',
+    description: 'A meeting was shared',
+    properties: {
+      ...meetingId,
+      share_method: { type: 'string' },
+    },
+  },
+  MEETING_SAVED: {
+    name: 'meeting_saved',
+    category: 'Meetings',
+    description: 'A meeting was saved to favorites',
+    properties: { ...meetingId },
+  },
+  MAP_INTERACTION: {
+    name: 'map_interaction',
+    category: 'Meetings',
+    description: 'The meetings map was panned, zoomed or clicked',
+    properties: {
+      interaction_type: { type: 'string', required: true },
+    },
+  },
+
+  // Settings Events
+  THEME_CHANGED: {
+    name: 'theme_changed',
+    category: 'Settings',
+    description: 'The color theme changed',
+    properties: {
+      theme: { type: 'string', required: true },
+    },
+  },
+  SETTINGS_CHANGED: {
+    name: 'settings_changed',
+    category: 'Settings',
+    description: 'A setting changed',
+    properties: {
+      setting_name: { type: 'string', required: true },
+      setting_value: { type: 'any' },
+    },
+  },
+  NOTIFICATION_PREFERENCE_CHANGED: {
+    name: 'notification_preference_changed',
+    category: 'Settings',
+    description: 'A notification preference changed',
+    properties: {
+      preference: { type: 'string', required: true },
+      enabled: { type: 'boolean', required: true },
+    },
+  },
+};
+
+/**
+ * Standard event names: { PAGE_VIEWED: 'page_viewed', ... }
+ */
+export const ANALYTICS_EVENTS = Object.fromEntries(
+  Object.entries(EVENT_REGISTRY).map(([key, definition]) => [key, definition.name])
+);
@@ -0,0 +1,27 @@
+/**
+ * Analytics - Barrel Export
+ *
+ * Event registry, providers and the event queue behind AnalyticsProvider:
+ *   import { createMemoryProvider, createHttpProvider } from './analytics';
+ */
+
+export { ANALYTICS_EVENTS, EVENT_REGISTRY, COMMON_PROPERTIES } from './events';
+export { validateEvent, getEventDefinition } from './validation';
+export { buildTrackingPlan, trackingPlanToMarkdown } from './trackingPlan';
+export { createScrubber, DEFAULT_REDACTED_PARAMS, DEFAULT_REDACTED_KEYS } from './scrub';
+
+export {
+  createAmplitudeProvider,
+  createConsoleProvider,
+  createMemoryProvider,
+  createHttpProvider,
+} from './providers';
+export { createEventQueue, isOnline } from './queue';
+export {
+  observeWebVitals,
+  observePageLoad,
+  createLongTaskCounter,
+  measureUntilPaint,
+  getRating,
+  isSampled,
+} from './performance';
@@ -0,0 +1,262 @@
+/**
+ * Performance Monitoring
+ *
+ * Collects Core Web Vitals, page load timing and long tasks with
+ * PerformanceObserver - no extra dependency. AnalyticsProvider turns these
+ * into analytics events when `trackPerformance` is on.
+ *
+ * Metrics follow the web.dev definitions, simplified:
+ *   LCP  - last largest-contentful-paint before the first input (reported once)
+ *   CLS  - largest session window of unexpected layout shifts (reported when the page is hidden)
+ *   INP  - near-worst interaction latency, ignoring one outlier per 50 interactions
+ *   TTFB - responseStart of the navigation (reported once)
+ *
+ * Usage:
+ *   const stop = observeWebVitals(({ name, value, rating }) => console.log(name, value, rating));
+ *   stop();
+ *
+ * Every observer degrades to a no-op in browsers that don't support its entry type.
+ */
+
+// [good, poor] thresholds from web.dev
+const THRESHOLDS = {
+  LCP: [2500, 4000],
+  CLS: [0.1, 0.25],
+  INP: [200, 500],
+  TTFB: [800, 1800],
+};
+
+const CLS_SESSION_GAP = 1000;
+const CLS_SESSION_MAX = 5000;
+const INP_DURATION_THRESHOLD = 40;
+const LONG_TASK_THRESHOLD = 50;
+
+/**
+ * 'good', 'needs-improvement' or 'poor' for a metric value
+ */
+export const getRating = (name, value) => {
+  const [good, poor] = THRESHOLDS[name] || [Infinity, Infinity];
+  if (value <= good) return 'good';
+  if (value <= poor) return 'needs-improvement';
+  return 'poor';
+};
+
+/**
+ * Decide once whether this page load is sampled
+ *
+ * @param {number} rate - Fraction of page loads to keep, 0 to 1
+ */
+export const isSampled = (rate) => rate >= 1 || Math.random() < rate;
+
+const supports = (type) =>
+  typeof PerformanceObserver !== 'undefined' &&
+  (PerformanceObserver.supportedEntryTypes || []).includes(type);
+
+/**
+ * Observe an entry type, including entries recorded before the call
+ * Returns a disconnect function.
+ */
+const observe = (type, onEntries, options = {}) => {
+  if (!supports(type)) return () => {};
+
+  try {
+    const observer = new PerformanceObserver((list) => onEntries(list.getEntries()));
+    observer.observe({ type, buffered: true, ...options });
+    return () => observer.disconnect();
+  } catch (error) {
+    return () => {};
+  }
+};
+
+const getNavigationEntry = () => {
+  if (typeof performance === 'undefined' || !performance.getEntriesByType) return null;
+  return performance.getEntriesByType('navigation')[0] || null;
+};
+
+// Prerendered pages start counting when they are activated
+const getActivationStart = () => getNavigationEntry()?.activationStart || 0;
+
+/**
+ * Report LCP, CLS, INP and TTFB
+ *
+ * @param {Function} onMetric - Called with { name, value, rating }
+ */
+export const observeWebVitals = (onMetric) => {
+  const report = (name, value) => {
+    const rounded = name === 'CLS' ? Math.round(value * 1000) / 1000 : Math.round(value);
+    onMetric({ name, value: rounded, rating: getRating(name, rounded) });
+  };
+
+  const cleanups = [];
+
+  // LCP - the candidate stops changing once the user interacts
+  let lcp = null;
+  let lcpReported = false;
+  const stopLcp = observe('largest-contentful-paint', (entries) => {
+    const last = entries[entries.length - 1];
+    if (last) lcp = Math.max(last.startTime - getActivationStart(), 0);
+  });
+  const reportLcp = () => {
+    if (lcpReported || lcp === null) return;
+    lcpReported = true;
+    stopLcp();
+    report('LCP', lcp);
+  };
+  ['keydown', 'pointerdown'].forEach((type) => {
+    window.addEventListener(type, reportLcp, { once: true, capture: true });
+  });
+  cleanups.push(stopLcp, () => {
+    ['keydown', 'pointerdown'].forEach((type) => {
+      window.removeEventListener(type, reportLcp, { capture: true });
+    });
+  });
+
+  // CLS - largest burst of shifts less than 1s apart, at most 5s long
+  let cls = 0;
+  let sessionValue = 0;
+  let sessionEntries = [];
+  cleanups.push(observe('layout-shift', (entries) => {
+    entries.forEach((entry) => {
+      if (entry.hadRecentInput) return;
+      const first = sessionEntries[0];
+      const last = sessionEntries[sessionEntries.length - 1];
+      if (
+        last &&
+        entry.startTime - last.startTime < CLS_SESSION_GAP &&
+        entry.startTime - first.startTime < CLS_SESSION_MAX
+      ) {
+        sessionValue += entry.value;
+        sessionEntries.push(entry);
+      } else {
+        sessionValue = entry.value;
+        sessionEntries = [entry];
+      }
+      cls = Math.max(cls, sessionValue);
+    });
+  }));
+
+  // INP - slowest interactions, keyed by interactionId
+  const interactions = new Map();
+  const recordInteraction = (entry) => {
+    if (!entry.interactionId) return;
+    const previous = interactions.get(entry.interactionId) || 0;
+    interactions.set(entry.interactionId, Math.max(previous, entry.duration));
+  };
+  const getInp = () => {
+    if (interactions.size === 0) return null;
+    const durations = Array.from(interactions.values()).sort((a, b) => b - a);
+    return durations[Math.min(Math.floor(interactions.size / 50), durations.length - 1)];
+  };
+  cleanups.push(observe('event', (entries) => entries.forEach(recordInteraction), {
+    durationThreshold: INP_DURATION_THRESHOLD,
+  }));
+  cleanups.push(observe('first-input', (entries) => entries.forEach(recordInteraction)));
+
+  // CLS and INP keep changing - report them whenever the page is hidden, if they changed
+  let reportedCls = null;
+  let reportedInp = null;
+  const handleVisibilityChange = () => {
+    if (document.visibilityState !== 'hidden') return;
+    reportLcp();
+    if (cls !== reportedCls) {
+      reportedCls = cls;
+      report('CLS', cls);
+    }
+    const inp = getInp();
+    if (inp !== null && inp !== reportedInp) {
+      reportedInp = inp;
+      report('INP', inp);
+    }
+  };
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+  cleanups.push(() => document.removeEventListener('visibilitychange', handleVisibilityChange));
+
+  // TTFB
+  const navigation = getNavigationEntry();
+  if (navigation && navigation.responseStart > 0) {
+    report('TTFB', Math.max(navigation.responseStart - getActivationStart(), 0));
+  }
+
+  return () => cleanups.forEach((cleanup) => cleanup());
+};
+
+/**
+ * Report page load timing once the load event has finished
+ *
+ * @param {Function} onLoad - Called with { durationMs, domContentLoadedMs, transferSize }
+ */
+export const observePageLoad = (onLoad) => {
+  let timer = null;
+
+  const report = () => {
+    // loadEventEnd is only set after the load handlers have run
+    timer = setTimeout(() => {
+      const navigation = getNavigationEntry();
+      if (!navigation || !navigation.loadEventEnd) return;
+      onLoad({
+        durationMs: Math.round(navigation.loadEventEnd - navigation.startTime),
+        domContentLoadedMs: Math.round(navigation.domContentLoadedEventEnd - navigation.startTime),
+        transferSize: navigation.transferSize || 0,
+      });
+    }, 0);
+  };
+
+  if (document.readyState === 'complete') {
+    report();
+  } else {
+    window.addEventListener('load', report, { once: true });
+  }
+
+  return () => {
+    clearTimeout(timer);
+    window.removeEventListener('load', report);
+  };
+};
+
+/**
+ * Count main-thread tasks longer than 50ms
+ * take() returns the totals since the last take() and starts over.
+ */
+export const createLongTaskCounter = () => {
+  let count = 0;
+  let totalDuration = 0;
+
+  const stop = observe('longtask', (entries) => {
+    entries.forEach((entry) => {
+      if (entry.duration < LONG_TASK_THRESHOLD) return;
+      count++;
+      totalDuration += entry.duration;
+    });
+  });
+
+  return {
+    take: () => {
+      const totals = { count, totalDurationMs: Math.round(totalDuration) };
+      count = 0;
+      totalDuration = 0;
+      return totals;
+    },
+    stop,
+  };
+};
+
+/**
+ * Milliseconds from `startTime` until the next frame has been painted
+ */
+export const measureUntilPaint = (startTime, callback) => {
+  let cancelled = false;
+  let timer = null;
+
+  const frame = requestAnimationFrame(() => {
+    // The frame callback runs before paint; a task queued from it runs after
+    timer = setTimeout(() => {
+      if (!cancelled) callback(Math.round(performance.now() - startTime));
+    }, 0);
+  });
+
+  return () => {
+    cancelled = true;
+    cancelAnimationFrame(frame);
+    clearTimeout(timer);
+  };
+};
@@ -0,0 +1,224 @@
+/**
+ * Analytics Providers
+ *
+ * Adapters that deliver analytics messages somewhere. AnalyticsProvider queues
+ * and batches messages per provider, so every adapter implements the same
+ * small interface:
+ *
+ *   name                       -> string, used in logs
+ *   init(context)              -> optional, may return a promise; nothing is sent before it resolves
+ *   send(batch, { beacon })    -> deliver an array of messages, throw (or reject) to retry later
+ *   setEnabled(enabled)        -> optional, called when analytics consent is given or withdrawn
+ *   batchSize, flushInterval   -> optional overrides of the queue defaults
+ *
+ * Messages are plain objects:
+ *   { type: 'track', event, properties, userId, time }
+ *   { type: 'identify', userId, properties }
+ *   { type: 'setUserProperties', properties }
+ *   { type: 'incrementUserProperty', property, value }
+ *   { type: 'reset' }
+ *
+ * `context` passed to init is { appVersion, deviceType, environment, sessionStart }.
+ *
+ * Usage:
+ *   import { createConsoleProvider, createMemoryProvider } from './analytics';
+ *
+ *   const sink = createMemoryProvider();
+ *   <AnalyticsProvider providers={[sink]}>...</AnalyticsProvider>
+ *   expect(sink.events.map((e) => e.event)).toContain('button_clicked');
+ */
+
+import * as amplitude from '@amplitude/analytics-browser';
+
+// The SDK is a singleton, so it is only initialized once per page
+let amplitudeReady = null;
+let usingBeacon = false;
+
+const setAmplitudeProperties = (properties) => {
+  const identifyObj = new amplitude.Identify();
+  Object.entries(properties).forEach(([key, value]) => {
+    identifyObj.set(key, value);
+  });
+  amplitude.identify(identifyObj);
+};
+
+const initAmplitude = async (apiKey, config, { appVersion, deviceType, environment, sessionStart }) => {
+  await amplitude.init(apiKey, {
+    defaultTracking: {
+      sessions: true,
+      pageViews: false, // We track page views manually for more control
+      formInteractions: false, // Form names and actions can identify what a user is doing
+      fileDownloads: true,
+    },
+    ...config,
+  }).promise;
+
+  // Set session properties
+  setAmplitudeProperties({
+    device_type: deviceType,
+    app_version: appVersion,
+    environment,
+    session_start: sessionStart,
+  });
+};
+
+/**
+ * Amplitude - the SDK batches and retries on its own as well
+ *
+ * @param {Object} options
+ * @param {string} options.apiKey - Amplitude API key
+ * @param {Object} options.config - Extra amplitude.init options
+ */
+export const createAmplitudeProvider = ({ apiKey, config = {} }) => ({
+  name: 'amplitude',
+
+  init: (context) => {
+    if (!amplitudeReady) {
+      amplitudeReady = initAmplitude(apiKey, config, context);
+    }
+    return amplitudeReady;
+  },
+
+  setEnabled: (enabled) => {
+    if (amplitudeReady) {
+      amplitude.setOptOut(!enabled);
+    }
+  },
+
+  send: (batch, { beacon }) => {
+    batch.forEach((message) => {
+      switch (message.type) {
+        case 'track':
+          amplitude.track(message.event, message.properties, { time: message.time });
+          break;
+        case 'identify':
+          amplitude.setUserId(message.userId);
+          if (Object.keys(message.properties).length > 0) {
+            setAmplitudeProperties(message.properties);
+          }
+          break;
+        case 'setUserProperties':
+          setAmplitudeProperties(message.properties);
+          break;
+        case 'incrementUserProperty': {
+          const identifyObj = new amplitude.Identify();
+          identifyObj.add(message.property, message.value);
+          amplitude.identify(identifyObj);
+          break;
+        }
+        case 'reset':
+          amplitude.reset();
+          break;
+        default:
+          break;
+      }
+    });
+
+    if (beacon) {
+      // Hand the SDK's own buffer to the browser before the page goes away
+      amplitude.setTransport('beacon');
+      amplitude.flush();
+      usingBeacon = true;
+    } else if (usingBeacon) {
+      amplitude.setTransport('fetch');
+      usingBeacon = false;
+    }
+  },
+});
+
+/**
+ * Console - logs every message, for local development
+ *
+ * @param {Object} options
+ * @param {string} options.label - Log prefix (default: '[analytics]')
+ */
+export const createConsoleProvider = ({ label = '[analytics]' } = {}) => ({
+  name: 'console',
+  batchSize: 1,
+
+  send: (batch) => {
+    batch.forEach(({ type, ...message }) => {
+      if (type === 'track') {
+        console.info(label, message.event, message.properties);
+      } else {
+        console.info(label, type, message);
+      }
+    });
+  },
+});
+
+/**
+ * In-memory sink - records messages so tests can assert on them
+ * Messages are delivered immediately (batch size 1).
+ */
+export const createMemoryProvider = () => {
+  const messages = [];
+
+  return {
+    name: 'memory',
+    batchSize: 1,
+    messages,
+
+    send: (batch) => {
+      messages.push(...batch);
+    },
+
+    /**
+     * Track messages only
+     */
+    get events() {
+      return messages.filter((message) => message.type === 'track');
+    },
+
+    clear: () => {
+      messages.length = 0;
+    },
+  };
+};
+
+/**
+ * Generic HTTP collector - POSTs batches as JSON
+ *
+ * Body: { events: [...messages], context, sent_at }
+ * Uses navigator.sendBeacon when the page is being hidden, fetch with
+ * keepalive otherwise. A non-2xx response is retried by the queue.
+ *
+ * @param {Object} options
+ * @param {string} options.url - Collector endpoint
+ * @param {Object} options.headers - Extra request headers (not sent with beacons)
+ * @param {number} options.batchSize - Messages per request (default: queue default)
+ * @param {number} options.flushInterval - Delay before a partial batch is sent
+ */
+export const createHttpProvider = ({ url, headers = {}, batchSize, flushInterval }) => {
+  let context = {};
+
+  return {
+    name: 'http',
+    batchSize,
+    flushInterval,
+
+    init: (initContext) => {
+      context = initContext;
+    },
+
+    send: async (batch, { beacon }) => {
+      const body = JSON.stringify({ events: batch, context, sent_at: new Date().toISOString() });
+
+      if (beacon && typeof navigator !== 'undefined' && navigator.sendBeacon) {
+        const queued = navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }));
+        if (queued) return;
+      }
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body,
+        keepalive: true,
+      });
+
+      if (!response.ok) {
+        throw new Error(`Analytics collector responded ${response.status}`);
+      }
+    },
+  };
+};
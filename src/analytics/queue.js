@@ -0,0 +1,152 @@
+/**
+ * Analytics Event Queue
+ *
+ * Buffers analytics messages for one provider and hands them over in batches.
+ * Nothing is sent until the queue is started (after the provider initialized)
+ * or while the browser is offline, so events fired during startup or on a
+ * flaky connection are delivered late instead of being lost.
+ *
+ * Usage:
+ *   const queue = createEventQueue({
+ *     send: (batch, { beacon }) => provider.send(batch, { beacon }),
+ *     batchSize: 20,
+ *   });
+ *
+ *   queue.enqueue({ type: 'track', event: 'button_clicked', properties: {} });
+ *   queue.start();                 // Provider is ready - flush what was buffered
+ *   queue.flush({ beacon: true }); // Page is being hidden
+ *
+ * A batch whose send fails is put back at the front and retried with backoff,
+ * up to maxRetries times. When the queue is full the oldest messages are dropped.
+ */
+
+const DEFAULT_BATCH_SIZE = 20;
+const DEFAULT_FLUSH_INTERVAL = 5 * 1000; // 5 seconds
+const DEFAULT_MAX_SIZE = 1000;
+const DEFAULT_MAX_RETRIES = 5;
+const MAX_RETRY_DELAY = 60 * 1000;
+
+export const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+/**
+ * Create an event queue
+ *
+ * @param {Object} options
+ * @param {Function} options.send - Called with (batch, { beacon }); may return a promise, throw to retry
+ * @param {number} options.batchSize - Messages per batch; a full batch flushes right away (default: 20)
+ * @param {number} options.flushInterval - Delay before a partial batch is flushed in ms (default: 5s)
+ * @param {number} options.maxSize - Maximum buffered messages (default: 1000)
+ * @param {number} options.maxRetries - Attempts per batch before it is dropped (default: 5)
+ */
+export const createEventQueue = ({
+  send,
+  batchSize = DEFAULT_BATCH_SIZE,
+  flushInterval = DEFAULT_FLUSH_INTERVAL,
+  maxSize = DEFAULT_MAX_SIZE,
+  maxRetries = DEFAULT_MAX_RETRIES,
+}) => {
+  let messages = [];
+  let started = false;
+  let sending = false;
+  let failures = 0;
+  let timer = null;
+
+  const clearTimer = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+
+  const schedule = (delay) => {
+    if (timer || !started) return;
+    timer = setTimeout(() => {
+      timer = null;
+      flush();
+    }, delay);
+  };
+
+  const trim = () => {
+    if (messages.length > maxSize) {
+      const dropped = messages.length - maxSize;
+      messages = messages.slice(dropped);
+      console.warn(`Analytics queue is full, dropped ${dropped} oldest event(s)`);
+    }
+  };
+
+  /**
+   * Send everything buffered, one batch at a time
+   * Does nothing before start(), while offline, or while a batch is in flight.
+   * With { beacon: true } every batch is handed over synchronously, for page unload.
+   */
+  const flush = async ({ beacon = false } = {}) => {
+    if (!started || !isOnline() || (sending && !beacon)) return;
+    clearTimer();
+
+    while (messages.length > 0) {
+      const batch = messages.slice(0, batchSize);
+      messages = messages.slice(batch.length);
+
+      if (!beacon) sending = true;
+      try {
+        await send(batch, { beacon });
+        failures = 0;
+      } catch (error) {
+        failures++;
+        if (failures < maxRetries) {
+          messages = [...batch, ...messages];
+          trim();
+          schedule(Math.min(flushInterval * 2 ** failures, MAX_RETRY_DELAY));
+          return;
+        }
+        console.error(`Failed to send ${batch.length} analytics event(s), dropping them:`, error);
+        failures = 0;
+      } finally {
+        if (!beacon) sending = false;
+      }
+    }
+  };
+
+  /**
+   * Buffer a message; flushes once a full batch is waiting
+   */
+  const enqueue = (message) => {
+    messages.push(message);
+    trim();
+
+    if (messages.length >= batchSize) {
+      flush();
+    } else {
+      schedule(flushInterval);
+    }
+  };
+
+  /**
+   * Start sending - call once the provider is ready
+   */
+  const start = () => {
+    started = true;
+    flush();
+  };
+
+  /**
+   * Stop sending and drop everything buffered
+   */
+  const destroy = () => {
+    started = false;
+    clearTimer();
+    messages = [];
+  };
+
+  return {
+    enqueue,
+    flush,
+    start,
+    destroy,
+    get size() {
+      return messages.length;
+    },
+  };
+};
+
+export default createEventQueue;
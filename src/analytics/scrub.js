@@ -0,0 +1,153 @@
+/**
+ * PII Scrubbing
+ *
+ * Strips personal data from analytics payloads before they leave the browser:
+ * - email addresses, JWTs and bearer tokens inside any string value
+ * - sensitive query (and hash) parameters in URLs, e.g. ?token=... or #id_token=...
+ * - values of properties whose name marks them as sensitive, e.g. user_email
+ *
+ * Usage:
+ *   const scrubber = createScrubber({ redactParams: ['invite'] });
+ *
+ *   scrubber.scrubUrl('/join?invite=abc&day=monday');
+ *   // -> '/join?invite=[redacted]&day=monday'
+ *
+ *   scrubber.scrubProperties({ note: 'Mail jane@example.com', user_email: 'jane@example.com' });
+ *   // -> { note: 'Mail [email]', user_email: '[redacted]' }
+ */
+
+export const REDACTED = '[redacted]';
+
+/**
+ * Query/hash parameters whose values are always removed
+ */
+export const DEFAULT_REDACTED_PARAMS = [
+  'token',
+  'access_token',
+  'id_token',
+  'refresh_token',
+  'code',
+  'state',
+  'credential',
+  'password',
+  'email',
+  'key',
+  'api_key',
+  'apikey',
+  'secret',
+  'session',
+  'signature',
+  'sig',
+];
+
+/**
+ * Words that mark a property name as sensitive (matched per snake_case segment)
+ */
+export const DEFAULT_REDACTED_KEYS = [
+  'email',
+  'password',
+  'token',
+  'credential',
+  'authorization',
+  'secret',
+  'phone',
+];
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const JWT_PATTERN = /eyJ[\w-]+\.eyJ[\w-]+\.[\w-]*/g;
+const BEARER_PATTERN = /Bearer\s+[\w\-.~+/]+=*/gi;
+
+const MAX_DEPTH = 5;
+
+const splitOnce = (value, separator) => {
+  const index = value.indexOf(separator);
+  return index === -1 ? [value, undefined] : [value.slice(0, index), value.slice(index + 1)];
+};
+
+const decodeSafely = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+/**
+ * Create a scrubber
+ *
+ * @param {Object} options
+ * @param {string[]} options.redactParams - Extra query parameter names to redact
+ * @param {string[]} options.redactKeys - Extra property name words to redact
+ */
+export const createScrubber = ({ redactParams = [], redactKeys = [] } = {}) => {
+  const params = new Set([...DEFAULT_REDACTED_PARAMS, ...redactParams].map((param) => param.toLowerCase()));
+  const keys = new Set([...DEFAULT_REDACTED_KEYS, ...redactKeys].map((key) => key.toLowerCase()));
+
+  const isSensitiveKey = (key) => key.toLowerCase().split(/[_\-.]/).some((word) => keys.has(word));
+
+  /**
+   * Replace emails and tokens in free text
+   */
+  const scrubText = (text) => text
+    .replace(JWT_PATTERN, REDACTED)
+    .replace(BEARER_PATTERN, `Bearer ${REDACTED}`)
+    .replace(EMAIL_PATTERN, '[email]');
+
+  const scrubParams = (query) => query
+    .split('&')
+    .map((pair) => {
+      const [rawName] = splitOnce(pair, '=');
+      return params.has(decodeSafely(rawName).toLowerCase()) ? `${rawName}=${REDACTED}` : pair;
+    })
+    .join('&');
+
+  /**
+   * Redact sensitive parameters (and emails/tokens) in a URL, path or query string
+   * The rest of the URL is kept as is.
+   */
+  const scrubUrl = (url) => {
+    if (typeof url !== 'string' || !url) return url;
+
+    const [beforeHash, hash] = splitOnce(url, '#');
+    const [base, query] = splitOnce(beforeHash, '?');
+
+    let result = base;
+    if (query !== undefined) {
+      result += `?${scrubParams(query)}`;
+    }
+    if (hash !== undefined) {
+      // OAuth style fragments (#access_token=...) are parameters too
+      result += `#${hash.includes('=') ? scrubParams(hash) : hash}`;
+    }
+    return scrubText(result);
+  };
+
+  const scrubValue = (value, depth = 0) => {
+    if (typeof value === 'string') {
+      return value.includes('?') || value.includes('#') ? scrubUrl(value) : scrubText(value);
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    // Too deep to check - don't send it
+    if (depth >= MAX_DEPTH) {
+      return REDACTED;
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => scrubValue(item, depth + 1));
+    }
+    return scrubProperties(value, depth + 1);
+  };
+
+  /**
+   * Scrub every property value, recursively
+   */
+  const scrubProperties = (properties = {}, depth = 0) => Object.fromEntries(
+    Object.entries(properties).map(([key, value]) => [
+      key,
+      isSensitiveKey(key) && value !== null && value !== undefined ? REDACTED : scrubValue(value, depth),
+    ])
+  );
+
+  return { scrubUrl, scrubText, scrubProperties };
+};
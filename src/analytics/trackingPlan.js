@@ -0,0 +1,83 @@
+/**
+ * Tracking Plan
+ *
+ * Turns the event registry into a tracking plan for analysts, as JSON or
+ * Markdown. Generate it with:
+ *
+ *   npm run tracking-plan                          # JSON
+ *   npm run tracking-plan -- --format=markdown     # Markdown
+ *
+ * This file must not import anything - scripts/tracking-plan.mjs loads it in Node.
+ */
+
+const describeType = (spec) => {
+  const types = Array.isArray(spec.type) ? spec.type : [spec.type || 'any'];
+  const type = types.join(' | ');
+  return spec.nullable ? `${type} | null` : type;
+};
+
+/**
+ * Build the plan from the registry
+ *
+ * @param {Object} registry - EVENT_REGISTRY
+ * @param {Object} commonProperties - Properties sent with every event
+ */
+export const buildTrackingPlan = (registry, commonProperties = {}) => {
+  const toProperties = (properties) => Object.entries(properties).map(([name, spec]) => ({
+    name,
+    type: describeType(spec),
+    required: Boolean(spec.required),
+    ...(spec.enum && { enum: spec.enum }),
+    description: spec.description || '',
+  }));
+
+  return {
+    commonProperties: toProperties(commonProperties),
+    events: Object.entries(registry).map(([constant, definition]) => ({
+      name: definition.name,
+      constant: `ANALYTICS_EVENTS.${constant}`,
+      category: definition.category || 'Other',
+      description: definition.description || '',
+      properties: toProperties(definition.properties || {}),
+    })),
+  };
+};
+
+const escapeCell = (value) => String(value).replace(/\|/g, '\\|');
+
+const propertyTable = (properties) => {
+  if (properties.length === 0) return '_No properties._\n';
+
+  const rows = properties.map((property) => {
+    const type = property.enum
+      ? `${property.type} (${property.enum.join(', ')})`
+      : property.type;
+    return `| \`${property.name}\` | ${escapeCell(type)} | ${property.required ? 'yes' : 'no'} | ${escapeCell(property.description)} |`;
+  });
+
+  return ['| Property | Type | Required | Description |', '| --- | --- | --- | --- |', ...rows, ''].join('\n');
+};
+
+/**
+ * Render the plan as Markdown, grouped by category
+ */
+export const trackingPlanToMarkdown = (plan) => {
+  const categories = new Map();
+  plan.events.forEach((event) => {
+    if (!categories.has(event.category)) categories.set(event.category, []);
+    categories.get(event.category).push(event);
+  });
+
+  const sections = ['# Tracking Plan', ''];
+
+  sections.push('## Common Properties', '', 'Sent with every event.', '', propertyTable(plan.commonProperties));
+
+  categories.forEach((events, category) => {
+    sections.push(`## ${category}`, '');
+    events.forEach((event) => {
+      sections.push(`### \`${event.name}\``, '', `${event.description} (\`${event.constant}\`)`, '', propertyTable(event.properties));
+    });
+  });
+
+  return sections.join('\n');
+};
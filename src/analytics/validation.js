@@ -0,0 +1,84 @@
+/**
+ * Analytics Event Validation
+ *
+ * Checks a tracked event against the event registry:
+ * - the event name is registered
+ * - required properties are present
+ * - declared properties have the declared type (and enum value)
+ * - every property name is snake_case
+ *
+ * Usage:
+ *   const errors = validateEvent('meeting_viewed', { meetingId: 42 });
+ *   // -> ['missing required property "meeting_id"', 'property "meetingId" is not snake_case']
+ */
+
+import { EVENT_REGISTRY, COMMON_PROPERTIES } from './events';
+
+const SNAKE_CASE = /^[a-z][a-z0-9]*(_[a-z0-9]+)*$/;
+
+const definitionsByName = new Map(
+  Object.values(EVENT_REGISTRY).map((definition) => [definition.name, definition])
+);
+
+/**
+ * Registry entry for an event name, or undefined
+ */
+export const getEventDefinition = (eventName) => definitionsByName.get(eventName);
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const checkProperty = (key, value, spec) => {
+  if (value === null) {
+    return spec.nullable ? null : `property "${key}" must not be null`;
+  }
+
+  const types = Array.isArray(spec.type) ? spec.type : [spec.type || 'any'];
+  if (!types.includes('any') && !types.includes(typeOf(value))) {
+    return `property "${key}" should be ${types.join(' or ')}, got ${typeOf(value)}`;
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    return `property "${key}" should be one of ${spec.enum.join(', ')}, got ${JSON.stringify(value)}`;
+  }
+
+  return null;
+};
+
+/**
+ * Validate an event payload
+ * Returns a list of problems - empty when the event is valid.
+ *
+ * @param {string} eventName - Event name, e.g. 'page_viewed'
+ * @param {Object} properties - Event properties, including the common ones added by track
+ */
+export const validateEvent = (eventName, properties = {}) => {
+  const definition = getEventDefinition(eventName);
+  if (!definition) {
+    return [`unknown event "${eventName}" - add it to src/analytics/events.js`];
+  }
+
+  const specs = { ...COMMON_PROPERTIES, ...definition.properties };
+  const errors = [];
+
+  Object.entries(specs).forEach(([key, spec]) => {
+    if (properties[key] === undefined) {
+      if (spec.required) {
+        errors.push(`missing required property "${key}"`);
+      }
+      return;
+    }
+    const error = checkProperty(key, properties[key], spec);
+    if (error) errors.push(error);
+  });
+
+  Object.keys(properties).forEach((key) => {
+    if (!SNAKE_CASE.test(key)) {
+      errors.push(`property "${key}" is not snake_case`);
+    }
+  });
+
+  return errors;
+};
@@ -0,0 +1,293 @@
+/**
+ * API Client
+ *
+ * A small fetch wrapper shared by every page that talks to REACT_APP_API_URL.
+ * Resolves paths against the API base URL, attaches a bearer token, parses
+ * JSON responses and errors, retries idempotent requests with backoff, and
+ * reports timing and failures through callbacks.
+ *
+ * Most components should use the `useApiClient` hook, which wires the client
+ * to AuthContext and AnalyticsContext. Use `createApiClient` directly for code
+ * that runs outside React.
+ *
+ * Usage:
+ *   const api = createApiClient({ getToken: () => token });
+ *
+ *   const meetings = await api.get('/meetings', { params: { day: 'monday' } });
+ *   const saved = await api.post('/meetings', { name: 'Morning Group' });
+ */
+
+import { ApiError, NetworkError, TimeoutError, isAbortError } from './errors';
+
+const API_URL = process.env.REACT_APP_API_URL || '';
+
+const DEFAULT_TIMEOUT = 30 * 1000; // 30 seconds
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY = 300; // Base delay in ms, doubled on each attempt
+const MAX_RETRY_DELAY = 10 * 1000;
+
+// Methods that are safe to repeat without side effects
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Statuses worth retrying (timeouts, rate limits, transient server errors)
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+const isAbsoluteUrl = (url) => /^[a-z][a-z\d+\-.]*:\/\//i.test(url);
+
+/**
+ * Resolve a path against the base URL and append query params
+ * Params with null/undefined values are skipped; arrays become repeated keys.
+ */
+export const resolveUrl = (path, baseUrl = API_URL, params) => {
+  let url = path;
+  if (!isAbsoluteUrl(path) && baseUrl) {
+    url = `${baseUrl.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+  }
+
+  if (!params) return url;
+
+  const search = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    if (Array.isArray(value)) {
+      value.forEach((item) => search.append(key, item));
+    } else {
+      search.append(key, value);
+    }
+  });
+
+  const query = search.toString();
+  if (!query) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}${query}`;
+};
+
+// Plain objects and arrays are sent as JSON; FormData, Blob, strings etc. pass through
+const isJsonBody = (body) =>
+  body !== null &&
+  typeof body === 'object' &&
+  (Array.isArray(body) || Object.getPrototypeOf(body) === Object.prototype);
+
+const parseBody = async (response) => {
+  if (response.status === 204 || response.status === 205) return null;
+
+  const contentType = response.headers.get('content-type') || '';
+  const text = await response.text();
+  if (!text) return null;
+
+  if (contentType.includes('json')) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+  return text;
+};
+
+const getRetryDelay = (attempt, baseDelay, response) => {
+  // Honor Retry-After (seconds) from rate limiting responses
+  const retryAfter = response?.headers.get('retry-after');
+  if (retryAfter && !Number.isNaN(Number(retryAfter))) {
+    return Math.min(Number(retryAfter) * 1000, MAX_RETRY_DELAY);
+  }
+
+  const exponential = baseDelay * 2 ** attempt;
+  const jitter = Math.random() * baseDelay;
+  return Math.min(exponential + jitter, MAX_RETRY_DELAY);
+};
+
+const createAbortError = () => new DOMException('Aborted', 'AbortError');
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Create an API client
+ *
+ * @param {Object} config
+ * @param {string} config.baseUrl - Base URL for relative paths (default: REACT_APP_API_URL)
+ * @param {Function} config.getToken - Returns the bearer token, or null to send none
+ * @param {Function} config.onUnauthorized - Called with the ApiError when a request returns 401
+ * @param {Function} config.onRequestComplete - Called once per request with timing details
+ * @param {Function} config.onError - Called once per failed request with the final error
+ * @param {Object} config.headers - Headers sent with every request
+ * @param {number} config.retries - Retry attempts for idempotent requests (default: 2)
+ * @param {number} config.retryDelay - Base backoff delay in milliseconds (default: 300)
+ * @param {number} config.timeout - Per-attempt timeout in milliseconds (default: 30s)
+ */
+export const createApiClient = ({
+  baseUrl = API_URL,
+  getToken,
+  onUnauthorized,
+  onRequestComplete,
+  onError,
+  headers: defaultHeaders = {},
+  retries: defaultRetries = DEFAULT_RETRIES,
+  retryDelay = DEFAULT_RETRY_DELAY,
+  timeout: defaultTimeout = DEFAULT_TIMEOUT,
+} = {}) => {
+  /**
+   * Perform a single attempt with its own timeout
+   */
+  const attemptRequest = async (url, init, timeout, signal) => {
+    // An already-aborted signal never fires 'abort' - don't start the request at all
+    if (signal?.aborted) throw createAbortError();
+
+    const controller = new AbortController();
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+    const abortFromCaller = () => controller.abort();
+    signal?.addEventListener('abort', abortFromCaller, { once: true });
+
+    try {
+      return await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      if (timedOut) {
+        throw new TimeoutError({ url, method: init.method, timeout });
+      }
+      if (isAbortError(error)) throw error;
+      throw new NetworkError({ url, method: init.method, cause: error });
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abortFromCaller);
+    }
+  };
+
+  /**
+   * Send a request and return the parsed response body
+   *
+   * @param {string} path - Path relative to baseUrl, or an absolute URL
+   * @param {Object} options - fetch options plus:
+   * @param {Object} options.params - Query params to append
+   * @param {*} options.body - Plain objects/arrays are JSON encoded
+   * @param {boolean} options.auth - Attach the bearer token (default: true)
+   * @param {number} options.retries - Override retry attempts for this request
+   * @param {number} options.timeout - Override the per-attempt timeout
+   */
+  const request = async (path, options = {}) => {
+    const {
+      method: rawMethod = 'GET',
+      params,
+      body,
+      headers = {},
+      signal,
+      auth = true,
+      retries = defaultRetries,
+      timeout = defaultTimeout,
+      ...init
+    } = options;
+
+    const method = rawMethod.toUpperCase();
+    const url = resolveUrl(path, baseUrl, params);
+    const endpoint = path.split('?')[0];
+
+    const requestHeaders = { Accept: 'application/json', ...defaultHeaders, ...headers };
+    let requestBody = body;
+    if (isJsonBody(body)) {
+      requestBody = JSON.stringify(body);
+      requestHeaders['Content-Type'] = requestHeaders['Content-Type'] || 'application/json';
+    }
+
+    if (auth && getToken) {
+      const token = getToken();
+      if (token) {
+        requestHeaders.Authorization = `Bearer ${token}`;
+      }
+    }
+
+    const maxAttempts = IDEMPOTENT_METHODS.includes(method) ? retries + 1 : 1;
+    const startTime = Date.now();
+    let attempt = 0;
+
+    const complete = (success, status) => {
+      onRequestComplete?.({
+        endpoint,
+        method,
+        status,
+        success,
+        durationMs: Date.now() - startTime,
+        attempts: attempt + 1,
+      });
+    };
+
+    while (true) {
+      let response = null;
+
+      try {
+        response = await attemptRequest(
+          url,
+          { ...init, method, headers: requestHeaders, body: requestBody },
+          timeout,
+          signal
+        );
+
+        const data = await parseBody(response);
+
+        if (response.ok) {
+          complete(true, response.status);
+          return data;
+        }
+
+        throw new ApiError({
+          status: response.status,
+          statusText: response.statusText,
+          body: data,
+          url,
+          method,
+        });
+      } catch (error) {
+        // Cancelled by the caller - not a failure worth reporting
+        if (isAbortError(error)) throw error;
+
+        const retryable =
+          error instanceof NetworkError ||
+          error instanceof TimeoutError ||
+          (error instanceof ApiError && RETRYABLE_STATUSES.includes(error.status));
+
+        if (retryable && attempt + 1 < maxAttempts) {
+          await wait(getRetryDelay(attempt, retryDelay, response), signal);
+          attempt++;
+          continue;
+        }
+
+        complete(false, error.status || null);
+        onError?.(error, { endpoint, method });
+
+        if (error instanceof ApiError && error.status === 401) {
+          onUnauthorized?.(error);
+        }
+
+        throw error;
+      }
+    }
+  };
+
+  return {
+    request,
+    get: (path, options) => request(path, { ...options, method: 'GET' }),
+    post: (path, body, options) => request(path, { ...options, method: 'POST', body }),
+    put: (path, body, options) => request(path, { ...options, method: 'PUT', body }),
+    patch: (path, body, options) => request(path, { ...options, method: 'PATCH', body }),
+    delete: (path, options) => request(path, { ...options, method: 'DELETE' }),
+  };
+};
+
+export default createApiClient;
@@ -0,0 +1,103 @@
+/**
+ * API Errors
+ *
+ * Typed errors thrown by the API client so callers can branch on the failure:
+ *
+ *   try {
+ *     await api.get('/meetings');
+ *   } catch (error) {
+ *     if (error instanceof ApiError && error.status === 404) { ... }
+ *     if (error instanceof NetworkError) { ... }
+ *   }
+ */
+
+/**
+ * The server responded with a non-2xx status
+ * Parses `{ message, code, details }` and `{ error: { message, code, details } }` bodies.
+ */
+export class ApiError extends Error {
+  constructor({ status, statusText = '', body = null, url, method }) {
+    const payload = body && typeof body === 'object' ? body : {};
+    const nested = payload.error && typeof payload.error === 'object' ? payload.error : {};
+    const message =
+      nested.message ||
+      payload.message ||
+      (typeof payload.error === 'string' ? payload.error : null) ||
+      (typeof body === 'string' && body ? body : null) ||
+      `HTTP ${status}: ${statusText}`;
+
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.statusText = statusText;
+    this.code = nested.code || payload.code || null;
+    this.details = nested.details || payload.details || payload.errors || null;
+    this.body = body;
+    this.url = url;
+    this.method = method;
+  }
+
+  get isUnauthorized() {
+    return this.status === 401;
+  }
+
+  get isForbidden() {
+    return this.status === 403;
+  }
+
+  get isNotFound() {
+    return this.status === 404;
+  }
+
+  get isServerError() {
+    return this.status >= 500;
+  }
+}
+
+/**
+ * The request never got a response (offline, DNS, CORS, connection reset)
+ */
+export class NetworkError extends Error {
+  constructor({ url, method, cause }) {
+    super(cause?.message || 'Network request failed');
+    this.name = 'NetworkError';
+    this.url = url;
+    this.method = method;
+    this.cause = cause;
+  }
+}
+
+/**
+ * The request took longer than the configured timeout
+ */
+export class TimeoutError extends Error {
+  constructor({ url, method, timeout }) {
+    super(`Request timed out after ${timeout}ms`);
+    this.name = 'TimeoutError';
+    this.url = url;
+    this.method = method;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Check whether an error came from an aborted request (unmount, navigation, cancel)
+ */
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+/**
+ * Message to show the user for a failed request
+ * Server errors get a generic message - their details aren't meant for users.
+ */
+export const getErrorMessage = (error) => {
+  if (error instanceof NetworkError) {
+    return "Can't reach the server. Check your connection and try again.";
+  }
+  if (error instanceof TimeoutError) {
+    return 'The server took too long to respond. Please try again.';
+  }
+  if (error instanceof ApiError && !error.isServerError) {
+    return error.message;
+  }
+  return 'Something went wrong. Please try again.';
+};
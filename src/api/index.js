@@ -0,0 +1,10 @@
+/**
+ * API - Barrel Export
+ *
+ * Import the API client from this single file:
+ *   import { useApiClient, ApiError } from './api';
+ */
+
+export { createApiClient, resolveUrl } from './client';
+export { useApiClient } from './useApiClient';
+export { ApiError, NetworkError, TimeoutError, isAbortError, getErrorMessage } from './errors';
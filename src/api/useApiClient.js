@@ -0,0 +1,80 @@
+import { useContext, useMemo, useRef } from 'react';
+import { useAuth, useAnalytics, ANALYTICS_EVENTS } from '../contexts';
+import { NotificationActionsContext } from '../contexts/NotificationContext';
+import { createApiClient } from './client';
+import { getErrorMessage } from './errors';
+
+/**
+ * Hook for an API client wired to the app's auth and analytics
+ *
+ * - Attaches the Google ID token from AuthContext as a bearer token
+ * - Reports every request through trackApiRequest and failures as API_ERROR
+ * - Signs the user out when the API answers 401
+ * - With `notifyErrors`, shows an error notification for failed requests
+ *   (except 401s, which sign the user out instead)
+ *
+ * Usage:
+ *   const api = useApiClient();
+ *   const meetings = await api.get('/meetings');
+ *
+ *   // Share it with cached fetching
+ *   const { data } = useCachedFetch('/meetings', { client: api });
+ *
+ *   // Tell the user when requests fail
+ *   const api = useApiClient({ notifyErrors: true });
+ *   const api = useApiClient({ notifyErrors: (error) => (error.isNotFound ? null : 'Could not load meetings') });
+ *
+ * @param {Object} options - createApiClient options (baseUrl, retries, timeout, headers), plus
+ *   notifyErrors: true, or (error) => message (null for none); needs NotificationProvider
+ */
+export const useApiClient = (options = {}) => {
+  const { getIdToken, signOut } = useAuth();
+  const { track, trackApiRequest } = useAnalytics();
+  // Notifications are optional - without a provider, errors are only tracked
+  const notify = useContext(NotificationActionsContext);
+
+  // Keep the latest callbacks without recreating the client on every render
+  const latest = useRef({});
+  latest.current = {
+    getIdToken, signOut, track, trackApiRequest, notify, notifyErrors: options.notifyErrors,
+  };
+
+  const { baseUrl, retries, retryDelay, timeout, headers } = options;
+  // Headers compared by value since they're usually an inline object
+  const headersKey = JSON.stringify(headers || {});
+
+  return useMemo(() => createApiClient({
+    baseUrl,
+    retries,
+    retryDelay,
+    timeout,
+    headers: JSON.parse(headersKey),
+    getToken: () => latest.current.getIdToken(),
+    onUnauthorized: () => latest.current.signOut(),
+    onRequestComplete: ({ endpoint, method, status, success, durationMs, attempts }) => {
+      latest.current.trackApiRequest(endpoint, durationMs, success, {
+        method,
+        status,
+        attempts,
+      });
+    },
+    onError: (error, { endpoint, method }) => {
+      latest.current.track(ANALYTICS_EVENTS.API_ERROR, {
+        endpoint,
+        method,
+        status: error.status || null,
+        error_name: error.name,
+        error_code: error.code || null,
+        error_message: error.message,
+      });
+
+      const { notify, notifyErrors } = latest.current;
+      if (notify && notifyErrors && error.status !== 401) {
+        const message = typeof notifyErrors === 'function' ? notifyErrors(error) : getErrorMessage(error);
+        if (message) notify.error(message);
+      }
+    },
+  }), [baseUrl, retries, retryDelay, timeout, headersKey]);
+};
+
+export default useApiClient;
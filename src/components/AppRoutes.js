@@ -0,0 +1,60 @@
+import React, { Suspense, lazy } from 'react';
+import { Routes, Route } from 'react-router-dom';
+import ProtectedRoute from './ProtectedRoute';
+import PageSkeleton from './PageSkeleton';
+import routes from '../routes';
+import { flattenRoutes } from '../utils/routeManifest';
+
+// React.lazy components must be created once, not on every render
+const lazyComponents = new Map();
+
+const getComponent = (route) => {
+  if (route.component) return route.component;
+  if (!lazyComponents.has(route.lazy)) {
+    lazyComponents.set(route.lazy, lazy(route.lazy));
+  }
+  return lazyComponents.get(route.lazy);
+};
+
+const renderElement = (route) => {
+  const Component = getComponent(route);
+  let element = <Component />;
+
+  if (route.lazy) {
+    element = <Suspense fallback={<PageSkeleton />}>{element}</Suspense>;
+  }
+
+  if (route.auth) {
+    const restrictions = route.auth === true ? {} : route.auth;
+    element = <ProtectedRoute {...restrictions}>{element}</ProtectedRoute>;
+  }
+
+  return element;
+};
+
+/**
+ * AppRoutes Component
+ *
+ * Renders <Routes> from the route manifest (src/routes.js). Lazy routes are
+ * code-split and show <PageSkeleton /> while loading; routes with `auth` are
+ * wrapped in <ProtectedRoute>.
+ *
+ * Usage:
+ *   <AppRoutes />
+ *
+ * Props:
+ *   - routes: Route manifest to render (default: src/routes.js)
+ */
+const AppRoutes = ({ routes: manifest = routes }) => {
+  const flatRoutes = flattenRoutes(manifest).filter((route) => route.component || route.lazy);
+
+  return (
+    <Routes>
+      {flatRoutes.map((route) => (
+        <Route key={route.fullPath} path={route.fullPath} element={renderElement(route)} />
+      ))}
+    </Routes>
+  );
+};
+
+export default AppRoutes;
@@ -0,0 +1,55 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useRouteMeta } from '../hooks/useRouteMeta';
+
+/**
+ * Breadcrumbs Component
+ *
+ * Breadcrumb trail for the current page, derived from the route manifest
+ * (src/routes.js). Nested routes list their parents; Home is always first.
+ * Renders nothing on the home page.
+ *
+ * Usage (at the top of a page):
+ *   <div className="page-container">
+ *     <Breadcrumbs />
+ *     ...
+ *   </div>
+ *
+ * Props:
+ *   - homeLabel: Label of the first crumb (default: "Home"), or null to leave it out
+ */
+const Breadcrumbs = ({ homeLabel = 'Home' }) => {
+  const { route, breadcrumbs } = useRouteMeta();
+
+  if (!route || route.fullPath === '/') {
+    return null;
+  }
+
+  const items = homeLabel
+    ? [{ path: '/', label: homeLabel, isCurrent: false }, ...breadcrumbs]
+    : breadcrumbs;
+
+  return (
+    <nav className="breadcrumbs" aria-label="Breadcrumb">
+      {items.map((item, index) => (
+        <React.Fragment key={`${item.label}-${index}`}>
+          {index > 0 && <span className="breadcrumb-separator" aria-hidden="true">/</span>}
+          {item.isCurrent || !item.path ? (
+            <span
+              className={item.isCurrent ? 'breadcrumb-current' : 'breadcrumb-item'}
+              aria-current={item.isCurrent ? 'page' : undefined}
+            >
+              {item.label}
+            </span>
+          ) : (
+            <Link to={item.path} className="breadcrumb-item">
+              {item.label}
+            </Link>
+          )}
+        </React.Fragment>
+      ))}
+    </nav>
+  );
+};
+
+export default Breadcrumbs;
@@ -0,0 +1,206 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useCommandPalette, useAnalytics, ANALYTICS_EVENTS } from '../contexts';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+import { fuzzySearch } from '../utils/fuzzyMatch';
+
+const MAX_RESULTS = 50;
+const SEARCH_COMPLETED_DELAY = 500; // ms without typing before results count as "shown"
+const SEARCH_CONTEXT = 'command_palette';
+
+// Title with the matched characters marked
+const HighlightedTitle = ({ title, indices }) => {
+  if (indices.length === 0) return title;
+  const matched = new Set(indices);
+  return Array.from(title).map((char, index) => (
+    matched.has(index) ? <mark key={index}>{char}</mark> : char
+  ));
+};
+
+/**
+ * CommandPalette Component
+ *
+ * Cmd/Ctrl+K search over pages, recent pages, actions and the current page's
+ * commands (see CommandPaletteContext). Matching is fuzzy; Arrow Up/Down pick
+ * a result, Enter runs it and Escape closes the palette.
+ *
+ * Render it once, anywhere inside CommandPaletteProvider:
+ *   <CommandPalette />
+ *
+ * Props:
+ *   - placeholder: Search input placeholder (default: "Search pages and actions…")
+ */
+const CommandPalette = ({ placeholder = 'Search pages and actions…' }) => {
+  const { isOpen, close, getCommands } = useCommandPalette();
+  const { track } = useAnalytics();
+
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const dialogRef = useRef(null);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+  const searchStartedRef = useRef(false);
+
+  useFocusTrap(dialogRef, isOpen, { onEscape: close, initialFocusRef: inputRef });
+
+  const results = isOpen
+    ? fuzzySearch(getCommands(), query, (command) => [command.title, ...(command.keywords || [])])
+      .slice(0, MAX_RESULTS)
+    : [];
+  const activeResult = results[Math.min(activeIndex, results.length - 1)];
+
+  // Start fresh each time the palette opens
+  useEffect(() => {
+    if (isOpen) {
+      setQuery('');
+      setActiveIndex(0);
+      searchStartedRef.current = false;
+    }
+  }, [isOpen]);
+
+  // SEARCH_COMPLETED once typing pauses
+  const resultsCount = results.length;
+  useEffect(() => {
+    const trimmed = query.trim();
+    if (!isOpen || !trimmed) return undefined;
+
+    const timer = setTimeout(() => {
+      track(ANALYTICS_EVENTS.SEARCH_COMPLETED, {
+        query: trimmed,
+        results_count: resultsCount,
+        search_context: SEARCH_CONTEXT,
+      });
+    }, SEARCH_COMPLETED_DELAY);
+    return () => clearTimeout(timer);
+  }, [isOpen, query, resultsCount, track]);
+
+  // Keep the active result in view
+  useEffect(() => {
+    const active = listRef.current?.querySelector('[aria-selected="true"]');
+    active?.scrollIntoView?.({ block: 'nearest' });
+  }, [activeIndex, query]);
+
+  if (!isOpen) {
+    return null;
+  }
+
+  const handleChange = (event) => {
+    const { value } = event.target;
+    if (value.trim() && !searchStartedRef.current) {
+      searchStartedRef.current = true;
+      track(ANALYTICS_EVENTS.SEARCH_INITIATED, { query: value.trim(), search_context: SEARCH_CONTEXT });
+    }
+    setQuery(value);
+    setActiveIndex(0);
+  };
+
+  const runCommand = (result, position) => {
+    const command = result.item;
+    track(ANALYTICS_EVENTS.COMMAND_EXECUTED, {
+      command_id: command.id,
+      command_group: command.group,
+      query: query.trim(),
+      result_position: position,
+    });
+    close();
+    command.perform();
+  };
+
+  const handleKeyDown = (event) => {
+    if (results.length === 0) return;
+
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((index) => (Math.min(index, results.length - 1) + step + results.length) % results.length);
+    } else if (event.key === 'PageDown' || event.key === 'PageUp') {
+      event.preventDefault();
+      setActiveIndex(event.key === 'PageDown' ? results.length - 1 : 0);
+    } else if (event.key === 'Enter' && activeResult) {
+      event.preventDefault();
+      runCommand(activeResult, results.indexOf(activeResult));
+    }
+  };
+
+  const getOptionId = (index) => `command-palette-option-${index}`;
+
+  return (
+    <div className="modal-overlay command-palette-overlay" onClick={close}>
+      <div
+        ref={dialogRef}
+        className="modal command-palette"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Command palette"
+        onClick={(event) => event.stopPropagation()}
+      >
+        <div className="search-container">
+          <span className="search-icon" aria-hidden="true">🔍</span>
+          <input
+            ref={inputRef}
+            type="text"
+            className="input search-input"
+            placeholder={placeholder}
+            value={query}
+            onChange={handleChange}
+            onKeyDown={handleKeyDown}
+            role="combobox"
+            aria-expanded="true"
+            aria-controls="command-palette-results"
+            aria-autocomplete="list"
+            aria-activedescendant={activeResult ? getOptionId(results.indexOf(activeResult)) : undefined}
+            autoComplete="off"
+            spellCheck="false"
+          />
+        </div>
+
+        {results.length > 0 ? (
+          <ul
+            ref={listRef}
+            id="command-palette-results"
+            className="command-palette-results"
+            role="listbox"
+            aria-label="Results"
+          >
+            {results.map((result, index) => {
+              const { item: command } = result;
+              const isActive = result === activeResult;
+              return (
+                <li
+                  key={command.id}
+                  id={getOptionId(index)}
+                  className={`command-palette-item ${isActive ? 'active' : ''}`}
+                  role="option"
+                  aria-selected={isActive}
+                  onClick={() => runCommand(result, index)}
+                  onMouseMove={() => !isActive && setActiveIndex(index)}
+                >
+                  <span className="command-palette-item-icon" aria-hidden="true">{command.icon}</span>
+                  <span className="command-palette-item-title">
+                    <HighlightedTitle title={command.title} indices={result.indices} />
+                  </span>
+                  {command.shortcut && (
+                    <kbd className="command-palette-shortcut">{command.shortcut}</kbd>
+                  )}
+                  <span className="command-palette-item-group">{command.group}</span>
+                </li>
+              );
+            })}
+          </ul>
+        ) : (
+          <div className="command-palette-empty" role="status">
+            No results for “{query.trim()}”
+          </div>
+        )}
+
+        <div className="command-palette-footer" aria-hidden="true">
+          <span><kbd>↑</kbd><kbd>↓</kbd> to navigate</span>
+          <span><kbd>Enter</kbd> to run</span>
+          <span><kbd>Esc</kbd> to close</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
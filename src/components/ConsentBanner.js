@@ -0,0 +1,52 @@
+import React from 'react';
+import { useConsent } from '../contexts';
+
+/**
+ * ConsentBanner Component
+ *
+ * Asks for analytics consent until the user decides. Nothing is tracked
+ * before "Allow" is clicked, and the banner never shows for browsers that
+ * send Do-Not-Track or Global Privacy Control (they count as declined).
+ *
+ * Render it once, anywhere inside ConsentProvider:
+ *   <ConsentBanner />
+ *
+ * Let users change their mind later with useConsent().resetConsent(),
+ * which shows the banner again.
+ *
+ * Props:
+ *   - title: Heading text (default: "Help us improve")
+ *   - message: Explanation shown next to the buttons
+ *   - allowLabel / declineLabel: Button labels
+ */
+const ConsentBanner = ({
+  title = 'Help us improve',
+  message = 'May we collect anonymous usage analytics? We never collect your email or the content you enter.',
+  allowLabel = 'Allow',
+  declineLabel = 'No thanks',
+}) => {
+  const { hasDecided, grantConsent, denyConsent } = useConsent();
+
+  if (hasDecided) {
+    return null;
+  }
+
+  return (
+    <div className="consent-banner" role="region" aria-label="Analytics consent">
+      <div className="consent-banner-text">
+        <div className="consent-banner-title">{title}</div>
+        <p>{message}</p>
+      </div>
+      <div className="consent-banner-actions">
+        <button className="btn btn-secondary btn-sm" onClick={denyConsent}>
+          {declineLabel}
+        </button>
+        <button className="btn btn-primary btn-sm" onClick={grantConsent}>
+          {allowLabel}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ConsentBanner;
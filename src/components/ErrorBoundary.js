@@ -0,0 +1,100 @@
+import React from 'react';
+import ErrorReportingContext from '../contexts/ErrorReportingContext';
+import ErrorPage from '../pages/ErrorPage';
+
+/**
+ * ErrorBoundary Component
+ *
+ * Catches render errors below it, reports them through ErrorReportingProvider
+ * (with the component stack) and shows a fallback instead of a blank page.
+ *
+ * Usage:
+ *   // App level - around everything
+ *   <ErrorBoundary name="app">
+ *     <App />
+ *   </ErrorBoundary>
+ *
+ *   // Route level - keeps the layout, resets when the route changes
+ *   <ErrorBoundary name="route" resetKeys={[location.pathname]}>
+ *     <Routes>...</Routes>
+ *   </ErrorBoundary>
+ *
+ *   // Custom fallback
+ *   <ErrorBoundary fallback={({ error, resetError }) => <button onClick={resetError}>Retry</button>}>
+ *
+ * Props:
+ *   - name: Boundary name, sent with the report (default: "boundary")
+ *   - fallback: Element, or function receiving { error, resetError } (default: <ErrorPage />)
+ *   - resetKeys: Values that clear the error when they change (e.g. the route)
+ *   - onReset: Called after the error is cleared, to reset state that caused it
+ *   - onError: Called with (error, info) after the error is reported
+ *   - notify: Also show an error notification - a message, or true for a generic one
+ *     (needs NotificationProvider above ErrorReportingProvider)
+ */
+class ErrorBoundary extends React.Component {
+  static contextType = ErrorReportingContext;
+
+  constructor(props) {
+    super(props);
+    this.state = { error: null };
+    this.resetError = this.resetError.bind(this);
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    const { name = 'boundary', onError, notify } = this.props;
+
+    if (this.context) {
+      this.context.reportError(error, {
+        source: 'render',
+        componentStack: info.componentStack,
+        handled: false,
+        context: { boundary: name },
+        notify,
+      });
+    } else {
+      console.error(`Render error caught by "${name}" boundary:`, error, info.componentStack);
+    }
+
+    onError?.(error, info);
+  }
+
+  componentDidUpdate(prevProps) {
+    const { resetKeys = [] } = this.props;
+    const prevKeys = prevProps.resetKeys || [];
+
+    if (
+      this.state.error &&
+      (resetKeys.length !== prevKeys.length || resetKeys.some((key, i) => !Object.is(key, prevKeys[i])))
+    ) {
+      this.resetError();
+    }
+  }
+
+  resetError() {
+    this.setState({ error: null });
+    this.props.onReset?.();
+  }
+
+  render() {
+    const { error } = this.state;
+    const { children, fallback } = this.props;
+
+    if (!error) {
+      return children;
+    }
+
+    if (typeof fallback === 'function') {
+      return fallback({ error, resetError: this.resetError });
+    }
+    if (fallback) {
+      return fallback;
+    }
+    return <ErrorPage error={error} onRetry={this.resetError} />;
+  }
+}
+
+export default ErrorBoundary;
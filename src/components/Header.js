@@ -1,6 +1,18 @@
 import React, { useState, useEffect } from 'react';
-import { Link, useLocation } from 'react-router-dom';
+import { Link, useLocation, matchPath } from 'react-router-dom';
 import { useTheme, useAuth } from '../contexts';
+import routes, { APP_NAME, APP_LOGO } from '../routes';
+import { getNavItems } from '../utils/routeManifest';
+
+// Top-level navigation items from the route manifest
+const navItems = getNavItems(routes).filter((item) => item.path || item.href);
+
+// Internal links navigate in-app, external links open in a new tab
+const NavLink = ({ item, ...props }) => (item.href ? (
+  <a href={item.href} target="_blank" rel="noopener noreferrer" {...props}>{item.label}</a>
+) : (
+  <Link to={item.path} {...props}>{item.label}</Link>
+));
 
 /**
  * Header Component
@@ -8,50 +20,49 @@ import { useTheme, useAuth } from '../contexts';
  * Top navigation bar with branding, navigation links, and user authentication.
  * NOTE: Theme toggle has been moved to the Sidebar component for better UX.
  *
+ * Branding and navigation links come from the route manifest (src/routes.js).
+ *
  * For apps using sidebar layout, you may not need this header at all.
  * For apps without a sidebar, consider using HeaderWithTheme variant.
  */
 const Header = () => {
   const { isDark } = useTheme();
-  const { user, isAuthenticated, signOut, renderSignInButton } = useAuth();
+  const { user, isAuthenticated, isGoogleReady, signOut, renderSignInButton } = useAuth();
   const location = useLocation();
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
 
-  const isActive = (path) => location.pathname === path;
+  // Active on the item's page and the pages below it
+  const isActive = (path) => Boolean(path) && (path === '/'
+    ? location.pathname === '/'
+    : matchPath({ path, end: false }, location.pathname) !== null);
 
-  // Render Google Sign-In button when not authenticated
+  // Render Google Sign-In button when not authenticated (once the GSI script is ready)
   useEffect(() => {
-    if (!isAuthenticated) {
+    if (!isAuthenticated && isGoogleReady) {
       renderSignInButton('google-signin-btn', {
         theme: isDark ? 'filled_black' : 'outline',
         size: 'medium',
       });
     }
-  }, [isAuthenticated, isDark, renderSignInButton]);
+  }, [isAuthenticated, isGoogleReady, isDark, renderSignInButton]);
 
   return (
     <header className="header">
       <div className="header-content">
         <div className="header-left">
           <Link to="/" className="header-logo">
-            {/* TODO: Replace with your logo */}
-            <span style={{ fontSize: '1.5rem' }}>🔷</span>
-            <span>My App</span>
+            <span style={{ fontSize: '1.5rem' }}>{APP_LOGO}</span>
+            <span>{APP_NAME}</span>
           </Link>
 
           <nav className="header-nav hide-mobile">
-            <Link
-              to="/"
-              className={`header-nav-item ${isActive('/') ? 'active' : ''}`}
-            >
-              Home
-            </Link>
-            <Link
-              to="/about"
-              className={`header-nav-item ${isActive('/about') ? 'active' : ''}`}
-            >
-              About
-            </Link>
+            {navItems.map((item) => (
+              <NavLink
+                key={item.path || item.href}
+                item={item}
+                className={`header-nav-item ${isActive(item.path) ? 'active' : ''}`}
+              />
+            ))}
           </nav>
         </div>
 
@@ -89,20 +100,14 @@ const Header = () => {
 
       {/* Mobile navigation */}
       <nav className={`mobile-nav ${mobileMenuOpen ? 'open' : ''}`}>
-        <Link
-          to="/"
-          className={`mobile-nav-item ${isActive('/') ? 'active' : ''}`}
-          onClick={() => setMobileMenuOpen(false)}
-        >
-          Home
-        </Link>
-        <Link
-          to="/about"
-          className={`mobile-nav-item ${isActive('/about') ? 'active' : ''}`}
-          onClick={() => setMobileMenuOpen(false)}
-        >
-          About
-        </Link>
+        {navItems.map((item) => (
+          <NavLink
+            key={item.path || item.href}
+            item={item}
+            className={`mobile-nav-item ${isActive(item.path) ? 'active' : ''}`}
+            onClick={() => setMobileMenuOpen(false)}
+          />
+        ))}
       </nav>
     </header>
   );
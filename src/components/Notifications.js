@@ -0,0 +1,82 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNotifications } from '../contexts/NotificationContext';
+import Alert from './ui/Alert';
+
+// A single notification; its timer pauses while hovered or focused
+const Toast = ({ notification, onDismiss }) => {
+  const { id, variant, title, message, action, duration, count, updatedAt } = notification;
+  const [paused, setPaused] = useState(false);
+  const remainingRef = useRef(duration);
+
+  // A repeated (deduplicated) notification gets its full time again
+  useEffect(() => {
+    remainingRef.current = duration;
+  }, [duration, updatedAt]);
+
+  useEffect(() => {
+    if (!duration || paused) return undefined;
+
+    const startedAt = Date.now();
+    const timer = setTimeout(() => onDismiss(id), remainingRef.current);
+    return () => {
+      clearTimeout(timer);
+      remainingRef.current -= Date.now() - startedAt;
+    };
+  }, [id, duration, paused, updatedAt, onDismiss]);
+
+  const handleAction = () => {
+    action.onClick?.();
+    onDismiss(id);
+  };
+
+  return (
+    <Alert
+      variant={variant}
+      title={title}
+      onDismiss={() => onDismiss(id)}
+      className="notification animate-slideUp"
+      onMouseEnter={() => setPaused(true)}
+      onMouseLeave={() => setPaused(false)}
+      onFocus={() => setPaused(true)}
+      onBlur={() => setPaused(false)}
+    >
+      <div className="notification-body">
+        <span>{message}</span>
+        {count > 1 && <span className="notification-count">×{count}</span>}
+      </div>
+      {action && (
+        <button type="button" className="btn btn-link btn-sm notification-action" onClick={handleAction}>
+          {action.label}
+        </button>
+      )}
+    </Alert>
+  );
+};
+
+/**
+ * Notifications Component
+ *
+ * Renders NotificationProvider's toasts in the bottom-right corner (bottom
+ * of the screen on mobile). The stack is a polite live region; errors and
+ * warnings are announced immediately.
+ *
+ * Usage (once, in the app root next to the top-level ErrorBoundary):
+ *   <Notifications />
+ *
+ *   // Raise them from anywhere
+ *   const notify = useNotify();
+ *   notify.success('Meeting saved');
+ */
+const Notifications = () => {
+  const { notifications, dismiss } = useNotifications();
+
+  return (
+    <div className="notification-stack" role="region" aria-label="Notifications" aria-live="polite">
+      {notifications.map((notification) => (
+        <Toast key={notification.id} notification={notification} onDismiss={dismiss} />
+      ))}
+    </div>
+  );
+};
+
+export default Notifications;
@@ -0,0 +1,26 @@
+import React from 'react';
+import Skeleton from './ui/Skeleton';
+
+/**
+ * PageSkeleton Component
+ *
+ * Placeholder shown while a lazily loaded page is downloading.
+ * Mirrors the usual page layout: header, description and a card grid.
+ */
+const PageSkeleton = () => {
+  return (
+    <div className="page-container" aria-busy="true" aria-label="Loading page">
+      <div className="page-header">
+        <Skeleton width="40%" height="2rem" />
+        <Skeleton width="60%" />
+      </div>
+      <div className="card-grid">
+        <Skeleton variant="card" />
+        <Skeleton variant="card" />
+        <Skeleton variant="card" />
+      </div>
+    </div>
+  );
+};
+
+export default PageSkeleton;
@@ -0,0 +1,74 @@
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../contexts';
+import Forbidden from '../pages/Forbidden';
+
+/**
+ * ProtectedRoute Component
+ *
+ * Guards a route behind Google Sign-In and optional per-route restrictions.
+ * Unauthenticated visitors are sent to the sign-in page, which returns them
+ * to the originally requested path (including query and hash) once signed in.
+ *
+ * Usage:
+ *   <Route
+ *     path="/admin"
+ *     element={
+ *       <ProtectedRoute allowedDomains={['sobersidekick.com']}>
+ *         <AdminPage />
+ *       </ProtectedRoute>
+ *     }
+ *   />
+ *
+ *   // Or with the helper
+ *   <Route path="/reports" element={requireAuth(<ReportsPage />, { allowedEmails: ['ops@sobersidekick.com'] })} />
+ *
+ * Props:
+ *   - allowedDomains: Email domains allowed on this route (optional)
+ *   - allowedEmails: Explicit email allow-list for this route (optional)
+ *   - signInPath: Where to send unauthenticated visitors (default: "/signin")
+ *   - forbidden: Element rendered when the user lacks access (default: <Forbidden />)
+ */
+const ProtectedRoute = ({
+  children,
+  allowedDomains,
+  allowedEmails,
+  signInPath = '/signin',
+  forbidden = <Forbidden />,
+}) => {
+  const { isAuthenticated, isLoading, canAccess } = useAuth();
+  const location = useLocation();
+
+  // Wait for the stored session to be restored before deciding
+  if (isLoading) {
+    return (
+      <div className="page-container">
+        <div className="flex items-center justify-center" style={{ minHeight: '60vh' }}>
+          <div className="spinner" role="status" aria-label="Checking your session" />
+        </div>
+      </div>
+    );
+  }
+
+  if (!isAuthenticated) {
+    return <Navigate to={signInPath} replace state={{ from: location }} />;
+  }
+
+  if (!canAccess({ allowedDomains, allowedEmails })) {
+    return forbidden;
+  }
+
+  return children;
+};
+
+/**
+ * Wrap a route element in a ProtectedRoute
+ *
+ * @param {React.ReactNode} element - The element to protect
+ * @param {Object} options - ProtectedRoute props (allowedDomains, allowedEmails, ...)
+ */
+export const requireAuth = (element, options = {}) => (
+  <ProtectedRoute {...options}>{element}</ProtectedRoute>
+);
+
+export default ProtectedRoute;
@@ -1,11 +1,220 @@
-import React, { useState } from 'react';
-import { Link, useLocation } from 'react-router-dom';
+import React, { useState, useEffect, useRef, useContext } from 'react';
+import { Link, useLocation, matchPath } from 'react-router-dom';
 import { useTheme } from '../contexts';
+import CommandPaletteContext from '../contexts/CommandPaletteContext';
+import routes, { APP_NAME, APP_LOGO } from '../routes';
+import { getNavItems } from '../utils/routeManifest';
+import { useFocusTrap, getFocusableElements } from '../hooks/useFocusTrap';
+
+// Navigation items from the route manifest
+const manifestNavItems = getNavItems(routes);
+
+const GROUPS_STORAGE_KEY = 'sidebar_groups';
+const COLLAPSED_STORAGE_KEY = 'sidebar_collapsed';
+
+const SEARCH_SHORTCUT = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform)
+  ? '⌘K'
+  : 'Ctrl+K';
+
+// Matches the breakpoint in layout.css where the sidebar becomes a drawer
+const MOBILE_QUERY = '(max-width: 768px)';
+
+const readStoredGroups = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(GROUPS_STORAGE_KEY));
+    if (stored && typeof stored === 'object') return stored;
+  } catch (error) {
+    // Ignore malformed values
+  }
+  return {};
+};
+
+const readStoredCollapsed = () => {
+  try {
+    return JSON.parse(localStorage.getItem(COLLAPSED_STORAGE_KEY)) === true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const writeStorage = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    // Storage full or unavailable - the choice just won't be remembered
+  }
+};
+
+const getGroupId = (item) => item.id || item.path || item.label;
+
+/**
+ * Whether an item is the current page or one of its ancestors
+ * '/' and items with `exact` only match their own path.
+ */
+const matchesPath = (item, pathname) => {
+  if (!item.path) return false;
+  const end = item.exact ?? item.path === '/';
+  return matchPath({ path: item.path, end }, pathname) !== null;
+};
+
+const containsActive = (item, pathname) =>
+  (item.children || []).some((child) => matchesPath(child, pathname) || containsActive(child, pathname));
+
+// Ids of the groups leading to the current page
+const getActiveGroupIds = (items, pathname) => items.flatMap((item) => {
+  if (item.items) return getActiveGroupIds(item.items, pathname);
+  if (!item.children || !containsActive(item, pathname)) return [];
+  return [getGroupId(item), ...getActiveGroupIds(item.children, pathname)];
+});
+
+const NAV_KEYS = ['ArrowDown', 'ArrowUp', 'Home', 'End'];
+
+// Arrow keys move between the visible navigation links and group toggles
+const handleNavKeyDown = (event) => {
+  if (!NAV_KEYS.includes(event.key)) return;
+
+  const focusable = getFocusableElements(event.currentTarget);
+  const index = focusable.indexOf(document.activeElement);
+  if (index === -1) return;
+
+  event.preventDefault();
+  const next = {
+    ArrowDown: (index + 1) % focusable.length,
+    ArrowUp: (index - 1 + focusable.length) % focusable.length,
+    Home: 0,
+    End: focusable.length - 1,
+  }[event.key];
+  focusable[next].focus();
+};
+
+const NavItemContent = ({ item, collapsed }) => (
+  <>
+    {item.icon ? (
+      <span className="nav-item-icon">{item.icon}</span>
+    ) : collapsed && (
+      // The rail needs something to show - use the label's first letter
+      <span className="nav-item-icon" aria-hidden="true">{item.label.charAt(0)}</span>
+    )}
+    <span className="nav-item-label">{item.label}</span>
+    {item.badge && (
+      <span className="nav-item-badge">{item.badge}</span>
+    )}
+  </>
+);
+
+const NavItem = ({ item, nav }) => {
+  const { pathname, collapsed, openGroups, onToggleGroup, onExpandGroup, onNavigate } = nav;
+  // Labels are hidden in the rail, so show them as tooltips
+  const tooltip = collapsed ? item.label : undefined;
+
+  // External link
+  if (item.href) {
+    return (
+      <a
+        href={item.href}
+        className="nav-item"
+        target="_blank"
+        rel="noopener noreferrer"
+        title={tooltip}
+        onClick={onNavigate}
+      >
+        <NavItemContent item={item} collapsed={collapsed} />
+        <span className="nav-item-external" aria-hidden="true">↗</span>
+        <span className="sr-only">(opens in a new tab)</span>
+      </a>
+    );
+  }
+
+  if (!item.children) {
+    const isActive = matchesPath(item, pathname);
+    return (
+      <Link
+        to={item.path}
+        className={`nav-item ${isActive ? 'active' : ''}`}
+        aria-current={isActive ? 'page' : undefined}
+        title={tooltip}
+        onClick={onNavigate}
+      >
+        <NavItemContent item={item} collapsed={collapsed} />
+      </Link>
+    );
+  }
+
+  // Collapsible group - open when toggled open, or by default when it leads to the current page
+  const id = getGroupId(item);
+  const isCurrent = matchesPath({ ...item, exact: true }, pathname);
+  const hasActive = isCurrent || containsActive(item, pathname);
+  const isExpanded = openGroups[id] ?? (item.defaultOpen || hasActive);
+  const itemsId = `nav-group-${String(id).replace(/[^a-zA-Z0-9_-]/g, '-')}`;
+
+  // The rail has no room for children - clicking a group widens the sidebar instead
+  const handleToggle = () => (collapsed ? onExpandGroup(id) : onToggleGroup(id, !isExpanded));
+
+  // Right opens the group, Left closes it
+  const handleToggleKeyDown = (event) => {
+    if (collapsed) return;
+    if (event.key === 'ArrowRight' && !isExpanded) onToggleGroup(id, true);
+    if (event.key === 'ArrowLeft' && isExpanded) onToggleGroup(id, false);
+  };
+
+  const toggleProps = {
+    onClick: handleToggle,
+    onKeyDown: handleToggleKeyDown,
+    'aria-expanded': collapsed ? false : isExpanded,
+    'aria-controls': itemsId,
+  };
+
+  const chevron = <span className="nav-group-chevron" aria-hidden="true">▾</span>;
+
+  return (
+    <div className={`nav-group ${isExpanded ? 'expanded' : ''}`}>
+      {item.path ? (
+        <div className={`nav-group-header ${hasActive ? 'active' : ''}`}>
+          <Link
+            to={item.path}
+            className="nav-group-link"
+            aria-current={isCurrent ? 'page' : undefined}
+            title={tooltip}
+            onClick={onNavigate}
+          >
+            <NavItemContent item={item} collapsed={collapsed} />
+          </Link>
+          <button
+            className="nav-group-toggle"
+            aria-label={`${isExpanded ? 'Collapse' : 'Expand'} ${item.label}`}
+            {...toggleProps}
+          >
+            {chevron}
+          </button>
+        </div>
+      ) : (
+        <button
+          className={`nav-group-header ${hasActive ? 'active' : ''}`}
+          title={tooltip}
+          {...toggleProps}
+        >
+          <span className="nav-group-link">
+            <NavItemContent item={item} collapsed={collapsed} />
+          </span>
+          {chevron}
+        </button>
+      )}
+
+      <div className="nav-group-items" id={itemsId}>
+        {item.children.map((child) => (
+          <NavItem key={child.path || child.href || child.label} item={child} nav={nav} />
+        ))}
+      </div>
+    </div>
+  );
+};
 
 /**
  * Sidebar Component
  *
- * A fixed sidebar navigation with theme toggle control.
+ * A fixed sidebar navigation with theme toggle control. On desktop it can
+ * collapse to an icon-only rail (the choice is remembered); on mobile it's a
+ * drawer that traps focus while open and closes on Escape.
  *
  * Usage:
  *   <Sidebar
@@ -13,85 +222,213 @@ import { useTheme } from '../contexts';
  *     appName="My App"
  *     navItems={[
  *       { path: '/', label: 'Home', icon: '🏠' },
- *       { path: '/about', label: 'About', icon: 'ℹ️' },
+ *       {
+ *         path: '/reports', label: 'Reports', icon: '📊',
+ *         children: [
+ *           { path: '/reports/daily', label: 'Daily' },
+ *           { path: '/reports/weekly', label: 'Weekly' },
+ *         ],
+ *       },
+ *       { href: 'https://sobersidekick.com', label: 'Sober Sidekick', icon: '🌐' },
+ *     ]}
+ *   />
+ *
+ *   // Titled sections
+ *   <Sidebar
+ *     navItems={[
+ *       { title: 'Main', items: [{ path: '/', label: 'Home' }] },
+ *       { title: 'Admin', items: [{ path: '/admin', label: 'Users' }] },
  *     ]}
  *   />
  *
  * Props:
  *   - logo: React node for custom logo (optional)
- *   - appName: Application name displayed in header (default: "My App")
- *   - navItems: Array of navigation items with path, label, and optional icon
+ *   - appName: Application name displayed in header (default: APP_NAME from src/routes.js)
+ *   - navItems: Navigation items or sections (default: the labelled routes in src/routes.js)
  *   - withHeader: If true, positions sidebar below a header (default: false)
+ *   - collapsible: Show the desktop rail toggle (default: true)
+ *
+ * Navigation items:
+ *   - path: Route path - active on that path and any path below it
+ *   - exact: Only active on `path` itself (always the case for '/')
+ *   - href: External URL, opened in a new tab
+ *   - label, icon, badge: What's shown (the rail shows the icon, with the label as a tooltip)
+ *   - children: Nested items, shown as a collapsible group. Groups open when they
+ *     contain the current page; toggled groups are remembered across visits.
+ *   - defaultOpen: Open the group even when it doesn't contain the current page
+ *
+ * Sections: { title, items } - a titled list of navigation items
+ *
+ * Keyboard: Arrow Up/Down, Home and End move between items; Arrow Right/Left
+ * open and close groups.
+ *
+ * Inside CommandPaletteProvider, a Search button at the top opens the palette.
+ *
+ * The page offset follows the rail when the page is a later sibling of the
+ * sidebar: <main className="page-container-with-sidebar">.
  */
 const Sidebar = ({
-  logo = '🔷',
-  appName = 'My App',
-  navItems = [],
+  logo = APP_LOGO,
+  appName = APP_NAME,
+  navItems = manifestNavItems,
   withHeader = false,
+  collapsible = true,
   children
 }) => {
-  const { toggleTheme, isDark, theme } = useTheme();
+  const { toggleTheme, isDark, theme, themeDefinition, THEMES } = useTheme();
+  // Optional - the search button only shows inside CommandPaletteProvider
+  const commandPalette = useContext(CommandPaletteContext);
   const location = useLocation();
   const [isOpen, setIsOpen] = useState(false);
+  const [isCollapsed, setIsCollapsed] = useState(readStoredCollapsed);
+  const [openGroups, setOpenGroups] = useState(readStoredGroups);
 
-  const isActive = (path) => location.pathname === path;
+  const sidebarRef = useRef(null);
+  const mobileToggleRef = useRef(null);
+
+  // The rail is desktop only - the mobile drawer always shows labels
+  const collapsed = collapsible && isCollapsed && !isOpen;
+
+  // Mobile drawer: keep focus inside while open, Escape closes it and
+  // focus goes back to the toggle
+  useFocusTrap(sidebarRef, isOpen, {
+    onEscape: () => setIsOpen(false),
+    returnFocusRef: mobileToggleRef,
+  });
+
+  // Close the drawer when the window grows past the mobile breakpoint
+  useEffect(() => {
+    if (!window.matchMedia) return undefined;
+    const query = window.matchMedia(MOBILE_QUERY);
+    const handleChange = (event) => {
+      if (!event.matches) setIsOpen(false);
+    };
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
+  }, []);
 
   const handleNavClick = () => {
     // Close sidebar on mobile after navigation
     setIsOpen(false);
   };
 
-  // Default navigation items if none provided
-  const defaultNavItems = [
-    { path: '/', label: 'Home', icon: '🏠' },
-    { path: '/about', label: 'About', icon: 'ℹ️' },
-  ];
+  const items = navItems.length > 0 ? navItems : manifestNavItems;
+  const itemsRef = useRef(items);
+  itemsRef.current = items;
+
+  // Titled sections, or a single untitled section
+  const sections = items.some((item) => item.items) ? items : [{ items }];
+
+  const handleToggleGroup = (id, expanded) => {
+    setOpenGroups((prev) => ({ ...prev, [id]: expanded }));
+  };
+
+  const handleExpandGroup = (id) => {
+    setIsCollapsed(false);
+    handleToggleGroup(id, true);
+  };
+
+  // Reveal the groups leading to the current page, even ones collapsed earlier
+  useEffect(() => {
+    const activeIds = getActiveGroupIds(itemsRef.current, location.pathname);
+    setOpenGroups((prev) => {
+      const closed = activeIds.filter((id) => prev[id] === false);
+      if (closed.length === 0) return prev;
+      return closed.reduce((next, id) => ({ ...next, [id]: true }), prev);
+    });
+  }, [location.pathname]);
 
-  const items = navItems.length > 0 ? navItems : defaultNavItems;
+  // Remember toggled groups and the rail choice
+  useEffect(() => {
+    writeStorage(GROUPS_STORAGE_KEY, openGroups);
+  }, [openGroups]);
+
+  useEffect(() => {
+    writeStorage(COLLAPSED_STORAGE_KEY, isCollapsed);
+  }, [isCollapsed]);
+
+  const nav = {
+    pathname: location.pathname,
+    collapsed,
+    openGroups,
+    onToggleGroup: handleToggleGroup,
+    onExpandGroup: handleExpandGroup,
+    onNavigate: handleNavClick,
+  };
+
+  const sidebarClassName = [
+    'sidebar',
+    withHeader && 'sidebar-with-header',
+    isOpen && 'open',
+    collapsed && 'collapsed',
+  ].filter(Boolean).join(' ');
 
   return (
     <>
       {/* Mobile toggle button - only visible on mobile */}
       <button
+        ref={mobileToggleRef}
         className="sidebar-mobile-toggle"
         onClick={() => setIsOpen(!isOpen)}
-        aria-label="Toggle sidebar"
+        aria-label={isOpen ? 'Close navigation' : 'Open navigation'}
+        aria-expanded={isOpen}
+        aria-controls="app-sidebar"
       >
         {isOpen ? '✕' : '☰'}
       </button>
 
       {/* Sidebar */}
-      <aside className={`sidebar ${withHeader ? 'sidebar-with-header' : ''} ${isOpen ? 'open' : ''}`}>
+      <aside
+        ref={sidebarRef}
+        id="app-sidebar"
+        className={sidebarClassName}
+        aria-label="Sidebar"
+      >
         <div className="sidebar-header">
-          <Link to="/" className="sidebar-logo" onClick={handleNavClick}>
+          <Link
+            to="/"
+            className="sidebar-logo"
+            title={collapsed ? appName : undefined}
+            onClick={handleNavClick}
+          >
             {typeof logo === 'string' ? (
               <span style={{ fontSize: '1.5rem' }}>{logo}</span>
             ) : (
               logo
             )}
-            <span>{appName}</span>
+            <span className="sidebar-logo-name">{appName}</span>
           </Link>
         </div>
 
-        <nav className="sidebar-nav">
-          <div className="sidebar-section">
-            {items.map((item) => (
-              <Link
-                key={item.path}
-                to={item.path}
-                className={`nav-item ${isActive(item.path) ? 'active' : ''}`}
-                onClick={handleNavClick}
+        <nav className="sidebar-nav" aria-label="Main" onKeyDown={handleNavKeyDown}>
+          {commandPalette && (
+            <div className="sidebar-section">
+              <button
+                className="nav-item sidebar-search"
+                onClick={() => {
+                  setIsOpen(false);
+                  commandPalette.open();
+                }}
+                aria-keyshortcuts="Meta+K Control+K"
+                title={collapsed ? `Search (${SEARCH_SHORTCUT})` : undefined}
               >
-                {item.icon && (
-                  <span className="nav-item-icon">{item.icon}</span>
-                )}
-                <span>{item.label}</span>
-                {item.badge && (
-                  <span className="nav-item-badge">{item.badge}</span>
-                )}
-              </Link>
-            ))}
-          </div>
+                <span className="nav-item-icon" aria-hidden="true">🔍</span>
+                <span className="nav-item-label">Search</span>
+                <kbd className="sidebar-search-shortcut">{SEARCH_SHORTCUT}</kbd>
+              </button>
+            </div>
+          )}
+
+          {sections.map((section, index) => (
+            <div className="sidebar-section" key={section.title || index}>
+              {section.title && (
+                <div className="sidebar-section-title">{section.title}</div>
+              )}
+              {section.items.map((item) => (
+                <NavItem key={item.path || item.href || item.label} item={item} nav={nav} />
+              ))}
+            </div>
+          ))}
 
           {/* Additional custom content */}
           {children}
@@ -103,6 +440,7 @@ const Sidebar = ({
             className="theme-toggle-btn"
             onClick={toggleTheme}
             aria-label={`Switch to ${isDark ? 'light' : 'dark'} mode`}
+            title={collapsed ? `Switch to ${isDark ? 'light' : 'dark'} mode` : undefined}
           >
             <span className="theme-toggle-icon">
               {isDark ? '☀️' : '🌙'}
@@ -113,8 +451,26 @@ const Sidebar = ({
           </button>
 
           <div className="theme-indicator">
-            Currently: <strong>{theme === 'light' ? 'Light' : 'Dark'}</strong>
+            Currently: <strong>{themeDefinition.label}</strong>
+            {theme === THEMES.SYSTEM && ' (system)'}
           </div>
+
+          {/* Rail toggle - desktop only */}
+          {collapsible && (
+            <button
+              className="sidebar-collapse-toggle"
+              onClick={() => setIsCollapsed(!isCollapsed)}
+              aria-label={isCollapsed ? 'Expand sidebar' : 'Collapse sidebar'}
+              aria-expanded={!isCollapsed}
+              aria-controls="app-sidebar"
+              title={isCollapsed ? 'Expand sidebar' : undefined}
+            >
+              <span className="sidebar-collapse-icon" aria-hidden="true">
+                {isCollapsed ? '»' : '«'}
+              </span>
+              <span className="sidebar-collapse-label">Collapse</span>
+            </button>
+          )}
         </div>
       </aside>
 
@@ -0,0 +1,61 @@
+import React from 'react';
+
+const DEFAULT_ICONS = {
+  success: '✅',
+  warning: '⚠️',
+  error: '⛔',
+  info: 'ℹ️',
+};
+
+/**
+ * Alert Component
+ *
+ * Inline message in one of the status colors. Errors and warnings are
+ * announced immediately (role="alert"); success and info politely
+ * (role="status").
+ *
+ * Usage:
+ *   <Alert variant="error" title="Something went wrong">
+ *     We could not load meetings.
+ *   </Alert>
+ *
+ * Props:
+ *   - variant: 'success' | 'warning' | 'error' | 'info' (default: 'info')
+ *   - title: Bold first line
+ *   - icon: Icon to show (default: one per variant), or null for none
+ *   - onDismiss: Shows a dismiss button that calls it
+ *   - className: Extra classes
+ *   - Any other attributes are passed to the alert element
+ */
+const Alert = ({
+  variant = 'info',
+  title,
+  icon = DEFAULT_ICONS[variant],
+  onDismiss,
+  className = '',
+  children,
+  ...rest
+}) => {
+  const isUrgent = variant === 'error' || variant === 'warning';
+
+  return (
+    <div
+      className={`alert alert-${variant} ${className}`.trim()}
+      role={isUrgent ? 'alert' : 'status'}
+      {...rest}
+    >
+      {icon && <span className="alert-icon" aria-hidden="true">{icon}</span>}
+      <div className="alert-content">
+        {title && <div className="alert-title">{title}</div>}
+        {children}
+      </div>
+      {onDismiss && (
+        <button type="button" className="alert-dismiss" onClick={onDismiss} aria-label="Dismiss">
+          ✕
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default Alert;
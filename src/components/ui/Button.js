@@ -0,0 +1,61 @@
+import React, { forwardRef } from 'react';
+
+/**
+ * Button Component
+ *
+ * The design system's `.btn` with its variants. While `loading`, the label
+ * is replaced by a spinner and the button is disabled and marked busy.
+ *
+ * Usage:
+ *   <Button onClick={save}>Save</Button>
+ *   <Button variant="secondary" size="sm" icon="↻">Retry</Button>
+ *   <Button type="submit" loading={isSubmitting} fullWidth>Sign in</Button>
+ *
+ * Props:
+ *   - variant: 'primary' | 'secondary' | 'success' | 'danger' | 'ghost' | 'link' (default: 'primary')
+ *   - size: 'sm' | 'md' | 'lg' (default: 'md')
+ *   - loading: Show a spinner and disable the button
+ *   - fullWidth: Stretch to the container's width
+ *   - icon: Shown before the label
+ *   - type: Button type (default: 'button')
+ *   - Any other button attributes are passed through
+ */
+const Button = forwardRef(({
+  variant = 'primary',
+  size = 'md',
+  loading = false,
+  fullWidth = false,
+  icon,
+  type = 'button',
+  disabled,
+  className = '',
+  children,
+  ...rest
+}, ref) => {
+  const classes = [
+    'btn',
+    `btn-${variant}`,
+    size !== 'md' && `btn-${size}`,
+    fullWidth && 'btn-full',
+    loading && 'btn-loading',
+    className,
+  ].filter(Boolean).join(' ');
+
+  return (
+    <button
+      ref={ref}
+      type={type}
+      className={classes}
+      disabled={disabled || loading}
+      aria-busy={loading || undefined}
+      {...rest}
+    >
+      {icon && <span aria-hidden="true">{icon}</span>}
+      {children}
+    </button>
+  );
+});
+
+Button.displayName = 'Button';
+
+export default Button;
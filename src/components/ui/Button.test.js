@@ -0,0 +1,34 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import Button from './Button';
+
+describe('Button', () => {
+  it('renders a type="button" with the variant classes', () => {
+    render(<Button variant="secondary" size="sm">Retry</Button>);
+
+    const button = screen.getByRole('button', { name: 'Retry' });
+    expect(button).toHaveAttribute('type', 'button');
+    expect(button).toHaveClass('btn', 'btn-secondary', 'btn-sm');
+    expect(button).not.toHaveAttribute('aria-busy');
+  });
+
+  it('is disabled and busy while loading', async () => {
+    const onClick = jest.fn();
+    render(<Button loading onClick={onClick}>Save</Button>);
+
+    const button = screen.getByRole('button', { name: 'Save' });
+    expect(button).toHaveClass('btn-loading');
+    expect(button).toBeDisabled();
+    expect(button).toHaveAttribute('aria-busy', 'true');
+
+    await userEvent.click(button);
+    expect(onClick).not.toHaveBeenCalled();
+  });
+
+  it('forwards its ref to the button element', () => {
+    const ref = React.createRef();
+    render(<Button ref={ref}>Save</Button>);
+    expect(ref.current).toBe(screen.getByRole('button', { name: 'Save' }));
+  });
+});
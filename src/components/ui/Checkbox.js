@@ -0,0 +1,32 @@
+import React, { forwardRef } from 'react';
+import { useFieldControl } from './Field';
+
+/**
+ * Checkbox Component
+ *
+ * Checkbox with its label (`.checkbox-wrapper`). Inside a Field it's
+ * described and bound to the form (as a boolean value) automatically.
+ *
+ * Usage:
+ *   <Field form={form} name="subscribe">
+ *     <Checkbox label="Email me about new meetings" />
+ *   </Field>
+ *
+ * Props:
+ *   - label: Text next to the checkbox
+ *   - Any other input attributes are passed through
+ */
+const Checkbox = forwardRef(({ label, className = '', ...props }, ref) => {
+  const controlProps = useFieldControl(props, { type: 'checkbox' });
+
+  return (
+    <label className={`checkbox-wrapper ${className}`.trim()}>
+      <input ref={ref} type="checkbox" {...controlProps} />
+      {label && <span className="checkbox-label">{label}</span>}
+    </label>
+  );
+});
+
+Checkbox.displayName = 'Checkbox';
+
+export default Checkbox;
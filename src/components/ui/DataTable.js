@@ -0,0 +1,525 @@
+import React, { useContext, useEffect, useMemo, useRef, useState } from 'react';
+import AnalyticsContext from '../../contexts/AnalyticsContext';
+import { ANALYTICS_EVENTS } from '../../analytics/events';
+import { useTableState } from '../../hooks/useTableState';
+import {
+  getCellValue,
+  filterRows,
+  sortRows,
+  paginateRows,
+  getFilterOptions,
+} from '../../utils/tableData';
+import Alert from './Alert';
+import Button from './Button';
+import Skeleton from './Skeleton';
+
+const SEARCH_DEBOUNCE = 300;
+const OVERSCAN_ROWS = 6;
+const ARIA_SORT = { asc: 'ascending', desc: 'descending' };
+
+/**
+ * DataTable Component
+ *
+ * Sortable, filterable, paginated table for list views. Page, sort, search
+ * and filters live in the URL query string (see useTableState), so views
+ * can be bookmarked and shared.
+ *
+ * Client-side (default): pass every row, e.g. from useCachedFetch, and the
+ * table sorts, filters and paginates them. Server-side (`server`): pass one
+ * page of rows and `totalRows`, and fetch with the same state - create it
+ * with useTableState and pass it as `state`. For 10k+ client rows, use
+ * `virtualized` to scroll through them instead of paging.
+ *
+ * Tracks SORT_CHANGED, FILTER_APPLIED / FILTER_CLEARED, and ITEM_SELECTED /
+ * ITEM_DESELECTED for row selection.
+ *
+ * Usage:
+ *   const columns = [
+ *     { key: 'name', header: 'Name', sortable: true },
+ *     { key: 'day', header: 'Day', sortable: true, filter: { options: ['Monday', 'Tuesday'] } },
+ *     { key: 'attendees', header: 'Attendees', sortable: true, align: 'right' },
+ *     { key: 'url', header: '', searchable: false, render: (url) => <a href={url}>Join</a> },
+ *   ];
+ *   const { data, isLoading, error, refetch } = useCachedFetch('/meetings', { client: api });
+ *
+ *   <DataTable
+ *     columns={columns}
+ *     rows={data}
+ *     isLoading={isLoading}
+ *     error={error}
+ *     onRetry={refetch}
+ *     searchable
+ *     selectable
+ *     itemType="meeting"
+ *   />
+ *
+ * Props:
+ *   - columns: [{ key, header, accessor, render(value, row), sortable, sortValue, searchable, filter, align, width }]
+ *     (see utils/tableData for accessor, sortValue, searchable and filter)
+ *   - rows: Row objects
+ *   - getRowId: Row id for keys and selection (default: row.id)
+ *   - isLoading: Show skeleton rows (or dim the current rows while new ones load)
+ *   - error: Error to show; onRetry adds a Retry button
+ *   - server: Rows are already sorted, filtered and paginated by the server
+ *   - totalRows: Total matching rows on the server, for pagination
+ *   - state: Table state from useTableState (default: the table's own)
+ *   - id / defaultSort / defaultPageSize: useTableState options for the table's own state
+ *   - pageSizeOptions: Choices for rows per page (default: [10, 25, 50, 100])
+ *   - searchable: Show a search box
+ *   - virtualized: Scroll through all rows, rendering only the visible ones (client-side only)
+ *   - height / rowHeight: Scroll area and fixed row height in pixels when virtualized (default: 480 / 44)
+ *   - selectable: Show row checkboxes
+ *   - selectedIds / onSelectionChange: Selected row ids (controlled) and change callback (ids)
+ *   - itemType: item_type for selection analytics (default: 'row')
+ *   - onRowClick: Called with the row when a row is clicked or activated with Enter
+ *   - caption: Accessible table caption (visually hidden)
+ *   - emptyMessage: Shown when there are no rows (default: 'No results')
+ */
+const DataTable = ({
+  columns,
+  rows = [],
+  getRowId = (row) => row.id,
+  isLoading = false,
+  error = null,
+  onRetry,
+  server = false,
+  totalRows,
+  state,
+  id,
+  defaultSort,
+  defaultPageSize,
+  pageSizeOptions = [10, 25, 50, 100],
+  searchable = false,
+  virtualized = false,
+  height = 480,
+  rowHeight = 44,
+  selectable = false,
+  selectedIds,
+  onSelectionChange,
+  itemType = 'row',
+  onRowClick,
+  caption,
+  emptyMessage = 'No results',
+  className = '',
+}) => {
+  const analytics = useContext(AnalyticsContext);
+  const ownState = useTableState({ id, defaultSort, defaultPageSize });
+  const table = state || ownState;
+
+  const data = useMemo(() => rows || [], [rows]);
+  const track = (event, properties) => analytics?.track(event, properties);
+
+  // Rows to show
+  const processed = useMemo(() => {
+    if (server) return data;
+    const filtered = filterRows(data, columns, { search: table.search, filters: table.filters });
+    return sortRows(filtered, columns, table.sort);
+  }, [server, data, columns, table.search, table.filters, table.sort]);
+
+  const pagination = useMemo(() => {
+    if (server) {
+      const total = totalRows ?? data.length;
+      const start = data.length ? (table.page - 1) * table.pageSize + 1 : 0;
+      return {
+        rows: data,
+        page: table.page,
+        pageCount: totalRows === undefined
+          // Unknown total: offer a next page while pages come back full
+          ? table.page + (data.length === table.pageSize ? 1 : 0)
+          : Math.max(1, Math.ceil(totalRows / table.pageSize)),
+        start,
+        end: start ? start + data.length - 1 : 0,
+        total,
+      };
+    }
+    if (virtualized) {
+      return {
+        rows: processed,
+        page: 1,
+        pageCount: 1,
+        start: processed.length ? 1 : 0,
+        end: processed.length,
+        total: processed.length,
+      };
+    }
+    return {
+      ...paginateRows(processed, { page: table.page, pageSize: table.pageSize }),
+      total: processed.length,
+    };
+  }, [server, virtualized, data, processed, totalRows, table.page, table.pageSize]);
+
+  const visibleRows = pagination.rows;
+  const hasActiveFilters = !!table.search || Object.values(table.filters).some((value) => value !== '');
+
+  // Search (debounced into the URL)
+  const [searchInput, setSearchInput] = useState(table.search);
+  const latest = useRef({});
+  latest.current = { table, analytics };
+
+  // Follow URL changes (Back, clear filters)
+  useEffect(() => {
+    setSearchInput(table.search);
+  }, [table.search]);
+
+  useEffect(() => {
+    if (searchInput === latest.current.table.search) return undefined;
+
+    const timer = setTimeout(() => {
+      // Committed as typed, so the box doesn't lose a trailing space mid-query
+      latest.current.table.setSearch(searchInput);
+      const query = searchInput.trim();
+      latest.current.analytics?.track(
+        query ? ANALYTICS_EVENTS.FILTER_APPLIED : ANALYTICS_EVENTS.FILTER_CLEARED,
+        query ? { filter_name: 'search', filter_value: query } : { filter_name: 'search' }
+      );
+    }, SEARCH_DEBOUNCE);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  const handleFilterChange = (column, value) => {
+    table.setFilter(column.key, value);
+    if (value === '') {
+      track(ANALYTICS_EVENTS.FILTER_CLEARED, { filter_name: column.key });
+    } else {
+      track(ANALYTICS_EVENTS.FILTER_APPLIED, { filter_name: column.key, filter_value: value });
+    }
+  };
+
+  const handleClearFilters = () => {
+    setSearchInput('');
+    table.clearFilters();
+    track(ANALYTICS_EVENTS.FILTER_CLEARED, {});
+  };
+
+  // Sorting
+  const handleSort = (column) => {
+    const direction = table.sort?.by === column.key && table.sort.direction === 'asc' ? 'desc' : 'asc';
+    table.setSort({ by: column.key, direction });
+    track(ANALYTICS_EVENTS.SORT_CHANGED, { sort_by: column.key, sort_direction: direction });
+  };
+
+  // Selection
+  const [ownSelection, setOwnSelection] = useState([]);
+  const selection = selectedIds || ownSelection;
+  const selectedSet = useMemo(() => new Set(selection), [selection]);
+
+  const changeSelection = (ids) => {
+    if (!selectedIds) setOwnSelection(ids);
+    onSelectionChange?.(ids);
+  };
+
+  const toggleRow = (row) => {
+    const rowId = getRowId(row);
+    const isSelected = selectedSet.has(rowId);
+    changeSelection(isSelected ? selection.filter((selected) => selected !== rowId) : [...selection, rowId]);
+    track(isSelected ? ANALYTICS_EVENTS.ITEM_DESELECTED : ANALYTICS_EVENTS.ITEM_SELECTED, {
+      item_type: itemType,
+      item_id: rowId,
+    });
+  };
+
+  // The header checkbox covers the rows on screen (all rows when virtualized)
+  const visibleIds = visibleRows.map(getRowId);
+  const selectedVisible = visibleIds.filter((rowId) => selectedSet.has(rowId)).length;
+  const allVisibleSelected = visibleIds.length > 0 && selectedVisible === visibleIds.length;
+
+  const toggleAll = () => {
+    if (allVisibleSelected) {
+      const visibleSet = new Set(visibleIds);
+      changeSelection(selection.filter((rowId) => !visibleSet.has(rowId)));
+    } else {
+      changeSelection([...selection, ...visibleIds.filter((rowId) => !selectedSet.has(rowId))]);
+    }
+  };
+
+  const selectAllRef = useRef(null);
+  useEffect(() => {
+    if (selectAllRef.current) {
+      selectAllRef.current.indeterminate = selectedVisible > 0 && !allVisibleSelected;
+    }
+  }, [selectedVisible, allVisibleSelected]);
+
+  // Virtualized scrolling
+  const scrollRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+
+  // Back to the top when the rows change order or membership
+  const viewKey = JSON.stringify([table.sort, table.search, table.filters]);
+  useEffect(() => {
+    if (virtualized && scrollRef.current) {
+      scrollRef.current.scrollTop = 0;
+      setScrollTop(0);
+    }
+  }, [virtualized, viewKey]);
+
+  let windowStart = 0;
+  let windowEnd = visibleRows.length;
+  if (virtualized) {
+    windowStart = Math.max(0, Math.floor(scrollTop / rowHeight) - OVERSCAN_ROWS);
+    windowEnd = Math.min(visibleRows.length, Math.ceil((scrollTop + height) / rowHeight) + OVERSCAN_ROWS);
+  }
+  const renderedRows = virtualized ? visibleRows.slice(windowStart, windowEnd) : visibleRows;
+
+  // Rendering
+  const columnCount = columns.length + (selectable ? 1 : 0);
+  const filterColumns = columns.filter((column) => column.filter);
+  const showSkeleton = isLoading && visibleRows.length === 0;
+  const showError = error && visibleRows.length === 0;
+
+  const cellProps = (column) => ({
+    className: column.align === 'right' ? 'data-table-align-right' : undefined,
+    style: column.width ? { width: column.width } : undefined,
+  });
+
+  const handleRowKeyDown = (event, row) => {
+    if (event.key === 'Enter' && event.target === event.currentTarget) {
+      onRowClick(row);
+    }
+  };
+
+  const handleRowClick = (event, row) => {
+    // Clicks on links, buttons and checkboxes inside the row are theirs
+    if (!event.target.closest('a, button, input, select, label')) {
+      onRowClick(row);
+    }
+  };
+
+  const renderBody = () => {
+    if (showSkeleton) {
+      return Array.from({ length: Math.min(table.pageSize, 8) }, (_, index) => (
+        <tr key={`skeleton-${index}`} aria-hidden="true">
+          {Array.from({ length: columnCount }, (__, cellIndex) => (
+            <td key={cellIndex}><Skeleton /></td>
+          ))}
+        </tr>
+      ));
+    }
+
+    if (showError) {
+      return (
+        <tr>
+          <td colSpan={columnCount} className="data-table-message">
+            <Alert variant="error" title="Could not load data">
+              {error.message}
+              {onRetry && (
+                <div className="mt-2">
+                  <Button variant="secondary" size="sm" onClick={onRetry}>Retry</Button>
+                </div>
+              )}
+            </Alert>
+          </td>
+        </tr>
+      );
+    }
+
+    if (visibleRows.length === 0) {
+      return (
+        <tr>
+          <td colSpan={columnCount} className="data-table-message data-table-empty">
+            {hasActiveFilters ? (
+              <>
+                <p>No rows match your search or filters.</p>
+                <Button variant="link" onClick={handleClearFilters}>Clear filters</Button>
+              </>
+            ) : emptyMessage}
+          </td>
+        </tr>
+      );
+    }
+
+    return (
+      <>
+        {virtualized && windowStart > 0 && (
+          <tr aria-hidden="true" style={{ height: windowStart * rowHeight }} />
+        )}
+        {renderedRows.map((row, index) => {
+          const rowId = getRowId(row);
+          const isSelected = selectedSet.has(rowId);
+          return (
+            <tr
+              key={rowId}
+              className={[
+                isSelected && 'selected',
+                onRowClick && 'data-table-row-clickable',
+              ].filter(Boolean).join(' ') || undefined}
+              style={virtualized ? { height: rowHeight } : undefined}
+              aria-rowindex={virtualized ? windowStart + index + 2 : undefined}
+              aria-selected={selectable ? isSelected : undefined}
+              tabIndex={onRowClick ? 0 : undefined}
+              onClick={onRowClick ? (event) => handleRowClick(event, row) : undefined}
+              onKeyDown={onRowClick ? (event) => handleRowKeyDown(event, row) : undefined}
+            >
+              {selectable && (
+                <td className="data-table-checkbox">
+                  <input
+                    type="checkbox"
+                    checked={isSelected}
+                    onChange={() => toggleRow(row)}
+                    aria-label={`Select ${itemType} ${rowId}`}
+                  />
+                </td>
+              )}
+              {columns.map((column) => {
+                const value = getCellValue(row, column);
+                return (
+                  <td key={column.key} {...cellProps(column)}>
+                    {column.render ? column.render(value, row) : value}
+                  </td>
+                );
+              })}
+            </tr>
+          );
+        })}
+        {virtualized && windowEnd < visibleRows.length && (
+          <tr aria-hidden="true" style={{ height: (visibleRows.length - windowEnd) * rowHeight }} />
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div className={`data-table-container ${className}`.trim()}>
+      {(searchable || filterColumns.length > 0) && (
+        <div className="data-table-toolbar">
+          {searchable && (
+            <input
+              type="search"
+              className="input data-table-search"
+              placeholder="Search…"
+              aria-label="Search table"
+              value={searchInput}
+              onChange={(event) => setSearchInput(event.target.value)}
+            />
+          )}
+          {filterColumns.map((column) => (
+            <select
+              key={column.key}
+              className="select"
+              aria-label={`Filter by ${column.filter.label || column.header || column.key}`}
+              value={table.filters[column.key] ?? ''}
+              onChange={(event) => handleFilterChange(column, event.target.value)}
+            >
+              <option value="">{`All ${(column.filter.label || column.header || column.key).toLowerCase()}`}</option>
+              {getFilterOptions(column).map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          ))}
+          {hasActiveFilters && (
+            <Button variant="ghost" size="sm" onClick={handleClearFilters}>Clear filters</Button>
+          )}
+        </div>
+      )}
+
+      {error && !showError && (
+        <Alert variant="error" className="data-table-alert">
+          {error.message}
+          {onRetry && <Button variant="link" size="sm" className="ml-2" onClick={onRetry}>Retry</Button>}
+        </Alert>
+      )}
+
+      <div
+        ref={scrollRef}
+        className="data-table-scroll"
+        style={virtualized ? { maxHeight: height } : undefined}
+        onScroll={virtualized ? (event) => setScrollTop(event.currentTarget.scrollTop) : undefined}
+      >
+        <table
+          className={[
+            'data-table',
+            virtualized && 'data-table-virtual',
+            isLoading && !showSkeleton && 'data-table-loading',
+          ].filter(Boolean).join(' ')}
+          aria-busy={isLoading || undefined}
+          aria-rowcount={virtualized ? visibleRows.length + 1 : undefined}
+        >
+          {caption && <caption className="sr-only">{caption}</caption>}
+          <thead>
+            <tr aria-rowindex={virtualized ? 1 : undefined}>
+              {selectable && (
+                <th className="data-table-checkbox">
+                  <input
+                    ref={selectAllRef}
+                    type="checkbox"
+                    checked={allVisibleSelected}
+                    onChange={toggleAll}
+                    disabled={visibleIds.length === 0}
+                    aria-label={virtualized ? 'Select all rows' : 'Select all rows on this page'}
+                  />
+                </th>
+              )}
+              {columns.map((column) => {
+                const sortDirection = table.sort?.by === column.key ? table.sort.direction : null;
+                return (
+                  <th
+                    key={column.key}
+                    scope="col"
+                    aria-sort={column.sortable ? ARIA_SORT[sortDirection] || 'none' : undefined}
+                    {...cellProps(column)}
+                  >
+                    {column.sortable ? (
+                      <button type="button" className="data-table-sort" onClick={() => handleSort(column)}>
+                        {column.header}
+                        <span className="data-table-sort-icon" aria-hidden="true">
+                          {sortDirection === 'asc' ? '▲' : sortDirection === 'desc' ? '▼' : '↕'}
+                        </span>
+                      </button>
+                    ) : column.header}
+                  </th>
+                );
+              })}
+            </tr>
+          </thead>
+          <tbody>{renderBody()}</tbody>
+        </table>
+      </div>
+
+      {!virtualized && !showSkeleton && !showError && pagination.total > 0 && (
+        <div className="data-table-footer">
+          <span aria-live="polite">
+            {pagination.start}–{pagination.end}
+            {totalRows !== undefined || !server ? ` of ${pagination.total}` : ''}
+          </span>
+          <div className="data-table-pagination">
+            <label className="data-table-page-size">
+              Rows per page
+              <select
+                className="select"
+                value={table.pageSize}
+                onChange={(event) => table.setPageSize(Number(event.target.value))}
+              >
+                {pageSizeOptions.map((size) => <option key={size} value={size}>{size}</option>)}
+              </select>
+            </label>
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={() => table.setPage(pagination.page - 1)}
+              disabled={pagination.page <= 1}
+              aria-label="Previous page"
+            >
+              ‹
+            </Button>
+            <span>Page {pagination.page} of {pagination.pageCount}</span>
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={() => table.setPage(pagination.page + 1)}
+              disabled={pagination.page >= pagination.pageCount}
+              aria-label="Next page"
+            >
+              ›
+            </Button>
+          </div>
+        </div>
+      )}
+      {virtualized && visibleRows.length > 0 && (
+        <div className="data-table-footer">
+          <span>{visibleRows.length} rows</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataTable;
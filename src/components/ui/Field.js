@@ -0,0 +1,86 @@
+import React, { createContext, useContext, useId } from 'react';
+
+const FieldContext = createContext(null);
+
+/**
+ * Control props from the enclosing Field, merged with the control's own
+ * Used by Input, Select, Textarea and Checkbox - props passed directly win.
+ */
+export const useFieldControl = (props, { type } = {}) => {
+  const field = useContext(FieldContext);
+  if (!field) return props;
+
+  const { form, name, id, describedBy, invalid, required } = field;
+  return {
+    id,
+    'aria-describedby': describedBy,
+    'aria-invalid': invalid || undefined,
+    'aria-required': required || undefined,
+    ...(form && name ? form.getFieldProps(name, { type }) : {}),
+    ...props,
+  };
+};
+
+/**
+ * Field Component
+ *
+ * Label, help text and error message around a form control (`.form-group`).
+ * The control inside gets the ids and aria attributes that connect them.
+ * With `form` (from useForm) and `name`, the control is bound to the form
+ * and its validation error is shown once the field is touched.
+ *
+ * Usage:
+ *   <Field form={form} name="email" label="Email" required help="We'll never share it">
+ *     <Input type="email" />
+ *   </Field>
+ *
+ *   // Without useForm
+ *   <Field label="Search" error={error}>
+ *     <Input value={query} onChange={(event) => setQuery(event.target.value)} />
+ *   </Field>
+ *
+ * Props:
+ *   - form: Form from useForm
+ *   - name: Field name in the form
+ *   - label: Label text (leave out for checkboxes, which have their own)
+ *   - required: Marks the label as required
+ *   - help: Hint shown under the control
+ *   - error: Error message (default: the form's error for `name`)
+ *   - className: Extra classes
+ */
+const Field = ({
+  form,
+  name,
+  label,
+  required = false,
+  help,
+  error,
+  className = '',
+  children,
+}) => {
+  const id = useId();
+  const helpId = `${id}-help`;
+  const errorId = `${id}-error`;
+
+  const fieldState = form && name ? form.getFieldState(name) : null;
+  const message = error ?? (fieldState?.showError ? fieldState.error : undefined);
+
+  const describedBy = [help && helpId, message && errorId].filter(Boolean).join(' ') || undefined;
+
+  return (
+    <FieldContext.Provider value={{ form, name, id, describedBy, invalid: !!message, required }}>
+      <div className={`form-group ${className}`.trim()}>
+        {label && (
+          <label htmlFor={id} className={`form-label ${required ? 'form-label-required' : ''}`.trim()}>
+            {label}
+          </label>
+        )}
+        {children}
+        {help && <p id={helpId} className="form-help">{help}</p>}
+        {message && <p id={errorId} className="form-error" role="alert">{message}</p>}
+      </div>
+    </FieldContext.Provider>
+  );
+};
+
+export default Field;
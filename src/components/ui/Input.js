@@ -0,0 +1,35 @@
+import React, { forwardRef } from 'react';
+import { useFieldControl } from './Field';
+
+/**
+ * Input Component
+ *
+ * Text input (`.input`). Inside a Field it's labelled, described and bound
+ * to the form automatically.
+ *
+ * Usage:
+ *   <Field form={form} name="email" label="Email">
+ *     <Input type="email" placeholder="you@example.com" />
+ *   </Field>
+ *
+ * Props:
+ *   - type: Input type (default: 'text')
+ *   - Any other input attributes are passed through
+ */
+const Input = forwardRef(({ type = 'text', className = '', ...props }, ref) => {
+  const controlProps = useFieldControl(props);
+  const invalid = !!controlProps['aria-invalid'];
+
+  return (
+    <input
+      ref={ref}
+      type={type}
+      className={['input', invalid && 'input-error', className].filter(Boolean).join(' ')}
+      {...controlProps}
+    />
+  );
+});
+
+Input.displayName = 'Input';
+
+export default Input;
@@ -0,0 +1,89 @@
+import React, { useId, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import { useFocusTrap } from '../../hooks/useFocusTrap';
+import { useScrollLock } from '../../hooks/useScrollLock';
+import { useDialogTracking } from '../../hooks/useDialogTracking';
+
+/**
+ * Modal Component
+ *
+ * Dialog rendered over the page in a portal. While open, keyboard focus is
+ * trapped inside, Escape and the close button call `onClose`, the page
+ * behind stops scrolling, and focus returns to where it was on close.
+ * Tracks MODAL_OPENED / MODAL_CLOSED with `name` (or the title).
+ * Modals can open over a SlidePanel or another dialog: the newest one
+ * holds focus and takes Escape until it closes.
+ *
+ * Usage:
+ *   <Modal
+ *     isOpen={isOpen}
+ *     onClose={() => setIsOpen(false)}
+ *     title="Leave meeting?"
+ *     footer={<Button onClick={leave}>Leave</Button>}
+ *   >
+ *     You can rejoin at any time.
+ *   </Modal>
+ *
+ * Props:
+ *   - isOpen: Whether the modal is showing
+ *   - onClose: Called on Escape, the close button and (by default) overlay clicks
+ *   - title: Heading, also the dialog's accessible name
+ *   - footer: Actions shown below the body
+ *   - name: modal_name for analytics (default: title when it's a string)
+ *   - closeOnOverlayClick: Close when clicking outside the dialog (default: true)
+ *   - initialFocusRef: Element to focus when opening (default: first focusable)
+ *   - className: Extra classes on the dialog
+ */
+const Modal = ({
+  isOpen,
+  onClose,
+  title,
+  footer,
+  name,
+  closeOnOverlayClick = true,
+  initialFocusRef,
+  className = '',
+  children,
+}) => {
+  const dialogRef = useRef(null);
+  const titleId = useId();
+
+  useFocusTrap(dialogRef, isOpen, { onEscape: onClose, initialFocusRef });
+  useScrollLock(isOpen);
+  useDialogTracking(isOpen, name || (typeof title === 'string' ? title : undefined));
+
+  if (!isOpen) return null;
+
+  const handleOverlayClick = (event) => {
+    // Only clicks on the overlay itself, not ones bubbling from the dialog
+    if (closeOnOverlayClick && event.target === event.currentTarget) {
+      onClose?.();
+    }
+  };
+
+  return createPortal(
+    <div className="modal-overlay" onClick={handleOverlayClick}>
+      <div
+        ref={dialogRef}
+        className={`modal ${className}`.trim()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={title ? titleId : undefined}
+      >
+        {title && (
+          <div className="modal-header">
+            <h2 id={titleId} className="modal-title">{title}</h2>
+            <button type="button" className="modal-close" onClick={onClose} aria-label="Close">
+              ✕
+            </button>
+          </div>
+        )}
+        <div className="modal-body">{children}</div>
+        {footer && <div className="modal-footer">{footer}</div>}
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+export default Modal;
@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import Modal from './Modal';
+import SlidePanel from './SlidePanel';
+import AnalyticsContext from '../../contexts/AnalyticsContext';
+import { ANALYTICS_EVENTS } from '../../analytics/events';
+
+const ModalExample = ({ onClose }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const close = () => {
+    onClose?.();
+    setIsOpen(false);
+  };
+
+  return (
+    <>
+      <button type="button" onClick={() => setIsOpen(true)}>Open</button>
+      <Modal
+        isOpen={isOpen}
+        onClose={close}
+        title="Leave meeting?"
+        footer={<button type="button">Leave</button>}
+      >
+        <input aria-label="Reason" />
+      </Modal>
+    </>
+  );
+};
+
+const ModalOverPanel = ({ onPanelClose, onModalClose }) => {
+  const [panelOpen, setPanelOpen] = useState(true);
+  const [modalOpen, setModalOpen] = useState(false);
+
+  return (
+    <SlidePanel
+      isOpen={panelOpen}
+      onClose={() => {
+        onPanelClose();
+        setPanelOpen(false);
+      }}
+      title="Meeting details"
+    >
+      <button type="button" onClick={() => setModalOpen(true)}>Delete meeting</button>
+      <Modal
+        isOpen={modalOpen}
+        onClose={() => {
+          onModalClose();
+          setModalOpen(false);
+        }}
+        title="Delete meeting?"
+        footer={<button type="button">Delete</button>}
+      />
+    </SlidePanel>
+  );
+};
+
+const renderModal = ({ onClose } = {}) => {
+  const track = jest.fn();
+  const user = userEvent.setup();
+  const view = render(
+    <AnalyticsContext.Provider value={{ track }}>
+      <ModalExample onClose={onClose} />
+    </AnalyticsContext.Provider>
+  );
+  return { ...view, track, user };
+};
+
+describe('Modal', () => {
+  beforeEach(() => {
+    // jsdom does no layout, so every element would count as hidden to the focus trap
+    jest.spyOn(Element.prototype, 'getClientRects').mockReturnValue([{}]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('renders nothing while closed', () => {
+    renderModal();
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  });
+
+  it('renders in a portal on document.body, labelled by its title', async () => {
+    const { container, user } = renderModal();
+    await user.click(screen.getByRole('button', { name: 'Open' }));
+
+    const dialog = screen.getByRole('dialog', { name: 'Leave meeting?' });
+    expect(dialog).toHaveAttribute('aria-modal', 'true');
+    expect(container).not.toContainElement(dialog);
+    expect(document.body).toContainElement(dialog);
+  });
+
+  it('moves focus inside and keeps Tab cycling within the dialog', async () => {
+    const { user } = renderModal();
+    await user.click(screen.getByRole('button', { name: 'Open' }));
+
+    const close = screen.getByRole('button', { name: 'Close' });
+    const reason = screen.getByRole('textbox', { name: 'Reason' });
+    const leave = screen.getByRole('button', { name: 'Leave' });
+    expect(close).toHaveFocus();
+
+    await user.tab();
+    expect(reason).toHaveFocus();
+    await user.tab();
+    expect(leave).toHaveFocus();
+    await user.tab();
+    expect(close).toHaveFocus();
+    await user.tab({ shift: true });
+    expect(leave).toHaveFocus();
+  });
+
+  it('calls onClose on Escape and returns focus to the opener', async () => {
+    const onClose = jest.fn();
+    const { user } = renderModal({ onClose });
+    const opener = screen.getByRole('button', { name: 'Open' });
+    await user.click(opener);
+
+    await user.keyboard('{Escape}');
+
+    expect(onClose).toHaveBeenCalledTimes(1);
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    expect(opener).toHaveFocus();
+  });
+
+  it('tracks MODAL_OPENED and MODAL_CLOSED with the title as modal_name', async () => {
+    const { track, user } = renderModal();
+    await user.click(screen.getByRole('button', { name: 'Open' }));
+    expect(track).toHaveBeenCalledWith(ANALYTICS_EVENTS.MODAL_OPENED, { modal_name: 'Leave meeting?' });
+
+    await user.click(screen.getByRole('button', { name: 'Close' }));
+    expect(track).toHaveBeenCalledWith(ANALYTICS_EVENTS.MODAL_CLOSED, { modal_name: 'Leave meeting?' });
+    expect(track).toHaveBeenCalledTimes(2);
+  });
+
+  describe('opened from a SlidePanel', () => {
+    const renderNested = async () => {
+      const onPanelClose = jest.fn();
+      const onModalClose = jest.fn();
+      const user = userEvent.setup();
+      render(<ModalOverPanel onPanelClose={onPanelClose} onModalClose={onModalClose} />);
+      await user.click(screen.getByRole('button', { name: 'Delete meeting' }));
+      return { user, onPanelClose, onModalClose };
+    };
+
+    it('keeps focus in the modal', async () => {
+      const { user } = await renderNested();
+      const modal = screen.getByRole('dialog', { name: 'Delete meeting?' });
+      const close = within(modal).getByRole('button', { name: 'Close' });
+      expect(close).toHaveFocus();
+
+      await user.tab();
+      expect(within(modal).getByRole('button', { name: 'Delete' })).toHaveFocus();
+      await user.tab();
+      expect(close).toHaveFocus();
+    });
+
+    it('closes only the modal on Escape, returning focus to the panel', async () => {
+      const { user, onPanelClose, onModalClose } = await renderNested();
+
+      await user.keyboard('{Escape}');
+
+      expect(onModalClose).toHaveBeenCalledTimes(1);
+      expect(onPanelClose).not.toHaveBeenCalled();
+      expect(screen.queryByRole('dialog', { name: 'Delete meeting?' })).not.toBeInTheDocument();
+      expect(screen.getByRole('dialog', { name: 'Meeting details' })).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'Delete meeting' })).toHaveFocus();
+    });
+  });
+});
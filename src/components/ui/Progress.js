@@ -0,0 +1,46 @@
+import React from 'react';
+
+/**
+ * Progress Component
+ *
+ * Progress bar with an optional percentage.
+ *
+ * Usage:
+ *   <Progress value={3} max={5} label="Profile completion" showValue />
+ *
+ * Props:
+ *   - value: Current value
+ *   - max: Value at 100% (default: 100)
+ *   - label: Accessible name for the bar
+ *   - showValue: Show the percentage next to the bar
+ *   - className: Extra classes
+ */
+const Progress = ({
+  value = 0,
+  max = 100,
+  label,
+  showValue = false,
+  className = '',
+}) => {
+  const clamped = Math.min(Math.max(value, 0), max);
+  const percent = max > 0 ? Math.round((clamped / max) * 100) : 0;
+
+  return (
+    <div className={`progress ${className}`.trim()}>
+      <div
+        className="progress-track"
+        role="progressbar"
+        aria-label={label}
+        aria-valuenow={clamped}
+        aria-valuemin={0}
+        aria-valuemax={max}
+        aria-valuetext={`${percent}%`}
+      >
+        <div className="progress-fill" style={{ width: `${percent}%` }} />
+      </div>
+      {showValue && <span className="progress-value" aria-hidden="true">{percent}%</span>}
+    </div>
+  );
+};
+
+export default Progress;
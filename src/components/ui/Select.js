@@ -0,0 +1,46 @@
+import React, { forwardRef } from 'react';
+import { useFieldControl } from './Field';
+
+/**
+ * Select Component
+ *
+ * Dropdown (`.select`). Inside a Field it's labelled, described and bound
+ * to the form automatically.
+ *
+ * Usage:
+ *   <Field form={form} name="format" label="Format">
+ *     <Select
+ *       placeholder="Choose a format"
+ *       options={[{ value: 'online', label: 'Online' }, { value: 'in-person', label: 'In person' }]}
+ *     />
+ *   </Field>
+ *
+ * Props:
+ *   - options: [{ value, label, disabled }] or strings (or pass <option> children)
+ *   - placeholder: Empty first option
+ *   - Any other select attributes are passed through
+ */
+const Select = forwardRef(({ options, placeholder, className = '', children, ...props }, ref) => {
+  const controlProps = useFieldControl(props);
+  const invalid = !!controlProps['aria-invalid'];
+
+  return (
+    <select
+      ref={ref}
+      className={['select', invalid && 'input-error', className].filter(Boolean).join(' ')}
+      {...controlProps}
+    >
+      {placeholder !== undefined && <option value="">{placeholder}</option>}
+      {options
+        ? options.map((option) => {
+          const { value, label, disabled } = typeof option === 'object' ? option : { value: option, label: option };
+          return <option key={value} value={value} disabled={disabled}>{label}</option>;
+        })
+        : children}
+    </select>
+  );
+});
+
+Select.displayName = 'Select';
+
+export default Select;
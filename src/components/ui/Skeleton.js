@@ -0,0 +1,48 @@
+import React from 'react';
+
+/**
+ * Skeleton Component
+ *
+ * Shimmering placeholder for content that's still loading. Hidden from
+ * screen readers - mark the loading region with aria-busy instead.
+ *
+ * Usage:
+ *   <Skeleton width="40%" height="2rem" />
+ *   <Skeleton lines={3} />
+ *   <Skeleton variant="circle" width={48} height={48} />
+ *   <Skeleton variant="card" />
+ *
+ * Props:
+ *   - variant: 'text' | 'circle' | 'card' (default: 'text')
+ *   - width: CSS width (numbers are pixels)
+ *   - height: CSS height (numbers are pixels)
+ *   - lines: Number of text lines; the last one is shorter
+ *   - className: Extra classes
+ */
+const Skeleton = ({
+  variant = 'text',
+  width,
+  height,
+  lines = 1,
+  className = '',
+}) => {
+  const classes = `skeleton skeleton-${variant} ${className}`.trim();
+
+  if (variant === 'text' && lines > 1) {
+    return (
+      <div aria-hidden="true">
+        {Array.from({ length: lines }, (_, index) => (
+          <div
+            key={index}
+            className={classes}
+            style={{ width: index === lines - 1 ? '60%' : width, height }}
+          />
+        ))}
+      </div>
+    );
+  }
+
+  return <div className={classes} style={{ width, height }} aria-hidden="true" />;
+};
+
+export default Skeleton;
@@ -0,0 +1,71 @@
+import React, { useId, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import { useFocusTrap } from '../../hooks/useFocusTrap';
+import { useScrollLock } from '../../hooks/useScrollLock';
+import { useDialogTracking } from '../../hooks/useDialogTracking';
+
+/**
+ * SlidePanel Component
+ *
+ * Panel that slides in from the right for details and secondary forms.
+ * Behaves like Modal (focus trap, Escape, scroll lock, MODAL_OPENED /
+ * MODAL_CLOSED tracking) but stays mounted so it can animate in and out.
+ *
+ * Usage:
+ *   <SlidePanel isOpen={!!meeting} onClose={() => setMeeting(null)} title={meeting?.name}>
+ *     <MeetingDetails meeting={meeting} />
+ *   </SlidePanel>
+ *
+ * Props:
+ *   - isOpen: Whether the panel is showing
+ *   - onClose: Called on Escape, the close button and overlay clicks
+ *   - title: Heading, also the panel's accessible name
+ *   - footer: Actions pinned to the bottom
+ *   - name: modal_name for analytics (default: title when it's a string)
+ *   - initialFocusRef: Element to focus when opening (default: first focusable)
+ *   - className: Extra classes on the panel
+ */
+const SlidePanel = ({
+  isOpen,
+  onClose,
+  title,
+  footer,
+  name,
+  initialFocusRef,
+  className = '',
+  children,
+}) => {
+  const panelRef = useRef(null);
+  const titleId = useId();
+
+  useFocusTrap(panelRef, isOpen, { onEscape: onClose, initialFocusRef });
+  useScrollLock(isOpen);
+  useDialogTracking(isOpen, name || (typeof title === 'string' ? title : undefined));
+
+  // The overlay must follow the panel - CSS shows it via `.slide-panel.open + .slide-panel-overlay`
+  return createPortal(
+    <>
+      <div
+        ref={panelRef}
+        className={`slide-panel ${isOpen ? 'open' : ''} ${className}`.trim()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={title ? titleId : undefined}
+        aria-hidden={!isOpen}
+      >
+        <div className="slide-panel-header">
+          <h2 id={titleId} className="slide-panel-title">{title}</h2>
+          <button type="button" className="slide-panel-close" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </div>
+        <div className="slide-panel-content">{children}</div>
+        {footer && <div className="slide-panel-footer">{footer}</div>}
+      </div>
+      <div className="slide-panel-overlay" onClick={onClose} aria-hidden="true" />
+    </>,
+    document.body
+  );
+};
+
+export default SlidePanel;
@@ -0,0 +1,24 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import SlidePanel from './SlidePanel';
+
+describe('SlidePanel', () => {
+  it('stays mounted but hidden from assistive technology while closed', () => {
+    render(<SlidePanel isOpen={false} title="Meeting details">Details</SlidePanel>);
+
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    const panel = screen.getByRole('dialog', { hidden: true });
+    expect(panel).toHaveAttribute('aria-hidden', 'true');
+    expect(panel).not.toHaveClass('open');
+  });
+
+  it('is exposed as a labelled dialog in a portal while open', () => {
+    const { container } = render(<SlidePanel isOpen title="Meeting details">Details</SlidePanel>);
+
+    const panel = screen.getByRole('dialog', { name: 'Meeting details' });
+    expect(panel).toHaveAttribute('aria-hidden', 'false');
+    expect(panel).toHaveClass('slide-panel', 'open');
+    expect(container).not.toContainElement(panel);
+    expect(document.body).toContainElement(panel);
+  });
+});
@@ -0,0 +1,26 @@
+import React from 'react';
+
+/**
+ * Spinner Component
+ *
+ * Loading indicator, announced to screen readers with `label`.
+ *
+ * Usage:
+ *   <Spinner />
+ *   <Spinner size="sm" label="Saving" />
+ *
+ * Props:
+ *   - size: 'sm' | 'md' | 'lg' (default: 'md')
+ *   - label: Screen reader text (default: "Loading")
+ *   - className: Extra classes
+ */
+const Spinner = ({ size = 'md', label = 'Loading', className = '' }) => (
+  <div
+    className={['spinner', size !== 'md' && `spinner-${size}`, className].filter(Boolean).join(' ')}
+    role="status"
+  >
+    <span className="sr-only">{label}</span>
+  </div>
+);
+
+export default Spinner;
@@ -0,0 +1,139 @@
+import React, { useContext, useId, useRef, useState } from 'react';
+import AnalyticsContext from '../../contexts/AnalyticsContext';
+import { ANALYTICS_EVENTS } from '../../analytics/events';
+
+/**
+ * Tabs Component
+ *
+ * Tab list with keyboard support: arrow keys, Home and End move between
+ * tabs and select them. Tabs with `content` get a tab panel; otherwise
+ * render the active tab's content yourself. Tracks TAB_CHANGED.
+ *
+ * Usage:
+ *   <Tabs
+ *     label="Meeting type"
+ *     tabs={[
+ *       { id: 'all', label: 'All', count: 24, content: <MeetingList /> },
+ *       { id: 'online', label: 'Online', count: 9, content: <MeetingList online /> },
+ *     ]}
+ *   />
+ *
+ *   // Controlled
+ *   <Tabs tabs={tabs} activeTab={tab} onChange={setTab} />
+ *
+ * Props:
+ *   - tabs: [{ id, label, count, disabled, content }]
+ *   - activeTab: Selected tab id (controlled)
+ *   - defaultTab: Initially selected tab id (default: first enabled tab)
+ *   - onChange: Called with the new tab id
+ *   - label: Accessible name for the tab list
+ *   - className: Extra classes on the tab list
+ */
+const Tabs = ({
+  tabs,
+  activeTab,
+  defaultTab,
+  onChange,
+  label,
+  className = '',
+}) => {
+  const analytics = useContext(AnalyticsContext);
+  const baseId = useId();
+  const tabRefs = useRef({});
+
+  const [uncontrolledTab, setUncontrolledTab] = useState(
+    () => defaultTab ?? tabs.find((tab) => !tab.disabled)?.id
+  );
+  const selectedId = activeTab !== undefined ? activeTab : uncontrolledTab;
+  const selectedTab = tabs.find((tab) => tab.id === selectedId);
+
+  const tabId = (id) => `${baseId}-tab-${id}`;
+  const panelId = (id) => `${baseId}-panel-${id}`;
+
+  const selectTab = (id) => {
+    if (id === selectedId) return;
+
+    setUncontrolledTab(id);
+    onChange?.(id);
+    analytics?.track(ANALYTICS_EVENTS.TAB_CHANGED, {
+      tab_name: String(id),
+      previous_tab: selectedId === undefined ? null : String(selectedId),
+    });
+  };
+
+  const handleKeyDown = (event) => {
+    const enabled = tabs.filter((tab) => !tab.disabled);
+    const index = enabled.findIndex((tab) => tab.id === selectedId);
+
+    let next;
+    switch (event.key) {
+      case 'ArrowRight':
+        next = enabled[(index + 1) % enabled.length];
+        break;
+      case 'ArrowLeft':
+        next = enabled[(index - 1 + enabled.length) % enabled.length];
+        break;
+      case 'Home':
+        next = enabled[0];
+        break;
+      case 'End':
+        next = enabled[enabled.length - 1];
+        break;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+    if (next) {
+      selectTab(next.id);
+      tabRefs.current[next.id]?.focus();
+    }
+  };
+
+  return (
+    <>
+      <div
+        className={`tabs ${className}`.trim()}
+        role="tablist"
+        aria-label={label}
+        onKeyDown={handleKeyDown}
+      >
+        {tabs.map((tab) => {
+          const isActive = tab.id === selectedId;
+          return (
+            <button
+              key={tab.id}
+              ref={(element) => { tabRefs.current[tab.id] = element; }}
+              type="button"
+              id={tabId(tab.id)}
+              className={`tab ${isActive ? 'active' : ''}`.trim()}
+              role="tab"
+              aria-selected={isActive}
+              aria-controls={tab.content !== undefined ? panelId(tab.id) : undefined}
+              tabIndex={isActive ? 0 : -1}
+              disabled={tab.disabled}
+              onClick={() => selectTab(tab.id)}
+            >
+              {tab.label}
+              {tab.count !== undefined && <span className="tab-count">{tab.count}</span>}
+            </button>
+          );
+        })}
+      </div>
+
+      {selectedTab?.content !== undefined && (
+        <div
+          id={panelId(selectedTab.id)}
+          className="tab-panel"
+          role="tabpanel"
+          aria-labelledby={tabId(selectedTab.id)}
+          tabIndex={0}
+        >
+          {selectedTab.content}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default Tabs;
@@ -0,0 +1,103 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import Tabs from './Tabs';
+import AnalyticsContext from '../../contexts/AnalyticsContext';
+import { ANALYTICS_EVENTS } from '../../analytics/events';
+
+const TABS = [
+  { id: 'all', label: 'All', count: 24, content: 'All meetings' },
+  { id: 'online', label: 'Online', content: 'Online meetings' },
+  { id: 'archived', label: 'Archived', disabled: true, content: 'Archived meetings' },
+  { id: 'in-person', label: 'In person', content: 'In-person meetings' },
+];
+
+const renderTabs = (props = {}) => {
+  const track = jest.fn();
+  const user = userEvent.setup();
+  render(
+    <AnalyticsContext.Provider value={{ track }}>
+      <Tabs label="Meeting type" tabs={TABS} {...props} />
+    </AnalyticsContext.Provider>
+  );
+  return { track, user };
+};
+
+const tab = (name) => screen.getByRole('tab', { name: new RegExp(`^${name}`) });
+
+describe('Tabs', () => {
+  it('selects the first enabled tab and shows its panel', () => {
+    renderTabs();
+
+    expect(screen.getByRole('tablist', { name: 'Meeting type' })).toBeInTheDocument();
+    expect(tab('All')).toHaveAttribute('aria-selected', 'true');
+    expect(screen.getByRole('tabpanel')).toHaveTextContent('All meetings');
+    expect(screen.getByRole('tabpanel')).toHaveAttribute('aria-labelledby', tab('All').id);
+  });
+
+  it('keeps only the selected tab in the tab order', async () => {
+    const { user } = renderTabs();
+    expect(tab('All')).toHaveAttribute('tabindex', '0');
+    expect(tab('Online')).toHaveAttribute('tabindex', '-1');
+
+    await user.click(tab('Online'));
+
+    expect(tab('All')).toHaveAttribute('tabindex', '-1');
+    expect(tab('Online')).toHaveAttribute('tabindex', '0');
+  });
+
+  it('moves with the arrow keys, skipping disabled tabs and wrapping around', async () => {
+    const onChange = jest.fn();
+    const { user } = renderTabs({ onChange });
+    await user.click(tab('Online'));
+
+    await user.keyboard('{ArrowRight}');
+    expect(tab('In person')).toHaveAttribute('aria-selected', 'true');
+    expect(tab('In person')).toHaveFocus();
+
+    await user.keyboard('{ArrowRight}');
+    expect(tab('All')).toHaveFocus();
+
+    await user.keyboard('{ArrowLeft}');
+    expect(tab('In person')).toHaveFocus();
+
+    await user.keyboard('{ArrowLeft}');
+    expect(tab('Online')).toHaveFocus();
+    expect(onChange.mock.calls.map(([id]) => id)).toEqual(['online', 'in-person', 'all', 'in-person', 'online']);
+  });
+
+  it('moves to the first and last enabled tabs with Home and End', async () => {
+    const { user } = renderTabs({ tabs: [...TABS, { id: 'old', label: 'Old', disabled: true }] });
+    await user.click(tab('Online'));
+
+    await user.keyboard('{End}');
+    expect(tab('In person')).toHaveFocus();
+    expect(screen.getByRole('tabpanel')).toHaveTextContent('In-person meetings');
+
+    await user.keyboard('{Home}');
+    expect(tab('All')).toHaveFocus();
+  });
+
+  it('tracks TAB_CHANGED with the previous tab', async () => {
+    const { track, user } = renderTabs();
+
+    await user.click(tab('Online'));
+    await user.click(tab('Online'));
+    await user.keyboard('{ArrowRight}');
+
+    expect(track.mock.calls).toEqual([
+      [ANALYTICS_EVENTS.TAB_CHANGED, { tab_name: 'online', previous_tab: 'all' }],
+      [ANALYTICS_EVENTS.TAB_CHANGED, { tab_name: 'in-person', previous_tab: 'online' }],
+    ]);
+  });
+
+  it('follows activeTab when controlled', async () => {
+    const onChange = jest.fn();
+    const { user } = renderTabs({ activeTab: 'online', onChange });
+
+    await user.click(tab('All'));
+
+    expect(onChange).toHaveBeenCalledWith('all');
+    expect(tab('Online')).toHaveAttribute('aria-selected', 'true');
+  });
+});
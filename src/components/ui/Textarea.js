@@ -0,0 +1,33 @@
+import React, { forwardRef } from 'react';
+import { useFieldControl } from './Field';
+
+/**
+ * Textarea Component
+ *
+ * Multi-line text input (`.textarea`). Inside a Field it's labelled,
+ * described and bound to the form automatically.
+ *
+ * Usage:
+ *   <Field form={form} name="message" label="Message">
+ *     <Textarea rows={5} />
+ *   </Field>
+ *
+ * Props:
+ *   - Any textarea attributes are passed through
+ */
+const Textarea = forwardRef(({ className = '', ...props }, ref) => {
+  const controlProps = useFieldControl(props);
+  const invalid = !!controlProps['aria-invalid'];
+
+  return (
+    <textarea
+      ref={ref}
+      className={['textarea', invalid && 'input-error', className].filter(Boolean).join(' ')}
+      {...controlProps}
+    />
+  );
+});
+
+Textarea.displayName = 'Textarea';
+
+export default Textarea;
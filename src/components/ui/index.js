@@ -0,0 +1,22 @@
+/**
+ * UI Components - Barrel Export
+ *
+ * React components for the design system classes in components.css and
+ * layout.css:
+ *   import { Button, Modal, Tabs } from './components/ui';
+ */
+
+export { default as Alert } from './Alert';
+export { default as Button } from './Button';
+export { default as Checkbox } from './Checkbox';
+export { default as DataTable } from './DataTable';
+export { default as Field } from './Field';
+export { default as Input } from './Input';
+export { default as Modal } from './Modal';
+export { default as Progress } from './Progress';
+export { default as Select } from './Select';
+export { default as Skeleton } from './Skeleton';
+export { default as SlidePanel } from './SlidePanel';
+export { default as Spinner } from './Spinner';
+export { default as Tabs } from './Tabs';
+export { default as Textarea } from './Textarea';
@@ -1,13 +1,32 @@
 /**
  * Analytics Context
  *
- * Wraps Amplitude SDK for event tracking with standardized event names.
+ * Event tracking with standardized event names, delivered through pluggable
+ * providers (see src/analytics). Events are queued per provider until it is
+ * initialized and while offline, sent in batches, and flushed when the page
+ * is hidden.
  *
  * Dependencies:
  *   npm install @amplitude/analytics-browser
  *
  * Environment Variables:
  *   REACT_APP_AMPLITUDE_API_KEY - Your Amplitude API key
+ *   REACT_APP_ANALYTICS_ENDPOINT - Optional HTTP collector that receives batched events as JSON
+ *
+ * Without either, events are logged to the console in development.
+ *
+ * Performance (with trackPerformance):
+ *   Core Web Vitals, page load, route render timings and long tasks are
+ *   reported for a sample of page loads (REACT_APP_PERFORMANCE_SAMPLE_RATE,
+ *   default 10% in production). Route timings need trackRouteRender, called
+ *   from the useLocation effect in App.js.
+ *
+ * Privacy:
+ *   - Inside a ConsentProvider nothing is initialized or sent until the user
+ *     opts in; withdrawing consent stops sending and drops queued events.
+ *   - Emails, tokens and sensitive query parameters are scrubbed from every
+ *     event and user property (see src/analytics/scrub.js). Pass a
+ *     non-identifying user id to identify(), never an email.
  *
  * Usage:
  *   import { AnalyticsProvider, useAnalytics } from './contexts/AnalyticsContext';
@@ -17,87 +36,45 @@
  *     <App />
  *   </AnalyticsProvider>
  *
+ *   // In tests - assert on emitted events without Amplitude
+ *   const sink = createMemoryProvider();
+ *   <AnalyticsProvider providers={[sink]}>...</AnalyticsProvider>
+ *
  *   // In components
  *   const { track, events, trackPageView, identify } = useAnalytics();
  *   track(events.BUTTON_CLICKED, { button_name: 'submit' });
  */
 
-import React, { createContext, useContext, useEffect, useRef, useCallback } from 'react';
-import * as amplitude from '@amplitude/analytics-browser';
+import React, { createContext, useContext, useEffect, useRef, useCallback, useMemo, useState } from 'react';
+import {
+  ANALYTICS_EVENTS,
+  createAmplitudeProvider,
+  createConsoleProvider,
+  createHttpProvider,
+  createEventQueue,
+  createScrubber,
+  validateEvent,
+  createLongTaskCounter,
+  isSampled,
+  measureUntilPaint,
+  observePageLoad,
+  observeWebVitals,
+} from '../analytics';
+import ConsentContext from './ConsentContext';
+
+// Event names are declared with their properties in src/analytics/events.js
+export { ANALYTICS_EVENTS };
 
 const AnalyticsContext = createContext(null);
 
 const AMPLITUDE_API_KEY = process.env.REACT_APP_AMPLITUDE_API_KEY;
+const ANALYTICS_ENDPOINT = process.env.REACT_APP_ANALYTICS_ENDPOINT;
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
 
-/**
- * Standard event names following Amplitude best practices:
- * - Use snake_case
- * - Use past tense verbs
- * - Noun + Verb pattern
- *
- * Add new events here to maintain consistency across the app.
- */
-export const ANALYTICS_EVENTS = {
-  // Page/View Events
-  PAGE_VIEWED: 'page_viewed',
-  MODAL_OPENED: 'modal_opened',
-  MODAL_CLOSED: 'modal_closed',
-  TAB_CHANGED: 'tab_changed',
-
-  // Navigation Events
-  NAVIGATION_CLICKED: 'navigation_clicked',
-  LINK_CLICKED: 'link_clicked',
-  BACK_CLICKED: 'back_clicked',
-
-  // Search & Filter Events
-  SEARCH_INITIATED: 'search_initiated',
-  SEARCH_COMPLETED: 'search_completed',
-  SEARCH_CLEARED: 'search_cleared',
-  FILTER_APPLIED: 'filter_applied',
-  FILTER_CLEARED: 'filter_cleared',
-  SORT_CHANGED: 'sort_changed',
-
-  // User Actions
-  BUTTON_CLICKED: 'button_clicked',
-  FORM_SUBMITTED: 'form_submitted',
-  FORM_FIELD_CHANGED: 'form_field_changed',
-  ITEM_SELECTED: 'item_selected',
-  ITEM_DESELECTED: 'item_deselected',
-  TOGGLE_CHANGED: 'toggle_changed',
-
-  // Authentication Events
-  SIGNIN_INITIATED: 'signin_initiated',
-  SIGNIN_SUCCESS: 'signin_success',
-  SIGNIN_FAILED: 'signin_failed',
-  SIGNOUT_COMPLETED: 'signout_completed',
-
-  // Content Events
-  CONTENT_VIEWED: 'content_viewed',
-  CONTENT_SHARED: 'content_shared',
-  CONTENT_DOWNLOADED: 'content_downloaded',
-  CONTENT_COPIED: 'content_copied',
-
-  // Error Events
-  ERROR_OCCURRED: 'error_occurred',
-  API_ERROR: 'api_error',
-  VALIDATION_ERROR: 'validation_error',
-
-  // Performance Events
-  API_REQUEST_COMPLETED: 'api_request_completed',
-  PAGE_LOAD_COMPLETED: 'page_load_completed',
-
-  // Feature-specific Events (extend as needed)
-  MEETING_VIEWED: 'meeting_viewed',
-  MEETING_DIRECTIONS_CLICKED: 'meeting_directions_clicked',
-  MEETING_SHARED: 'meeting_shared',
-  MEETING_SAVED: 'meeting_saved',
-  MAP_INTERACTION: 'map_interaction',
-
-  // Settings Events
-  THEME_CHANGED: 'theme_changed',
-  SETTINGS_CHANGED: 'settings_changed',
-  NOTIFICATION_PREFERENCE_CHANGED: 'notification_preference_changed',
-};
+// Share of page loads that report performance events
+const DEFAULT_PERFORMANCE_SAMPLE_RATE = process.env.REACT_APP_PERFORMANCE_SAMPLE_RATE
+  ? Number(process.env.REACT_APP_PERFORMANCE_SAMPLE_RATE)
+  : (IS_PRODUCTION ? 0.1 : 1);
 
 // Detect device type for automatic properties
 const getDeviceType = () => {
@@ -111,64 +88,317 @@ const getDeviceType = () => {
   return 'desktop';
 };
 
-export const AnalyticsProvider = ({ children, appVersion = '1.0.0' }) => {
-  const isInitialized = useRef(false);
-  const sessionStartTime = useRef(Date.now());
+// Providers used when none are passed in
+const getDefaultProviders = () => {
+  const providers = [];
 
-  // Initialize Amplitude
-  useEffect(() => {
-    if (isInitialized.current) return;
+  if (AMPLITUDE_API_KEY) {
+    providers.push(createAmplitudeProvider({ apiKey: AMPLITUDE_API_KEY }));
+  }
+  if (ANALYTICS_ENDPOINT) {
+    providers.push(createHttpProvider({ url: ANALYTICS_ENDPOINT }));
+  }
 
-    if (!AMPLITUDE_API_KEY) {
+  if (providers.length === 0) {
+    if (process.env.NODE_ENV === 'development') {
+      console.warn('REACT_APP_AMPLITUDE_API_KEY is not set. Analytics events will be logged to the console.');
+      providers.push(createConsoleProvider());
+    } else {
       console.warn('REACT_APP_AMPLITUDE_API_KEY is not set. Analytics will be disabled.');
-      return;
     }
+  }
+
+  return providers;
+};
 
-    try {
-      amplitude.init(AMPLITUDE_API_KEY, {
-        defaultTracking: {
-          sessions: true,
-          pageViews: false, // We track page views manually for more control
-          formInteractions: true,
-          fileDownloads: true,
-        },
+/**
+ * @param {Object} props
+ * @param {string} props.appVersion - Sent to providers as a session property
+ * @param {Array} props.providers - Analytics providers (default: from environment variables).
+ *   Pass a stable array - a new array re-initializes the providers.
+ * @param {number} props.batchSize - Events per batch, unless a provider sets its own
+ * @param {number} props.flushInterval - Delay before a partial batch is sent in ms
+ * @param {string} props.invalidEvents - What production does with events that fail schema
+ *   validation: 'tag' sends them with a `schema_errors` property, 'drop' discards them
+ *   (default: 'tag'). Development always logs an error and sends them.
+ * @param {string[]} props.redactParams - Extra query parameters to strip from URLs in events
+ * @param {boolean} props.trackPerformance - Report Web Vitals, page load, route render and
+ *   long task events (default: false)
+ * @param {number} props.performanceSampleRate - Fraction of page loads that report performance,
+ *   0 to 1 (default: REACT_APP_PERFORMANCE_SAMPLE_RATE, or 0.1 in production and 1 otherwise)
+ */
+export const AnalyticsProvider = ({
+  children,
+  appVersion = '1.0.0',
+  providers,
+  batchSize,
+  flushInterval,
+  invalidEvents = 'tag',
+  redactParams,
+  trackPerformance = false,
+  performanceSampleRate = DEFAULT_PERFORMANCE_SAMPLE_RATE,
+}) => {
+  const [isInitialized, setIsInitialized] = useState(false);
+  const sessionStartTime = useRef(Date.now());
+  const userIdRef = useRef(null);
+
+  // Without a ConsentProvider analytics is always on
+  const consentContext = useContext(ConsentContext);
+  const isAllowed = consentContext ? consentContext.isGranted : true;
+  const isAllowedRef = useRef(isAllowed);
+  isAllowedRef.current = isAllowed;
+
+  const scrubber = useMemo(() => createScrubber({ redactParams }), [redactParams]);
+  const scrubberRef = useRef(scrubber);
+  scrubberRef.current = scrubber;
+
+  const activeProviders = useMemo(() => providers || getDefaultProviders(), [providers]);
+
+  // Read during render so events fired by children's effects reach the right providers
+  const providersRef = useRef(activeProviders);
+  providersRef.current = activeProviders;
+  const queueConfigRef = useRef({ batchSize, flushInterval });
+  queueConfigRef.current = { batchSize, flushInterval };
+  const invalidEventsRef = useRef(invalidEvents);
+  invalidEventsRef.current = invalidEvents;
+
+  // One queue per provider, created on first use; it buffers until the provider is initialized
+  const queuesRef = useRef(new Map());
+
+  const getQueue = useCallback((provider) => {
+    let queue = queuesRef.current.get(provider);
+    if (!queue) {
+      const config = queueConfigRef.current;
+      queue = createEventQueue({
+        send: (batch, options) => provider.send(batch, options),
+        batchSize: provider.batchSize ?? config.batchSize,
+        flushInterval: provider.flushInterval ?? config.flushInterval,
       });
+      queuesRef.current.set(provider, queue);
+    }
+    return queue;
+  }, []);
 
-      // Set session properties
-      const identify = new amplitude.Identify();
-      identify.set('device_type', getDeviceType());
-      identify.set('app_version', appVersion);
-      identify.set('environment', process.env.NODE_ENV);
-      identify.set('session_start', new Date().toISOString());
-      amplitude.identify(identify);
-
-      isInitialized.current = true;
-    } catch (error) {
-      console.error('Failed to initialize Amplitude:', error);
+  const dispatch = useCallback((message) => {
+    // Nothing is buffered without consent - it would be sent once consent is given
+    if (!isAllowedRef.current) return;
+
+    providersRef.current.forEach((provider) => {
+      getQueue(provider).enqueue(message);
+    });
+  }, [getQueue]);
+
+  /**
+   * Send everything buffered now
+   */
+  const flush = useCallback((options) => {
+    queuesRef.current.forEach((queue) => queue.flush(options));
+  }, []);
+
+  // Initialize providers once analytics is allowed, then let their queues flush
+  useEffect(() => {
+    if (!isAllowed) {
+      // Consent withdrawn (or not given yet): stop sending and forget what is queued
+      activeProviders.forEach((provider) => {
+        queuesRef.current.get(provider)?.destroy();
+        provider.setEnabled?.(false);
+      });
+      setIsInitialized(false);
+      return undefined;
     }
-  }, [appVersion]);
+
+    let cancelled = false;
+    const context = {
+      appVersion,
+      deviceType: getDeviceType(),
+      environment: process.env.NODE_ENV,
+      sessionStart: new Date(sessionStartTime.current).toISOString(),
+    };
+
+    activeProviders.forEach((provider) => {
+      const queue = getQueue(provider);
+
+      (async () => {
+        try {
+          await provider.init?.(context);
+          if (cancelled) return;
+          provider.setEnabled?.(true);
+          queue.start();
+          setIsInitialized(true);
+        } catch (error) {
+          console.error(`Failed to initialize analytics provider "${provider.name}":`, error);
+          queue.destroy();
+        }
+      })();
+    });
+
+    // Deliver what is left for providers that were removed, then drop them
+    queuesRef.current.forEach((queue, provider) => {
+      if (activeProviders.includes(provider)) return;
+      queuesRef.current.delete(provider);
+      queue.flush().finally(() => queue.destroy());
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [activeProviders, appVersion, getQueue, isAllowed]);
+
+  // Flush when the page is hidden (the last reliable moment) and when back online
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        flush({ beacon: true });
+      }
+    };
+    const handlePageHide = () => flush({ beacon: true });
+    const handleOnline = () => flush();
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', handlePageHide);
+    window.addEventListener('online', handleOnline);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('pagehide', handlePageHide);
+      window.removeEventListener('online', handleOnline);
+    };
+  }, [flush]);
 
   /**
    * Track an event with properties
+   * The payload is validated against the event registry (src/analytics/events.js).
    */
   const track = useCallback((eventName, properties = {}) => {
-    if (!isInitialized.current) return;
+    let payload = {
+      ...scrubberRef.current.scrubProperties(properties),
+      timestamp: new Date().toISOString(),
+      session_duration_ms: Date.now() - sessionStartTime.current,
+    };
+
+    const errors = validateEvent(eventName, payload);
+    if (errors.length > 0) {
+      if (!IS_PRODUCTION) {
+        console.error(`Invalid analytics event "${eventName}":\n  - ${errors.join('\n  - ')}`, properties);
+      } else if (invalidEventsRef.current === 'drop') {
+        return;
+      } else {
+        payload = { ...payload, schema_errors: errors };
+      }
+    }
 
-    try {
-      amplitude.track(eventName, {
-        ...properties,
-        timestamp: new Date().toISOString(),
-        session_duration_ms: Date.now() - sessionStartTime.current,
+    dispatch({
+      type: 'track',
+      event: eventName,
+      properties: payload,
+      userId: userIdRef.current,
+      time: Date.now(),
+    });
+  }, [dispatch]);
+
+  // Sampled once per page load, so a sampled session reports all of its metrics
+  const [isPerformanceSampled] = useState(() => isSampled(performanceSampleRate));
+  const isMonitoringPerformance = trackPerformance && isPerformanceSampled;
+  const longTasksRef = useRef(null);
+  const currentRouteRef = useRef(null);
+  const initialRouteStartRef = useRef(null);
+
+  const performanceProperties = useCallback((pagePath = window.location.pathname) => ({
+    page_path: pagePath,
+    device_type: getDeviceType(),
+    sample_rate: performanceSampleRate,
+  }), [performanceSampleRate]);
+
+  /**
+   * Report long tasks seen since the last report, for the route they happened on
+   */
+  const reportLongTasks = useCallback(() => {
+    if (!longTasksRef.current) return;
+    const { count, totalDurationMs } = longTasksRef.current.take();
+    if (count === 0) return;
+
+    track(ANALYTICS_EVENTS.LONG_TASKS_REPORTED, {
+      ...performanceProperties(currentRouteRef.current || window.location.pathname),
+      count,
+      total_duration_ms: totalDurationMs,
+    });
+  }, [track, performanceProperties]);
+
+  // Collect Web Vitals, page load timing and long tasks
+  useEffect(() => {
+    if (!isMonitoringPerformance) return undefined;
+
+    currentRouteRef.current = window.location.pathname;
+    longTasksRef.current = createLongTaskCounter();
+
+    const stopVitals = observeWebVitals(({ name, value, rating }) => {
+      track(ANALYTICS_EVENTS.WEB_VITAL_REPORTED, {
+        ...performanceProperties(),
+        metric_name: name,
+        value,
+        rating,
       });
-    } catch (error) {
-      console.error('Failed to track event:', error);
+    });
+
+    const stopPageLoad = observePageLoad(({ durationMs, domContentLoadedMs, transferSize }) => {
+      track(ANALYTICS_EVENTS.PAGE_LOAD_COMPLETED, {
+        ...performanceProperties(),
+        duration_ms: durationMs,
+        dom_content_loaded_ms: domContentLoadedMs,
+        transfer_size: transferSize,
+      });
+    });
+
+    // Web Vitals are reported when the page is hidden - send them right away
+    const handleVisibilityChange = () => {
+      if (document.visibilityState !== 'hidden') return;
+      reportLongTasks();
+      flush({ beacon: true });
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      stopVitals();
+      stopPageLoad();
+      longTasksRef.current.stop();
+      longTasksRef.current = null;
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [isMonitoringPerformance, track, flush, performanceProperties, reportLongTasks]);
+
+  /**
+   * Report how long a route change took to render and paint
+   * Call from the effect that runs on location changes, with the time the
+   * render for the new location started. The initial route is covered by
+   * page_load_completed. Returns a cancel function for the effect cleanup.
+   */
+  const trackRouteRender = useCallback((pagePath, renderStart) => {
+    if (!isMonitoringPerformance) return () => {};
+
+    // Skip the initial route (the effect may run twice for it in StrictMode)
+    if (initialRouteStartRef.current === null) {
+      initialRouteStartRef.current = renderStart;
     }
-  }, []);
+    if (renderStart === initialRouteStartRef.current) {
+      return () => {};
+    }
+
+    // Long tasks so far belong to the route being left
+    reportLongTasks();
+    currentRouteRef.current = pagePath;
+
+    return measureUntilPaint(renderStart, (durationMs) => {
+      track(ANALYTICS_EVENTS.ROUTE_RENDERED, {
+        ...performanceProperties(pagePath),
+        duration_ms: durationMs,
+      });
+    });
+  }, [isMonitoringPerformance, track, performanceProperties, reportLongTasks]);
 
   /**
    * Track a page view
    */
   const trackPageView = useCallback((pageName, properties = {}) => {
+    // Sensitive query parameters are stripped from the URLs by track
     track(ANALYTICS_EVENTS.PAGE_VIEWED, {
       page_name: pageName,
       page_path: window.location.pathname,
@@ -182,54 +412,23 @@ export const AnalyticsProvider = ({ children, appVersion = '1.0.0' }) => {
    * Identify a user and set user properties
    */
   const identify = useCallback((userId, properties = {}) => {
-    if (!isInitialized.current) return;
-
-    try {
-      amplitude.setUserId(userId);
-
-      if (Object.keys(properties).length > 0) {
-        const identifyObj = new amplitude.Identify();
-        Object.entries(properties).forEach(([key, value]) => {
-          identifyObj.set(key, value);
-        });
-        amplitude.identify(identifyObj);
-      }
-    } catch (error) {
-      console.error('Failed to identify user:', error);
-    }
-  }, []);
+    userIdRef.current = userId;
+    dispatch({ type: 'identify', userId, properties: scrubberRef.current.scrubProperties(properties) });
+  }, [dispatch]);
 
   /**
    * Set user properties without changing user ID
    */
   const setUserProperties = useCallback((properties) => {
-    if (!isInitialized.current) return;
-
-    try {
-      const identifyObj = new amplitude.Identify();
-      Object.entries(properties).forEach(([key, value]) => {
-        identifyObj.set(key, value);
-      });
-      amplitude.identify(identifyObj);
-    } catch (error) {
-      console.error('Failed to set user properties:', error);
-    }
-  }, []);
+    dispatch({ type: 'setUserProperties', properties: scrubberRef.current.scrubProperties(properties) });
+  }, [dispatch]);
 
   /**
    * Increment a numeric user property
    */
   const incrementUserProperty = useCallback((property, value = 1) => {
-    if (!isInitialized.current) return;
-
-    try {
-      const identifyObj = new amplitude.Identify();
-      identifyObj.add(property, value);
-      amplitude.identify(identifyObj);
-    } catch (error) {
-      console.error('Failed to increment user property:', error);
-    }
-  }, []);
+    dispatch({ type: 'incrementUserProperty', property, value });
+  }, [dispatch]);
 
   /**
    * Track an error event
@@ -258,14 +457,9 @@ export const AnalyticsProvider = ({ children, appVersion = '1.0.0' }) => {
    * Clear user data (call on sign out)
    */
   const reset = useCallback(() => {
-    if (!isInitialized.current) return;
-
-    try {
-      amplitude.reset();
-    } catch (error) {
-      console.error('Failed to reset analytics:', error);
-    }
-  }, []);
+    userIdRef.current = null;
+    dispatch({ type: 'reset' });
+  }, [dispatch]);
 
   const value = {
     track,
@@ -276,8 +470,10 @@ export const AnalyticsProvider = ({ children, appVersion = '1.0.0' }) => {
     trackError,
     trackApiRequest,
     reset,
+    flush,
+    trackRouteRender,
     events: ANALYTICS_EVENTS,
-    isInitialized: isInitialized.current,
+    isInitialized,
   };
 
   return (
@@ -2,6 +2,9 @@
  * Auth Context
  *
  * Handles Google Sign-In authentication with domain validation.
+ * Keeps the Google ID token and its expiry, silently re-authenticates through
+ * One Tap shortly before the token expires, and signs out when it does.
+ * Sign-in and sign-out are synchronized across open tabs.
  *
  * Dependencies:
  *   npm install jwt-decode
@@ -19,52 +22,155 @@
  *
  *   // In components
  *   const { user, isAuthenticated, signIn, signOut } = useAuth();
+ *
+ *   // Render the Google button once the GSI script has loaded
+ *   const { isGoogleReady, renderSignInButton } = useAuth();
+ *   useEffect(() => {
+ *     if (isGoogleReady) renderSignInButton('signin-btn');
+ *   }, [isGoogleReady, renderSignInButton]);
+ *
+ *   // Attach the ID token to API calls
+ *   const { getIdToken, sessionExpiresAt } = useAuth();
+ *   fetch(url, { headers: { Authorization: `Bearer ${getIdToken()}` } });
+ *
+ *   // Check per-route restrictions
+ *   canAccess({ allowedDomains: ['sobersidekick.com'], allowedEmails: ['ops@example.com'] });
  */
 
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import { jwtDecode } from 'jwt-decode';
+import AnalyticsContext, { ANALYTICS_EVENTS } from './AnalyticsContext';
+import { getCrossTabChannel } from '../utils/crossTab';
 
 const AuthContext = createContext(null);
 
 const AUTH_STORAGE_KEY = 'auth_user';
+const AUTH_TOKEN_KEY = 'auth_token';
+const SESSION_REFRESH_LEEWAY = 5 * 60 * 1000; // Try silent re-auth 5 minutes before expiry
 const GOOGLE_CLIENT_ID = process.env.REACT_APP_GOOGLE_CLIENT_ID;
 
 // Configure allowed email domains for sign-in
 // Modify this list based on your organization's requirements
 const ALLOWED_DOMAINS = ['sobersidekick.com', 'empathyhealthtech.com'];
 
+// Clear persisted session data
+const clearStoredSession = () => {
+  localStorage.removeItem(AUTH_STORAGE_KEY);
+  localStorage.removeItem(AUTH_TOKEN_KEY);
+};
+
 export const AuthProvider = ({ children, allowedDomains = ALLOWED_DOMAINS }) => {
+  // Analytics is optional here so AuthProvider can be used on its own
+  const analytics = useContext(AnalyticsContext);
+  const analyticsRef = useRef(analytics);
+  analyticsRef.current = analytics;
+
   const [user, setUser] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [authError, setAuthError] = useState(null);
+  const [sessionExpiresAt, setSessionExpiresAt] = useState(null);
+  // The GSI script loads asynchronously - buttons can only render after it's initialized
+  const [isGoogleReady, setIsGoogleReady] = useState(false);
+  const credentialRef = useRef(null); // Raw Google ID token (JWT)
+  const handleCredentialRef = useRef(null); // Latest credential handler for the Google callback
+
+  /**
+   * Drop the in-memory and persisted session
+   */
+  const clearSession = useCallback(() => {
+    clearStoredSession();
+    credentialRef.current = null;
+    setSessionExpiresAt(null);
+    setUser(null);
+  }, []);
+
+  /**
+   * End a session whose ID token has expired
+   */
+  const expireSession = useCallback((expiresAt) => {
+    clearSession();
+    analyticsRef.current?.track(ANALYTICS_EVENTS.SESSION_EXPIRED, {
+      expired_at: new Date(expiresAt).toISOString(),
+    });
+  }, [clearSession]);
+
+  /**
+   * Load the session persisted in localStorage (on mount, or after another tab signs in)
+   */
+  const restoreSession = useCallback(() => {
+    try {
+      const stored = localStorage.getItem(AUTH_STORAGE_KEY);
+      const storedToken = localStorage.getItem(AUTH_TOKEN_KEY);
+      if (!stored) {
+        clearSession();
+        return;
+      }
+
+      const parsed = JSON.parse(stored);
+      const token = storedToken ? JSON.parse(storedToken) : null;
+
+      // Validate that the stored user's domain is still allowed
+      const domain = parsed.email?.split('@')[1];
+      if (!domain || !allowedDomains.includes(domain)) {
+        // Clear invalid session
+        clearSession();
+      } else if (!token?.credential || !token.expiresAt) {
+        // Sessions saved without an ID token cannot be verified
+        clearSession();
+      } else if (Date.now() >= token.expiresAt) {
+        expireSession(token.expiresAt);
+      } else {
+        credentialRef.current = token.credential;
+        setSessionExpiresAt(token.expiresAt);
+        setUser(parsed);
+      }
+    } catch (error) {
+      console.error('Failed to restore auth session:', error);
+      clearSession();
+    }
+  }, [allowedDomains, clearSession, expireSession]);
 
   // Check for existing session on mount
   useEffect(() => {
-    const checkExistingSession = () => {
-      try {
-        const stored = localStorage.getItem(AUTH_STORAGE_KEY);
-        if (stored) {
-          const parsed = JSON.parse(stored);
-
-          // Validate that the stored user's domain is still allowed
-          const domain = parsed.email?.split('@')[1];
-          if (domain && allowedDomains.includes(domain)) {
-            setUser(parsed);
-          } else {
-            // Clear invalid session
-            localStorage.removeItem(AUTH_STORAGE_KEY);
-          }
-        }
-      } catch (error) {
-        console.error('Failed to restore auth session:', error);
-        localStorage.removeItem(AUTH_STORAGE_KEY);
-      } finally {
-        setIsLoading(false);
+    restoreSession();
+    setIsLoading(false);
+  }, [restoreSession]);
+
+  // Follow sign-in/sign-out from other tabs
+  useEffect(() => {
+    const channel = getCrossTabChannel('auth');
+    return channel.subscribe(({ type }) => {
+      if (type === 'signin') {
+        setAuthError(null);
+        restoreSession();
+      } else if (type === 'signout') {
+        clearSession();
+        setAuthError(null);
       }
-    };
+    });
+  }, [restoreSession, clearSession]);
 
-    checkExistingSession();
-  }, [allowedDomains]);
+  // Refresh the ID token silently before it expires, and sign out when it does
+  useEffect(() => {
+    if (!sessionExpiresAt) return;
+
+    const now = Date.now();
+    const refreshTimer = setTimeout(() => {
+      // With auto_select enabled, One Tap returns a fresh credential without user interaction
+      if (window.google?.accounts?.id) {
+        window.google.accounts.id.prompt();
+      }
+    }, Math.max(sessionExpiresAt - SESSION_REFRESH_LEEWAY - now, 0));
+
+    const expiryTimer = setTimeout(() => {
+      expireSession(sessionExpiresAt);
+    }, Math.max(sessionExpiresAt - now, 0));
+
+    return () => {
+      clearTimeout(refreshTimer);
+      clearTimeout(expiryTimer);
+    };
+  }, [sessionExpiresAt, expireSession]);
 
   // Initialize Google Sign-In
   useEffect(() => {
@@ -77,10 +183,12 @@ export const AuthProvider = ({ children, allowedDomains = ALLOWED_DOMAINS }) =>
       if (window.google?.accounts?.id) {
         window.google.accounts.id.initialize({
           client_id: GOOGLE_CLIENT_ID,
-          callback: handleCredentialResponse,
+          // Errors are surfaced through authError
+          callback: (response) => handleCredentialRef.current(response).catch(() => {}),
           auto_select: true,
           cancel_on_tap_outside: true,
         });
+        setIsGoogleReady(true);
       }
     };
 
@@ -103,6 +211,12 @@ export const AuthProvider = ({ children, allowedDomains = ALLOWED_DOMAINS }) =>
       setAuthError(null);
       const decoded = jwtDecode(response.credential);
 
+      // Validate token expiry (exp is in seconds)
+      const expiresAt = decoded.exp ? decoded.exp * 1000 : null;
+      if (!expiresAt || Date.now() >= expiresAt) {
+        throw new Error('Sign-in credential has expired. Please sign in again.');
+      }
+
       // Validate email domain
       const domain = decoded.email?.split('@')[1];
       if (!domain || !allowedDomains.includes(domain)) {
@@ -121,7 +235,14 @@ export const AuthProvider = ({ children, allowedDomains = ALLOWED_DOMAINS }) =>
 
       // Persist session
       localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(userData));
+      localStorage.setItem(AUTH_TOKEN_KEY, JSON.stringify({
+        credential: response.credential,
+        expiresAt,
+      }));
+      credentialRef.current = response.credential;
+      setSessionExpiresAt(expiresAt);
       setUser(userData);
+      getCrossTabChannel('auth').postMessage('signin');
 
       return userData;
     } catch (error) {
@@ -130,21 +251,57 @@ export const AuthProvider = ({ children, allowedDomains = ALLOWED_DOMAINS }) =>
     }
   }, [allowedDomains]);
 
+  handleCredentialRef.current = handleCredentialResponse;
+
   const signIn = useCallback(async (credential) => {
     return handleCredentialResponse({ credential });
   }, [handleCredentialResponse]);
 
   const signOut = useCallback(() => {
     // Clear stored session
-    localStorage.removeItem(AUTH_STORAGE_KEY);
-    setUser(null);
+    clearSession();
     setAuthError(null);
+    getCrossTabChannel('auth').postMessage('signout');
 
     // Disable auto-select for next sign-in
     if (window.google?.accounts?.id) {
       window.google.accounts.id.disableAutoSelect();
     }
-  }, []);
+  }, [clearSession]);
+
+  /**
+   * Get the raw Google ID token for the current session
+   * Returns null when signed out or once the token has expired
+   */
+  const getIdToken = useCallback(() => {
+    if (!credentialRef.current || !sessionExpiresAt) return null;
+    if (Date.now() >= sessionExpiresAt) return null;
+    return credentialRef.current;
+  }, [sessionExpiresAt]);
+
+  /**
+   * Check whether the current user satisfies a set of access rules.
+   * Rules are additive: a user passes if their domain OR their email is allowed.
+   * With no rules, any authenticated user passes.
+   */
+  const canAccess = useCallback(({ allowedDomains: domains, allowedEmails: emails } = {}) => {
+    if (!user?.email) return false;
+
+    const hasDomainRule = Array.isArray(domains) && domains.length > 0;
+    const hasEmailRule = Array.isArray(emails) && emails.length > 0;
+    if (!hasDomainRule && !hasEmailRule) return true;
+
+    const email = user.email.toLowerCase();
+    const domain = email.split('@')[1];
+
+    if (hasEmailRule && emails.some((allowed) => allowed.toLowerCase() === email)) {
+      return true;
+    }
+    if (hasDomainRule && domains.some((allowed) => allowed.toLowerCase() === domain)) {
+      return true;
+    }
+    return false;
+  }, [user]);
 
   const clearError = useCallback(() => {
     setAuthError(null);
@@ -177,10 +334,14 @@ export const AuthProvider = ({ children, allowedDomains = ALLOWED_DOMAINS }) =>
     user,
     isAuthenticated: !!user,
     isLoading,
+    isGoogleReady,
     authError,
+    sessionExpiresAt,
+    getIdToken,
     signIn,
     signOut,
     clearError,
+    canAccess,
     renderSignInButton,
     allowedDomains,
   };
@@ -0,0 +1,266 @@
+/**
+ * Command Palette Context
+ *
+ * Holds the commands the command palette (Cmd/Ctrl+K) searches: the app's
+ * navigation items, recently visited pages, built-in actions (theme switching,
+ * sign in/out, clear cache) and commands registered by the page being shown.
+ * Also owns the palette's open state and the keyboard shortcut.
+ *
+ * A command:
+ *   {
+ *     id: 'meetings.export',        // Unique id, sent with COMMAND_EXECUTED
+ *     title: 'Export meetings',
+ *     group: 'This page',           // Shown next to the title (default: 'This page')
+ *     icon: '📤',                   // Optional
+ *     keywords: ['download', 'csv'], // Optional extra search terms
+ *     shortcut: '⌘E',               // Optional hint
+ *     perform: () => exportMeetings(),
+ *   }
+ *
+ * Usage:
+ *   import { CommandPaletteProvider, useCommandPalette, useCommands } from './contexts/CommandPaletteContext';
+ *
+ *   // In app root, inside the Theme, Auth and DataCache providers
+ *   <CommandPaletteProvider>
+ *     <App />
+ *   </CommandPaletteProvider>
+ *
+ *   // In a page - contextual commands, available while the page is mounted
+ *   useCommands([
+ *     { id: 'meetings.refresh', title: 'Refresh meetings', perform: refetch },
+ *   ]);
+ *
+ *   // Open it from a button
+ *   const { open } = useCommandPalette();
+ */
+
+import React, { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { useTheme } from './ThemeContext';
+import { useAuth } from './AuthContext';
+import { useDataCache } from './DataCacheContext';
+import { useRouteMeta } from '../hooks/useRouteMeta';
+import routes from '../routes';
+import { getNavItems } from '../utils/routeManifest';
+
+const CommandPaletteContext = createContext(null);
+
+const RECENT_STORAGE_KEY = 'command_palette_recent';
+const MAX_RECENT_PAGES = 5;
+
+// Navigation items from the route manifest, nested groups flattened
+const flattenNavItems = (items) => items.flatMap((item) => [
+  ...(item.path || item.href ? [item] : []),
+  ...flattenNavItems(item.children || []),
+]);
+const navItems = flattenNavItems(getNavItems(routes));
+
+const readRecentPages = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(RECENT_STORAGE_KEY));
+    if (Array.isArray(stored)) return stored.slice(0, MAX_RECENT_PAGES);
+  } catch (error) {
+    // Ignore malformed values
+  }
+  return [];
+};
+
+/**
+ * @param {Object} props
+ * @param {string} props.shortcut - Key opening the palette together with Cmd/Ctrl (default: 'k')
+ */
+export const CommandPaletteProvider = ({ children, shortcut = 'k' }) => {
+  const navigate = useNavigate();
+  const { pathname } = useLocation();
+  const { theme, themes, isDark, toggleTheme, setTheme, systemEnabled, THEMES } = useTheme();
+  const { isAuthenticated, signOut } = useAuth();
+  const { clearCache } = useDataCache();
+  const { route, title } = useRouteMeta();
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [recentPages, setRecentPages] = useState(readRecentPages);
+
+  // Commands registered by pages, read when the palette renders. Registering
+  // and unregistering re-render the provider, so an open palette shows them
+  // right away.
+  const sourcesRef = useRef(new Set());
+  const [, setCommandsVersion] = useState(0);
+
+  const open = useCallback(() => setIsOpen(true), []);
+  const close = useCallback(() => setIsOpen(false), []);
+  const toggle = useCallback(() => setIsOpen((prev) => !prev), []);
+
+  // Cmd+K / Ctrl+K toggles the palette anywhere in the app
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if ((event.metaKey || event.ctrlKey) && !event.altKey && event.key.toLowerCase() === shortcut) {
+        event.preventDefault();
+        toggle();
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [shortcut, toggle]);
+
+  // Remember visited pages (not the 404 page)
+  useEffect(() => {
+    if (!route || route.path === '*' || !title) return;
+
+    setRecentPages((prev) => {
+      const next = [{ path: pathname, title }, ...prev.filter((page) => page.path !== pathname)]
+        .slice(0, MAX_RECENT_PAGES);
+      try {
+        localStorage.setItem(RECENT_STORAGE_KEY, JSON.stringify(next));
+      } catch (error) {
+        // Storage full or unavailable - recent pages just won't be remembered
+      }
+      return next;
+    });
+  }, [route, pathname, title]);
+
+  /**
+   * Register commands
+   * Returns a function that removes them again.
+   *
+   * @param {Array|Function} source - Commands, or a function returning the current commands
+   */
+  const registerCommands = useCallback((source) => {
+    sourcesRef.current.add(source);
+    setCommandsVersion((version) => version + 1);
+    return () => {
+      sourcesRef.current.delete(source);
+      setCommandsVersion((version) => version + 1);
+    };
+  }, []);
+
+  /**
+   * Every command, in display order: this page, recent pages, pages, actions
+   */
+  const getCommands = useCallback(() => {
+    const registered = Array.from(sourcesRef.current)
+      .flatMap((source) => (typeof source === 'function' ? source() : source) || [])
+      .map((command) => ({ group: 'This page', ...command }));
+
+    const recent = recentPages
+      .filter((page) => page.path !== pathname)
+      .map((page) => ({
+        id: `recent:${page.path}`,
+        title: page.title,
+        group: 'Recent',
+        icon: '🕘',
+        keywords: [page.path],
+        perform: () => navigate(page.path),
+      }));
+
+    const pages = navItems.map((item) => ({
+      id: `page:${item.path || item.href}`,
+      title: item.label,
+      group: 'Pages',
+      icon: item.icon,
+      keywords: [item.path || item.href],
+      perform: item.href
+        ? () => window.open(item.href, '_blank', 'noopener,noreferrer')
+        : () => navigate(item.path),
+    }));
+
+    const actions = [
+      {
+        id: 'theme.toggle',
+        title: `Switch to ${isDark ? 'light' : 'dark'} mode`,
+        group: 'Actions',
+        icon: isDark ? '☀️' : '🌙',
+        keywords: ['theme', 'appearance', 'dark', 'light'],
+        perform: toggleTheme,
+      },
+      ...[...themes, ...(systemEnabled ? [{ id: THEMES.SYSTEM, label: 'System' }] : [])]
+        .filter((option) => option.id !== theme)
+        .map((option) => ({
+          id: `theme.${option.id}`,
+          title: `Use ${option.label} theme`,
+          group: 'Actions',
+          icon: '🎨',
+          keywords: ['theme', 'appearance', option.id],
+          perform: () => setTheme(option.id),
+        })),
+      isAuthenticated ? {
+        id: 'auth.sign_out',
+        title: 'Sign out',
+        group: 'Actions',
+        icon: '🚪',
+        keywords: ['log out', 'logout'],
+        perform: signOut,
+      } : {
+        id: 'auth.sign_in',
+        title: 'Sign in',
+        group: 'Actions',
+        icon: '🔑',
+        keywords: ['log in', 'login', 'google'],
+        perform: () => navigate('/signin'),
+      },
+      {
+        id: 'cache.clear',
+        title: 'Clear cached data',
+        group: 'Actions',
+        icon: '🧹',
+        keywords: ['refresh', 'reset', 'reload'],
+        perform: clearCache,
+      },
+    ];
+
+    // Registered commands win when ids collide
+    const seen = new Set();
+    return [...registered, ...recent, ...pages, ...actions].filter((command) => {
+      if (seen.has(command.id)) return false;
+      seen.add(command.id);
+      return true;
+    });
+  }, [recentPages, pathname, navigate, theme, themes, isDark, toggleTheme, setTheme, systemEnabled, THEMES, isAuthenticated, signOut, clearCache]);
+
+  const value = {
+    isOpen,
+    open,
+    close,
+    toggle,
+    registerCommands,
+    getCommands,
+  };
+
+  return (
+    <CommandPaletteContext.Provider value={value}>
+      {children}
+    </CommandPaletteContext.Provider>
+  );
+};
+
+export const useCommandPalette = () => {
+  const context = useContext(CommandPaletteContext);
+  if (!context) {
+    throw new Error('useCommandPalette must be used within a CommandPaletteProvider');
+  }
+  return context;
+};
+
+/**
+ * Hook to add commands to the palette while a component is mounted
+ * The latest commands are used each time the palette renders, so inline
+ * arrays and closures are fine. Adding, removing or renaming commands
+ * updates an open palette.
+ *
+ * @param {Array} commands - Commands (see the top of this file)
+ */
+export const useCommands = (commands) => {
+  const { registerCommands } = useCommandPalette();
+
+  const commandsRef = useRef(commands);
+  commandsRef.current = commands;
+
+  // Re-register when what the palette lists changes; `perform` is read through the ref
+  const listed = (commands || []).map(({ id, title, group, keywords, shortcut }) => (
+    [id, title, group, keywords, shortcut]
+  ));
+  const listKey = JSON.stringify(listed);
+
+  useEffect(() => registerCommands(() => commandsRef.current), [registerCommands, listKey]);
+};
+
+export default CommandPaletteContext;
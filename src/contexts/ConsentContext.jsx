@@ -0,0 +1,139 @@
+/**
+ * Consent Context
+ *
+ * Keeps track of the user's analytics consent. Analytics stays off until the
+ * user opts in, and browsers sending Do-Not-Track or Global Privacy Control
+ * are treated as opted out without asking.
+ *
+ * The choice is persisted in localStorage and synchronized across open tabs.
+ * AnalyticsProvider reads it when rendered inside a ConsentProvider.
+ *
+ * Usage:
+ *   import { ConsentProvider, useConsent } from './contexts/ConsentContext';
+ *
+ *   // In app root, outside AnalyticsProvider
+ *   <ConsentProvider>
+ *     <AnalyticsProvider>
+ *       <App />
+ *     </AnalyticsProvider>
+ *   </ConsentProvider>
+ *
+ *   // In components (see ConsentBanner for the prompt)
+ *   const { consent, hasDecided, grantConsent, denyConsent, resetConsent } = useConsent();
+ */
+
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { getCrossTabChannel } from '../utils/crossTab';
+
+const ConsentContext = createContext(null);
+
+const CONSENT_STORAGE_KEY = 'analytics_consent';
+
+export const CONSENT_STATUS = {
+  PENDING: 'pending',
+  GRANTED: 'granted',
+  DENIED: 'denied',
+};
+
+/**
+ * Do-Not-Track or Global Privacy Control is switched on in the browser
+ */
+export const hasPrivacySignal = () => {
+  if (typeof navigator === 'undefined') return false;
+  const doNotTrack = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+  return doNotTrack === '1' || doNotTrack === 'yes' || navigator.globalPrivacyControl === true;
+};
+
+const readStoredChoice = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CONSENT_STORAGE_KEY));
+    if (stored && [CONSENT_STATUS.GRANTED, CONSENT_STATUS.DENIED].includes(stored.status)) {
+      return stored;
+    }
+  } catch (error) {
+    // Ignore malformed values
+  }
+  return null;
+};
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.respectPrivacySignals - Treat DNT/GPC as opted out (default: true)
+ */
+export const ConsentProvider = ({ children, respectPrivacySignals = true }) => {
+  const [choice, setChoice] = useState(readStoredChoice);
+  const [privacySignal] = useState(() => respectPrivacySignals && hasPrivacySignal());
+
+  // Follow choices made in other tabs
+  useEffect(() => {
+    const channel = getCrossTabChannel('consent');
+    return channel.subscribe(({ type }) => {
+      if (type === 'change') {
+        setChoice(readStoredChoice());
+      }
+    });
+  }, []);
+
+  const saveChoice = useCallback((status) => {
+    const next = status ? { status, decidedAt: new Date().toISOString() } : null;
+    try {
+      if (next) {
+        localStorage.setItem(CONSENT_STORAGE_KEY, JSON.stringify(next));
+      } else {
+        localStorage.removeItem(CONSENT_STORAGE_KEY);
+      }
+    } catch (error) {
+      console.warn('Failed to persist analytics consent:', error);
+    }
+    setChoice(next);
+    getCrossTabChannel('consent').postMessage('change');
+  }, []);
+
+  /**
+   * Opt in to analytics
+   */
+  const grantConsent = useCallback(() => saveChoice(CONSENT_STATUS.GRANTED), [saveChoice]);
+
+  /**
+   * Opt out of analytics
+   */
+  const denyConsent = useCallback(() => saveChoice(CONSENT_STATUS.DENIED), [saveChoice]);
+
+  /**
+   * Forget the choice, so the banner asks again
+   */
+  const resetConsent = useCallback(() => saveChoice(null), [saveChoice]);
+
+  // A privacy signal always wins over a stored opt-in
+  let consent = choice?.status || CONSENT_STATUS.PENDING;
+  if (privacySignal) {
+    consent = CONSENT_STATUS.DENIED;
+  }
+
+  const value = {
+    consent,
+    hasDecided: privacySignal || Boolean(choice),
+    isGranted: consent === CONSENT_STATUS.GRANTED,
+    privacySignal,
+    decidedAt: choice?.decidedAt || null,
+    grantConsent,
+    denyConsent,
+    resetConsent,
+  };
+
+  return (
+    <ConsentContext.Provider value={value}>
+      {children}
+    </ConsentContext.Provider>
+  );
+};
+
+export const useConsent = () => {
+  const context = useContext(ConsentContext);
+  if (!context) {
+    throw new Error('useConsent must be used within a ConsentProvider');
+  }
+  return context;
+};
+
+export default ConsentContext;
@@ -1,7 +1,21 @@
 /**
  * Data Cache Context
  *
- * Provides client-side caching with TTL and LRU eviction.
+ * Provides client-side caching with stale-while-revalidate and LRU eviction.
+ * The in-memory core (utils/cacheStore) does constant-time LRU bookkeeping and
+ * can be bounded by entry count, total bytes and per-key-prefix quotas.
+ *
+ * Every entry has two lifetimes:
+ *   - ttl: how long data is fresh. Past it, data is stale but still served
+ *     while a background request revalidates it.
+ *   - gcTime: how long data is kept at all. Past it, the entry is removed.
+ *
+ * Entries can be persisted through a storage adapter (see utils/cacheStorage)
+ * so they survive reloads. The persisted cache is versioned and tied to the
+ * signed-in user: it is dropped when the version changes, and the whole cache
+ * is cleared when the user signs out or a different user signs in.
+ *
+ * invalidateCache and clearCache are applied to every open tab.
  *
  * Usage:
  *   import { DataCacheProvider, useDataCache, useCachedFetch } from './contexts/DataCacheContext';
@@ -11,149 +25,516 @@
  *     <App />
  *   </DataCacheProvider>
  *
+ *   // Bounded by size, with a quota for one resource
+ *   <DataCacheProvider
+ *     maxEntries={5000}
+ *     maxBytes={20 * 1024 * 1024}
+ *     quotas={{ 'meetings:': { maxEntries: 1000 } }}
+ *     onEvict={(key, entry, reason) => console.debug('evicted', key, reason)}
+ *   >
+ *     <App />
+ *   </DataCacheProvider>
+ *
+ *   // Persisted across reloads (5MB budget)
+ *   <DataCacheProvider storage={createIndexedDBAdapter()} maxStorageBytes={5 * 1024 * 1024}>
+ *     <App />
+ *   </DataCacheProvider>
+ *
  *   // Manual cache management
  *   const { getCache, setCache, invalidateCache } = useDataCache();
  *
+ *   // useCachedFetch keys include the user, method, body and sorted query (see utils/cacheKeys)
+ *   const { buildKey, invalidateResource, invalidateUser } = useDataCache();
+ *   getCache(buildKey('/api/meetings?day=monday'));
+ *   invalidateResource('/api/meetings'); // Every cached variant of /api/meetings
+ *
  *   // Automatic cached fetching
  *   const { data, isLoading, error, refetch } = useCachedFetch('/api/data');
+ *
+ *   // Revalidate on focus/reconnect and poll every 30s while the tab is visible
+ *   const { data, isValidating } = useCachedFetch('/api/data', {
+ *     refetchOnFocus: true,
+ *     refetchOnReconnect: true,
+ *     refreshInterval: 30000,
+ *   });
+ *
+ *   // Cached fetching through the authenticated API client
+ *   const api = useApiClient();
+ *   const { data } = useCachedFetch('/meetings', { client: api });
+ *
+ *   // Writes with optimistic updates and invalidation
+ *   const { mutate, isPending, error } = useMutation('/api/meetings', {
+ *     method: 'POST',
+ *     optimisticUpdate: (meeting) => ({
+ *       [buildKey('/api/meetings')]: (current = []) => [...current, meeting],
+ *     }),
+ *     invalidateResources: ['/api/meetings'],
+ *   });
  */
 
 import React, { createContext, useContext, useRef, useCallback, useState, useEffect } from 'react';
+import { resolveUrl } from '../api/client';
+import { isAbortError } from '../api/errors';
+import { estimateSize } from '../utils/cacheStorage';
+import { createCacheStore } from '../utils/cacheStore';
+import { buildCacheKey, resourcePatterns, userPattern } from '../utils/cacheKeys';
+import AnalyticsContext, { ANALYTICS_EVENTS } from './AnalyticsContext';
+import AuthContext from './AuthContext';
+import { getCrossTabChannel } from '../utils/crossTab';
 
 const DataCacheContext = createContext(null);
 
 const DEFAULT_TTL = 5 * 60 * 1000; // 5 minutes
+const DEFAULT_GC_TIME = 30 * 60 * 1000; // 30 minutes
 const MAX_ENTRIES = 100;
+const MAX_STORAGE_BYTES = 5 * 1024 * 1024; // 5MB
+const CACHE_VERSION = process.env.REACT_APP_VERSION || '1';
+
+// Turn an invalidateCache pattern into a regex - only '*' is special
+const patternToRegex = (pattern) => new RegExp(
+  '^' + pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$'
+);
+
+/**
+ * Props:
+ *   - defaultTTL: How long data is fresh (default: 5 minutes)
+ *   - defaultGCTime: How long data is kept (default: 30 minutes)
+ *   - maxEntries: Maximum number of entries (default: 100)
+ *   - maxBytes: Maximum in-memory size in bytes (default: unlimited)
+ *   - quotas: Limits per key prefix, e.g. { 'meetings:': { maxEntries: 50, maxBytes: 1048576 } }
+ *   - onEvict: Called with (key, entry, reason) when an entry is evicted to respect a limit
+ *   - storage: Storage adapter to persist entries (default: none, memory only)
+ *   - maxStorageBytes: Byte budget for persisted entries (default: 5MB)
+ *   - version: Persisted entries from another version are discarded (default: REACT_APP_VERSION)
+ */
+export const DataCacheProvider = ({
+  children,
+  defaultTTL = DEFAULT_TTL,
+  defaultGCTime = DEFAULT_GC_TIME,
+  maxEntries = MAX_ENTRIES,
+  maxBytes = Infinity,
+  quotas,
+  onEvict,
+  storage = null,
+  maxStorageBytes = MAX_STORAGE_BYTES,
+  version = CACHE_VERSION,
+}) => {
+  // Auth is optional so the cache can be used on its own
+  const auth = useContext(AuthContext);
+  const userId = auth?.user?.id ?? null;
+  const isAuthLoading = auth?.isLoading ?? false;
+
+  const handleEvictRef = useRef(null); // Latest eviction handler, set below
+  const storeRef = useRef(null); // LRU store - see utils/cacheStore
+  if (storeRef.current === null) {
+    storeRef.current = createCacheStore({
+      maxEntries,
+      maxBytes,
+      quotas,
+      onEvict: (...args) => handleEvictRef.current?.(...args),
+    });
+  }
+  const inflightRef = useRef(new Map()); // In-flight requests by cache key
+  const listenersRef = useRef(new Map()); // Change listeners by cache key
+  const generationRef = useRef(0); // Bumped on clearCache so older requests don't write back
+  const persistedSizesRef = useRef(new Map()); // Persisted key -> size in bytes (oldest first)
+  const persistedBytesRef = useRef(0);
+  const ownerRef = useRef(undefined); // User the cached data belongs to
+  const hydrationStartedRef = useRef(false);
+  const [isHydrated, setIsHydrated] = useState(!storage);
+
+  /**
+   * Remove a key from persistent storage
+   */
+  const unpersist = useCallback((key) => {
+    if (!storage) return;
+    const size = persistedSizesRef.current.get(key);
+    if (size !== undefined) {
+      persistedBytesRef.current -= size;
+      persistedSizesRef.current.delete(key);
+    }
+    storage.delete(key);
+  }, [storage]);
+
+  /**
+   * Write an entry to persistent storage, evicting the least recently
+   * written entries when over the byte budget
+   * Reuses the size the store computed when the entry was set.
+   */
+  const persist = useCallback((key, entry) => {
+    if (!storage) return;
+
+    const persisted = {
+      data: entry.data,
+      staleAt: entry.staleAt,
+      expiresAt: entry.expiresAt,
+      createdAt: entry.createdAt,
+    };
+    const size = entry.size ?? estimateSize(persisted.data);
+    if (size > maxStorageBytes) {
+      unpersist(key);
+      return;
+    }
+
+    const sizes = persistedSizesRef.current;
+    if (sizes.has(key)) {
+      persistedBytesRef.current -= sizes.get(key);
+      sizes.delete(key);
+    }
+    sizes.set(key, size);
+    persistedBytesRef.current += size;
+    storage.set(key, persisted);
 
-export const DataCacheProvider = ({ children, defaultTTL = DEFAULT_TTL, maxEntries = MAX_ENTRIES }) => {
-  const cacheRef = useRef(new Map());
-  const accessOrderRef = useRef([]); // Track access order for LRU
+    for (const oldestKey of sizes.keys()) {
+      if (persistedBytesRef.current <= maxStorageBytes) break;
+      if (oldestKey !== key) {
+        unpersist(oldestKey);
+      }
+    }
+  }, [storage, maxStorageBytes, unpersist]);
+
+  /**
+   * Remove an entry from memory and persistent storage
+   */
+  const removeEntry = useCallback((key) => {
+    const existed = storeRef.current.delete(key);
+    if (existed) {
+      unpersist(key);
+    }
+    return existed;
+  }, [unpersist]);
+
+  // Evicted entries are dropped from persistent storage too
+  handleEvictRef.current = (key, entry, reason) => {
+    unpersist(key);
+    onEvict?.(key, entry, reason);
+  };
+
+  // Apply changed limits (quotas compared by value since they're usually inline objects)
+  const quotasKey = JSON.stringify(quotas || {});
+  useEffect(() => {
+    storeRef.current.configure({
+      maxEntries,
+      maxBytes,
+      quotas: JSON.parse(quotasKey),
+      onEvict: (...args) => handleEvictRef.current?.(...args),
+    });
+  }, [maxEntries, maxBytes, quotasKey]);
+
+  /**
+   * Notify listeners of a cache key about a change
+   * Events: { type: 'set', data } | { type: 'invalidate' }
+   */
+  const notify = useCallback((key, event) => {
+    const listeners = listenersRef.current.get(key);
+    if (listeners) {
+      listeners.forEach((listener) => listener(event));
+    }
+  }, []);
+
+  /**
+   * Subscribe to changes of a cache key
+   * Returns an unsubscribe function
+   */
+  const subscribe = useCallback((key, listener) => {
+    if (!listenersRef.current.has(key)) {
+      listenersRef.current.set(key, new Set());
+    }
+    listenersRef.current.get(key).add(listener);
+
+    return () => {
+      const listeners = listenersRef.current.get(key);
+      if (!listeners) return;
+      listeners.delete(listener);
+      if (listeners.size === 0) {
+        listenersRef.current.delete(key);
+      }
+    };
+  }, []);
 
   /**
    * Get a cached value by key
-   * Returns null if not found or expired
+   * Returns stale data too; returns null only if not found or past gcTime
    */
   const getCache = useCallback((key) => {
-    const entry = cacheRef.current.get(key);
+    // get() also marks the key as most recently used
+    const entry = storeRef.current.get(key);
     if (!entry) return null;
 
     // Check if expired
     if (Date.now() > entry.expiresAt) {
-      cacheRef.current.delete(key);
-      accessOrderRef.current = accessOrderRef.current.filter(k => k !== key);
+      removeEntry(key);
       return null;
     }
 
-    // Update access order (LRU)
-    accessOrderRef.current = accessOrderRef.current.filter(k => k !== key);
-    accessOrderRef.current.push(key);
-
     return entry.data;
-  }, []);
+  }, [removeEntry]);
 
   /**
    * Check if a cache entry exists and is fresh
    */
   const hasCache = useCallback((key) => {
-    const entry = cacheRef.current.get(key);
+    const entry = storeRef.current.peek(key);
     if (!entry) return false;
-    return Date.now() <= entry.expiresAt;
+    return Date.now() <= entry.staleAt;
   }, []);
 
   /**
-   * Check if a cache entry is stale (exists but expired)
+   * Check if a cache entry is stale (past its TTL but not yet garbage collected)
    */
   const isStale = useCallback((key) => {
-    const entry = cacheRef.current.get(key);
+    const entry = storeRef.current.peek(key);
     if (!entry) return false;
-    return Date.now() > entry.expiresAt;
+    const now = Date.now();
+    return now > entry.staleAt && now <= entry.expiresAt;
   }, []);
 
   /**
    * Set a cache value with TTL
+   *
+   * @param {string} key - Cache key
+   * @param {*} data - Data to cache
+   * @param {number} ttl - How long the data is fresh
+   * @param {number} gcTime - How long the data is kept (never less than ttl)
    */
-  const setCache = useCallback((key, data, ttl = defaultTTL) => {
-    // LRU eviction if at capacity
-    while (cacheRef.current.size >= maxEntries && accessOrderRef.current.length > 0) {
-      const oldestKey = accessOrderRef.current.shift();
-      cacheRef.current.delete(oldestKey);
+  const setCache = useCallback((key, data, ttl = defaultTTL, gcTime = defaultGCTime) => {
+    // Store the entry - the store evicts least recently used entries to stay within limits
+    const now = Date.now();
+    const entry = {
+      data,
+      staleAt: now + ttl,
+      expiresAt: now + Math.max(ttl, gcTime),
+      createdAt: now,
+    };
+    if (storeRef.current.set(key, entry)) {
+      persist(key, storeRef.current.peek(key));
     }
 
-    // Store the entry
-    cacheRef.current.set(key, {
-      data,
-      expiresAt: Date.now() + ttl,
-      createdAt: Date.now(),
-    });
+    notify(key, { type: 'set', data });
+  }, [defaultTTL, defaultGCTime, notify, persist]);
 
-    // Update access order
-    accessOrderRef.current = accessOrderRef.current.filter(k => k !== key);
-    accessOrderRef.current.push(key);
-  }, [defaultTTL, maxEntries]);
+  /**
+   * Copy of a cache entry (data and timestamps), for restoreCache
+   * Returns null if not found or past gcTime.
+   */
+  const snapshotCache = useCallback((key) => {
+    const entry = storeRef.current.peek(key);
+    if (!entry || Date.now() > entry.expiresAt) return null;
+    const { data, staleAt, expiresAt, createdAt } = entry;
+    return { data, staleAt, expiresAt, createdAt };
+  }, []);
 
   /**
-   * Invalidate cache entries by key or pattern
-   * Supports wildcards: 'meetings:*' matches 'meetings:123', 'meetings:456'
+   * Put back an entry from snapshotCache as it was, keeping its original
+   * freshness (unlike setCache, which starts a new TTL)
    */
-  const invalidateCache = useCallback((pattern) => {
+  const restoreCache = useCallback((key, snapshot) => {
+    if (storeRef.current.set(key, { ...snapshot })) {
+      persist(key, storeRef.current.peek(key));
+    }
+
+    notify(key, { type: 'set', data: snapshot.data });
+  }, [notify, persist]);
+
+  /**
+   * Run a fetcher for a cache key, sharing the request with concurrent callers
+   *
+   * The fetcher receives an AbortSignal and resolves with the data to cache.
+   * Every caller gets a `release` function; once all callers have released
+   * a request that is still pending, it is aborted.
+   *
+   * Results are not written over cache data that was set after the request
+   * started (e.g. by a newer request or a manual setCache).
+   *
+   * @returns {{ promise: Promise, release: Function }}
+   */
+  const fetchWithDedupe = useCallback((key, fetcher, { ttl, gcTime } = {}) => {
+    let request = inflightRef.current.get(key);
+
+    if (!request) {
+      const controller = new AbortController();
+      const startedAt = Date.now();
+      const generation = generationRef.current;
+      request = { controller, subscribers: 0, settled: false };
+
+      request.promise = Promise.resolve()
+        .then(() => fetcher(controller.signal))
+        .then((data) => {
+          // The cache was cleared (e.g. sign-out) while this request was in flight
+          if (generation !== generationRef.current) {
+            return data;
+          }
+          const current = storeRef.current.peek(key);
+          if (current && current.createdAt > startedAt) {
+            return current.data;
+          }
+          setCache(key, data, ttl, gcTime);
+          return data;
+        })
+        .finally(() => {
+          request.settled = true;
+          if (inflightRef.current.get(key) === request) {
+            inflightRef.current.delete(key);
+          }
+        });
+
+      inflightRef.current.set(key, request);
+    }
+
+    const shared = request;
+    shared.subscribers++;
+
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      shared.subscribers--;
+
+      if (shared.subscribers === 0 && !shared.settled) {
+        shared.controller.abort();
+        if (inflightRef.current.get(key) === shared) {
+          inflightRef.current.delete(key);
+        }
+      }
+    };
+
+    return { promise: shared.promise, release };
+  }, [setCache]);
+
+  /**
+   * Invalidate matching entries in this tab only
+   */
+  const invalidateLocal = useCallback((pattern) => {
     if (pattern.includes('*')) {
-      const regex = new RegExp('^' + pattern.replace(/\*/g, '.*') + '$');
+      const regex = patternToRegex(pattern);
       const keysToDelete = [];
 
-      for (const key of cacheRef.current.keys()) {
+      for (const key of storeRef.current.keys()) {
         if (regex.test(key)) {
           keysToDelete.push(key);
         }
       }
 
       keysToDelete.forEach(key => {
-        cacheRef.current.delete(key);
-        accessOrderRef.current = accessOrderRef.current.filter(k => k !== key);
+        removeEntry(key);
       });
 
+      for (const key of Array.from(listenersRef.current.keys())) {
+        if (regex.test(key)) {
+          notify(key, { type: 'invalidate' });
+        }
+      }
+
       return keysToDelete.length;
     } else {
-      const existed = cacheRef.current.has(pattern);
-      cacheRef.current.delete(pattern);
-      accessOrderRef.current = accessOrderRef.current.filter(k => k !== pattern);
+      const existed = removeEntry(pattern);
+      notify(pattern, { type: 'invalidate' });
       return existed ? 1 : 0;
     }
-  }, []);
+  }, [notify, removeEntry]);
 
   /**
-   * Clear all cached data
+   * Invalidate cache entries by key or pattern
+   * Supports wildcards: 'meetings:*' matches 'meetings:123', 'meetings:456'
+   * Mounted useCachedFetch hooks for matching keys refetch, in every open tab.
    */
-  const clearCache = useCallback(() => {
-    const count = cacheRef.current.size;
-    cacheRef.current.clear();
-    accessOrderRef.current = [];
+  const invalidateCache = useCallback((pattern) => {
+    getCrossTabChannel('cache').postMessage('invalidate', { pattern });
+    return invalidateLocal(pattern);
+  }, [invalidateLocal]);
+
+  /**
+   * Build the cache key useCachedFetch uses for a request by the current user
+   *
+   * @param {string} url - Request URL
+   * @param {Object} options - { method, params, body }
+   */
+  const buildKey = useCallback((url, options = {}) => {
+    return buildCacheKey(url, { ...options, userId });
+  }, [userId]);
+
+  /**
+   * Invalidate every cached variant of a resource (any user, method, body, query or sub-path)
+   */
+  const invalidateResource = useCallback((url) => {
+    return resourcePatterns(url).reduce((count, pattern) => count + invalidateCache(pattern), 0);
+  }, [invalidateCache]);
+
+  /**
+   * Invalidate everything cached for a user (default: the current user)
+   */
+  const invalidateUser = useCallback((id = userId) => {
+    return invalidateCache(userPattern(id));
+  }, [invalidateCache, userId]);
+
+  /**
+   * Clear all cached data in this tab only
+   */
+  const clearLocal = useCallback(() => {
+    const count = storeRef.current.size;
+    storeRef.current.clear();
+
+    // Requests started before the clear must not repopulate the cache
+    generationRef.current++;
+    inflightRef.current.clear();
+
+    if (storage) {
+      persistedSizesRef.current.clear();
+      persistedBytesRef.current = 0;
+      storage.clear();
+    }
     return count;
-  }, []);
+  }, [storage]);
+
+  /**
+   * Clear all cached data, in every open tab
+   */
+  const clearCache = useCallback(() => {
+    getCrossTabChannel('cache').postMessage('clear');
+    return clearLocal();
+  }, [clearLocal]);
+
+  // Apply invalidations and clears made in other tabs
+  useEffect(() => {
+    const channel = getCrossTabChannel('cache');
+    return channel.subscribe(({ type, payload }) => {
+      if (type === 'invalidate' && typeof payload?.pattern === 'string') {
+        invalidateLocal(payload.pattern);
+      } else if (type === 'clear') {
+        clearLocal();
+      }
+    });
+  }, [invalidateLocal, clearLocal]);
 
   /**
    * Get cache statistics
    */
   const getCacheStats = useCallback(() => {
+    const store = storeRef.current;
     let expiredCount = 0;
-    let totalSize = 0;
+    let staleCount = 0;
     const now = Date.now();
 
-    for (const [key, entry] of cacheRef.current.entries()) {
+    for (const [, entry] of store.entries()) {
       if (now > entry.expiresAt) {
         expiredCount++;
+      } else if (now > entry.staleAt) {
+        staleCount++;
       }
-      // Rough estimate of entry size
-      totalSize += JSON.stringify(entry.data).length;
     }
 
     return {
-      totalEntries: cacheRef.current.size,
+      totalEntries: store.size,
       expiredEntries: expiredCount,
-      activeEntries: cacheRef.current.size - expiredCount,
-      estimatedSizeBytes: totalSize,
+      staleEntries: staleCount,
+      activeEntries: store.size - expiredCount,
+      // Sizes are estimated once per entry, when it is set
+      estimatedSizeBytes: store.bytes,
       maxEntries,
+      maxBytes,
+      quotas: store.getQuotaUsage(),
     };
-  }, [maxEntries]);
+  }, [maxEntries, maxBytes]);
 
   /**
    * Clean up expired entries (can be called periodically)
@@ -162,16 +543,79 @@ export const DataCacheProvider = ({ children, defaultTTL = DEFAULT_TTL, maxEntri
     const now = Date.now();
     let cleanedCount = 0;
 
-    for (const [key, entry] of cacheRef.current.entries()) {
+    for (const [key, entry] of storeRef.current.entries()) {
       if (now > entry.expiresAt) {
-        cacheRef.current.delete(key);
-        accessOrderRef.current = accessOrderRef.current.filter(k => k !== key);
+        removeEntry(key);
         cleanedCount++;
       }
     }
 
     return cleanedCount;
-  }, []);
+  }, [removeEntry]);
+
+  // Hydrate from persistent storage once the signed-in user is known
+  useEffect(() => {
+    if (!storage || isAuthLoading || hydrationStartedRef.current) return;
+    hydrationStartedRef.current = true;
+
+    const hydrate = async () => {
+      const owner = userId;
+      const meta = await storage.getMeta();
+
+      if (!meta || meta.version !== version || meta.userId !== owner) {
+        // Different app version or different user - start over
+        await storage.clear();
+        await storage.setMeta({ version, userId: owner });
+      } else {
+        const now = Date.now();
+        const entries = (await storage.getAll())
+          .filter(([, entry]) => entry && now <= entry.expiresAt)
+          .sort(([, a], [, b]) => a.createdAt - b.createdAt);
+        const kept = entries.slice(-maxEntries);
+
+        // Skip if the user changed while we were reading
+        if (ownerRef.current === owner) {
+          const store = storeRef.current;
+          const keysSetSinceMount = Array.from(store.keys());
+
+          kept.forEach(([key, entry]) => {
+            if (store.has(key) || !store.set(key, entry)) return;
+            const size = store.peek(key)?.size ?? 0;
+            persistedSizesRef.current.set(key, size);
+            persistedBytesRef.current += size;
+            notify(key, { type: 'set', data: entry.data });
+          });
+
+          // Hydrated entries are older than anything set since mount
+          keysSetSinceMount.forEach((key) => store.get(key));
+        }
+      }
+
+      setIsHydrated(true);
+    };
+
+    hydrate().catch((error) => {
+      console.error('Failed to hydrate data cache:', error);
+      setIsHydrated(true);
+    });
+  }, [storage, isAuthLoading, userId, version, maxEntries, notify]);
+
+  // Never let cached data outlive the user it was fetched for
+  useEffect(() => {
+    if (isAuthLoading) return;
+
+    if (ownerRef.current === undefined) {
+      ownerRef.current = userId;
+      return;
+    }
+
+    // Every tab sees the user change itself, so there's no need to broadcast the clear
+    if (ownerRef.current !== userId) {
+      ownerRef.current = userId;
+      clearLocal();
+      storage?.setMeta({ version, userId });
+    }
+  }, [isAuthLoading, userId, clearLocal, storage, version]);
 
   // Periodic cleanup every 5 minutes
   useEffect(() => {
@@ -182,12 +626,20 @@ export const DataCacheProvider = ({ children, defaultTTL = DEFAULT_TTL, maxEntri
   const value = {
     getCache,
     setCache,
+    snapshotCache,
+    restoreCache,
     hasCache,
     isStale,
     invalidateCache,
+    invalidateResource,
+    invalidateUser,
+    buildKey,
     clearCache,
     getCacheStats,
     cleanupExpired,
+    fetchWithDedupe,
+    subscribe,
+    isHydrated,
   };
 
   return (
@@ -208,80 +660,233 @@ export const useDataCache = () => {
 /**
  * Hook for cached data fetching
  *
+ * Fresh cached data is returned without a request. Stale data is returned
+ * immediately and revalidated in the background (`isValidating` is true
+ * while that happens); `isLoading` is only true when there is nothing to show.
+ *
+ * Components requesting the same URL at the same time share one network request.
+ * The request is aborted once every component waiting on it has unmounted or
+ * moved on to a different URL, and late responses never overwrite newer data.
+ *
+ * Data is cached under a key built from the URL (with sorted query params),
+ * the method, a hash of the body and the signed-in user - see utils/cacheKeys.
+ *
  * @param {string} url - The URL to fetch
  * @param {Object} options - Configuration options
- * @param {number} options.ttl - Cache TTL in milliseconds
+ * @param {string} options.key - Explicit cache key, used as-is instead of the built one
+ * @param {number} options.ttl - How long fetched data is fresh, in milliseconds
+ * @param {number} options.gcTime - How long fetched data is kept, in milliseconds
  * @param {boolean} options.enabled - Whether to fetch (default: true)
  * @param {Function} options.transform - Transform function for response
- * @param {boolean} options.refetchOnStale - Refetch when cache is stale
+ * @param {boolean} options.refetchOnStale - Revalidate stale data in the background (default: true)
+ * @param {boolean} options.refetchOnFocus - Revalidate stale data when the window regains focus
+ * @param {boolean} options.refetchOnReconnect - Revalidate stale data when the browser comes back online
+ * @param {number} options.refreshInterval - Poll every N milliseconds (default: 0, disabled)
+ * @param {boolean} options.refreshWhenHidden - Keep polling while the tab is hidden (default: false)
+ * @param {Object} options.fetchOptions - Options passed to fetch (or to client.request); `params` go in the query string
+ * @param {Object} options.client - API client from useApiClient, used instead of bare fetch
  */
 export const useCachedFetch = (url, options = {}) => {
   const {
+    key,
     ttl = DEFAULT_TTL,
+    gcTime,
     enabled = true,
     transform = (data) => data,
-    refetchOnStale = false,
+    refetchOnStale = true,
+    refetchOnFocus = false,
+    refetchOnReconnect = false,
+    refreshInterval = 0,
+    refreshWhenHidden = false,
     fetchOptions = {},
+    client = null,
   } = options;
 
-  const { getCache, setCache, isStale: checkStale } = useDataCache();
+  const { getCache, hasCache, isStale: checkStale, fetchWithDedupe, subscribe, isHydrated, buildKey } = useDataCache();
+
+  const cacheKey = key || (url ? buildKey(url, {
+    method: fetchOptions.method,
+    params: fetchOptions.params,
+    body: fetchOptions.body,
+  }) : null);
   const [data, setData] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [isValidating, setIsValidating] = useState(false);
   const [error, setError] = useState(null);
   const [isStale, setIsStale] = useState(false);
 
+  // Options that are usually inline objects/functions are read through a ref so
+  // a new identity on every render doesn't restart (and abort) the request
+  const requestConfigRef = useRef({});
+  requestConfigRef.current = { transform, fetchOptions, client };
+
+  const requestIdRef = useRef(0); // Only the latest request may update state
+  const releaseRef = useRef(null); // Drops this component's interest in the in-flight request
+
+  const releaseRequest = useCallback(() => {
+    if (releaseRef.current) {
+      releaseRef.current();
+      releaseRef.current = null;
+    }
+  }, []);
+
+  // Ignore any pending response and release the request
+  const cancelRequest = useCallback(() => {
+    requestIdRef.current++;
+    releaseRequest();
+  }, [releaseRequest]);
+
   const fetchData = useCallback(async (skipCache = false) => {
     if (!enabled || !url) {
       setIsLoading(false);
       return;
     }
 
-    try {
-      // Check cache first (unless skip)
-      if (!skipCache) {
-        const cached = getCache(url);
-        if (cached !== null) {
-          setData(cached);
-          setIsLoading(false);
-          setIsStale(checkStale(url));
-
-          // If stale and refetchOnStale, fetch in background
-          if (refetchOnStale && checkStale(url)) {
-            fetchData(true);
-          }
-          return;
-        }
+    // Wait for persisted entries to load before deciding whether to fetch
+    if (!isHydrated) return;
+
+    const cached = getCache(cacheKey);
+
+    // Serve cached data first (unless skip)
+    if (!skipCache && cached !== null) {
+      const stale = checkStale(cacheKey);
+      setData(cached);
+      setIsLoading(false);
+      setIsStale(stale);
+
+      // Fresh data needs no request; stale data is revalidated in the background
+      if (!stale || !refetchOnStale) {
+        return;
       }
+    }
 
-      setIsLoading(true);
-      setError(null);
+    const requestId = ++requestIdRef.current;
+    releaseRequest();
 
-      const response = await fetch(url, fetchOptions);
+    // Only show a loading state when there is no cached data to show meanwhile
+    setIsLoading(cached === null);
+    setIsValidating(true);
+    setError(null);
+
+    const { promise, release } = fetchWithDedupe(cacheKey, async (signal) => {
+      const { transform: transformFn, fetchOptions: init, client: apiClient } = requestConfigRef.current;
+
+      let json;
+      if (apiClient) {
+        // The client resolves the base URL, attaches auth and throws ApiError
+        json = await apiClient.request(url, { ...init, signal });
+      } else {
+        // `params` is part of the cache key, so it must be part of the request too
+        const { params, ...fetchInit } = init;
+        const response = await fetch(resolveUrl(url, '', params), { ...fetchInit, signal });
+
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        json = await response.json();
       }
 
-      const json = await response.json();
-      const transformed = transform(json);
+      return transformFn(json);
+    }, { ttl, gcTime });
+    releaseRef.current = release;
 
-      // Update cache
-      setCache(url, transformed, ttl);
+    try {
+      const result = await promise;
+      if (requestId !== requestIdRef.current) return; // Superseded by a newer request
 
-      setData(transformed);
+      setData(result);
       setIsStale(false);
     } catch (err) {
+      if (requestId !== requestIdRef.current || isAbortError(err)) return;
+
       setError(err);
       console.error(`Failed to fetch ${url}:`, err);
     } finally {
-      setIsLoading(false);
+      if (requestId === requestIdRef.current) {
+        setIsLoading(false);
+        setIsValidating(false);
+        releaseRequest();
+      }
     }
-  }, [url, enabled, ttl, getCache, setCache, checkStale, transform, refetchOnStale, fetchOptions]);
+  }, [url, cacheKey, enabled, isHydrated, ttl, gcTime, getCache, checkStale, refetchOnStale, fetchWithDedupe, releaseRequest]);
 
-  // Initial fetch
+  // Initial fetch, cancelled on unmount or when the URL changes
   useEffect(() => {
     fetchData();
-  }, [fetchData]);
+    return cancelRequest;
+  }, [fetchData, cancelRequest]);
+
+  // Pick up writes from other components (setCache, optimistic updates) and refetch on invalidation
+  useEffect(() => {
+    if (!enabled || !url) return;
+
+    return subscribe(cacheKey, (event) => {
+      if (event.type === 'set') {
+        setData(event.data);
+        setIsStale(false);
+      } else if (event.type === 'invalidate') {
+        fetchData(true);
+      }
+    });
+  }, [url, cacheKey, enabled, subscribe, fetchData]);
+
+  // Revalidate on focus / reconnect, but only when the data is no longer fresh
+  useEffect(() => {
+    if (!enabled || !url || (!refetchOnFocus && !refetchOnReconnect)) return;
+
+    const revalidateIfStale = () => {
+      if (!hasCache(cacheKey)) {
+        fetchData(true);
+      }
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') {
+        revalidateIfStale();
+      }
+    };
+
+    if (refetchOnFocus) {
+      window.addEventListener('focus', revalidateIfStale);
+      document.addEventListener('visibilitychange', handleVisibilityChange);
+    }
+    if (refetchOnReconnect) {
+      window.addEventListener('online', revalidateIfStale);
+    }
+
+    return () => {
+      window.removeEventListener('focus', revalidateIfStale);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('online', revalidateIfStale);
+    };
+  }, [url, cacheKey, enabled, refetchOnFocus, refetchOnReconnect, hasCache, fetchData]);
+
+  // Polling - paused while the tab is hidden unless refreshWhenHidden is set
+  useEffect(() => {
+    if (!enabled || !url || !refreshInterval) return;
+
+    const isHidden = () => document.visibilityState === 'hidden';
+
+    const interval = setInterval(() => {
+      if (refreshWhenHidden || !isHidden()) {
+        fetchData(true);
+      }
+    }, refreshInterval);
+
+    // Catch up on missed polls when the tab becomes visible again
+    const handleVisibilityChange = () => {
+      if (!refreshWhenHidden && !isHidden() && !hasCache(cacheKey)) {
+        fetchData(true);
+      }
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [url, cacheKey, enabled, refreshInterval, refreshWhenHidden, hasCache, fetchData]);
 
   const refetch = useCallback(() => {
     return fetchData(true);
@@ -290,10 +895,191 @@ export const useCachedFetch = (url, options = {}) => {
   return {
     data,
     isLoading,
+    isValidating,
     error,
     isStale,
     refetch,
   };
 };
 
+/**
+ * Hook for writes (POST/PUT/PATCH/DELETE) that keep the cache in sync
+ *
+ * Optimistic updates are applied to the cache before the request is sent and
+ * rolled back if it fails. On success, related keys are invalidated so mounted
+ * useCachedFetch hooks refetch.
+ *
+ * Tracks FORM_SUBMITTED for every mutation and API_ERROR for failures. When a
+ * `client` is given, API_ERROR is left to the client, which already reports it.
+ *
+ * @param {string|Function} url - The URL, or a function of the mutation variables returning it
+ * @param {Object} options - Configuration options
+ * @param {string} options.method - HTTP method (default: 'POST')
+ * @param {Function} options.optimisticUpdate - (variables) => ({ [cacheKey]: (current) => next })
+ * @param {string[]|Function} options.invalidates - Keys/patterns to invalidate, or (result, variables) => keys
+ * @param {string[]} options.invalidateResources - URLs whose cached variants are invalidated (see invalidateResource)
+ * @param {Function} options.onSuccess - Called with (result, variables)
+ * @param {Function} options.onError - Called with (error, variables)
+ * @param {Function} options.onSettled - Called with (result, error, variables)
+ * @param {string} options.trackingName - form_name reported with FORM_SUBMITTED (default: the endpoint)
+ * @param {Object} options.fetchOptions - Options passed to fetch (or to client.request); `params` go in the query string
+ * @param {Object} options.client - API client from useApiClient, used instead of bare fetch
+ */
+export const useMutation = (url, options = {}) => {
+  const { setCache, snapshotCache, restoreCache, invalidateCache, invalidateResource } = useDataCache();
+  // Analytics is optional so the cache can be used on its own
+  const analytics = useContext(AnalyticsContext);
+
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+  const [isPending, setIsPending] = useState(false);
+
+  // Read the latest options without making mutate change identity every render
+  const configRef = useRef({});
+  configRef.current = { url, options, analytics };
+
+  const mountedRef = useRef(true);
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  const mutateAsync = useCallback(async (variables) => {
+    const { url: urlOrFn, options: opts, analytics: tracker } = configRef.current;
+    const {
+      method = 'POST',
+      optimisticUpdate,
+      invalidates = [],
+      invalidateResources = [],
+      onSuccess,
+      onError,
+      onSettled,
+      trackingName,
+      fetchOptions = {},
+      client = null,
+    } = opts;
+
+    const requestUrl = typeof urlOrFn === 'function' ? urlOrFn(variables) : urlOrFn;
+    const endpoint = requestUrl.split('?')[0];
+    const upperMethod = method.toUpperCase();
+
+    if (mountedRef.current) {
+      setIsPending(true);
+      setError(null);
+    }
+
+    // Apply optimistic updates, remembering what to roll back to
+    const snapshots = [];
+    if (optimisticUpdate) {
+      const updates = optimisticUpdate(variables) || {};
+      Object.entries(updates).forEach(([key, updater]) => {
+        // The whole entry is kept so a rollback doesn't make the old data look fresh
+        const previous = snapshotCache(key);
+        snapshots.push({ key, previous });
+        setCache(key, typeof updater === 'function' ? updater(previous?.data) : updater);
+      });
+    }
+
+    try {
+      let result;
+      if (client) {
+        result = await client.request(requestUrl, { ...fetchOptions, method: upperMethod, body: variables });
+      } else {
+        const { params, ...fetchInit } = fetchOptions;
+        const headers = { 'Content-Type': 'application/json', ...fetchInit.headers };
+        const response = await fetch(resolveUrl(requestUrl, '', params), {
+          ...fetchInit,
+          method: upperMethod,
+          headers,
+          body: variables === undefined ? undefined : JSON.stringify(variables),
+        });
+
+        if (!response.ok) {
+          const requestError = new Error(`HTTP ${response.status}: ${response.statusText}`);
+          requestError.status = response.status;
+          throw requestError;
+        }
+
+        const text = await response.text();
+        result = text ? JSON.parse(text) : null;
+      }
+
+      const keys = typeof invalidates === 'function' ? invalidates(result, variables) : invalidates;
+      (keys || []).forEach((pattern) => invalidateCache(pattern));
+      invalidateResources.forEach((resource) => invalidateResource(resource));
+
+      tracker?.track(ANALYTICS_EVENTS.FORM_SUBMITTED, {
+        form_name: trackingName || endpoint,
+        method: upperMethod,
+        success: true,
+      });
+
+      if (mountedRef.current) {
+        setData(result);
+      }
+      onSuccess?.(result, variables);
+      onSettled?.(result, null, variables);
+      return result;
+    } catch (err) {
+      // Roll back optimistic updates (entries that didn't exist are removed)
+      snapshots.reverse().forEach(({ key, previous }) => {
+        if (previous === null) {
+          invalidateCache(key);
+        } else {
+          restoreCache(key, previous);
+        }
+      });
+
+      tracker?.track(ANALYTICS_EVENTS.FORM_SUBMITTED, {
+        form_name: trackingName || endpoint,
+        method: upperMethod,
+        success: false,
+      });
+      if (!client) {
+        tracker?.track(ANALYTICS_EVENTS.API_ERROR, {
+          endpoint,
+          method: upperMethod,
+          status: err.status || null,
+          error_message: err.message,
+        });
+      }
+
+      if (mountedRef.current) {
+        setError(err);
+      }
+      onError?.(err, variables);
+      onSettled?.(null, err, variables);
+      throw err;
+    } finally {
+      if (mountedRef.current) {
+        setIsPending(false);
+      }
+    }
+  }, [setCache, snapshotCache, restoreCache, invalidateCache, invalidateResource]);
+
+  /**
+   * Fire-and-forget variant - errors are exposed through `error` instead of thrown
+   */
+  const mutate = useCallback((variables) => {
+    return mutateAsync(variables).catch(() => undefined);
+  }, [mutateAsync]);
+
+  const reset = useCallback(() => {
+    setData(null);
+    setError(null);
+    setIsPending(false);
+  }, []);
+
+  return {
+    mutate,
+    mutateAsync,
+    data,
+    error,
+    isPending,
+    reset,
+  };
+};
+
 export default DataCacheContext;
@@ -0,0 +1,160 @@
+/**
+ * Error Reporting Context
+ *
+ * Sends errors to analytics as ERROR_OCCURRED, with the error stack, React
+ * component stack, route and build version. Captures uncaught errors
+ * (window `error`) and unhandled promise rejections automatically, and
+ * receives render errors from ErrorBoundary.
+ *
+ * Identical errors are deduplicated and reports are rate limited
+ * (see utils/errorReporter).
+ *
+ * Environment Variables:
+ *   REACT_APP_VERSION - Build version sent with every report
+ *
+ * Usage:
+ *   import { ErrorReportingProvider, useErrorReporting } from './contexts/ErrorReportingContext';
+ *
+ *   // In app root, inside AnalyticsProvider
+ *   <ErrorReportingProvider>
+ *     <App />
+ *   </ErrorReportingProvider>
+ *
+ *   // In components - report errors you handle yourself
+ *   const { reportError } = useErrorReporting();
+ *   try { ... } catch (error) { reportError(error, { context: { action: 'save_meeting' } }); }
+ *
+ *   // ...and tell the user (needs NotificationProvider above this provider)
+ *   reportError(error, { notify: 'Could not save the meeting' });
+ */
+
+import React, { createContext, useContext, useEffect, useRef, useCallback, useMemo } from 'react';
+import { useLocation } from 'react-router-dom';
+import { useAnalytics } from './AnalyticsContext';
+import { NotificationActionsContext } from './NotificationContext';
+import { createErrorReporter } from '../utils/errorReporter';
+import { isAbortError } from '../api/errors';
+
+const ErrorReportingContext = createContext(null);
+
+const BUILD_VERSION = process.env.REACT_APP_VERSION || 'development';
+const DEFAULT_NOTIFY_MESSAGE = 'Something went wrong. Please try again.';
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.captureGlobalErrors - Report window errors and unhandled rejections (default: true)
+ * @param {number} props.maxPerMinute - Reports sent per rolling minute (default: 10)
+ * @param {number} props.dedupeWindow - Milliseconds an identical error is suppressed (default: 60s)
+ */
+export const ErrorReportingProvider = ({
+  children,
+  captureGlobalErrors = true,
+  maxPerMinute,
+  dedupeWindow,
+}) => {
+  const { trackError } = useAnalytics();
+  const location = useLocation();
+  // Notifications are optional - errors are still reported without them
+  const notify = useContext(NotificationActionsContext);
+
+  // Keep the latest values without recreating the reporter
+  const latest = useRef({});
+  latest.current = { trackError, pathname: location.pathname, notify };
+
+  const reporter = useMemo(() => createErrorReporter({
+    maxPerMinute,
+    dedupeWindow,
+    // Cancelled requests aren't errors
+    ignore: (error) => isAbortError(error),
+    send: ({ name, message, stack, componentStack, source, handled, occurrences, context }) => {
+      latest.current.trackError(source, message, {
+        ...context,
+        error_name: name,
+        error_stack: stack,
+        component_stack: componentStack,
+        page_path: latest.current.pathname,
+        build_version: BUILD_VERSION,
+        handled,
+        occurrences,
+      });
+    },
+  }), [maxPerMinute, dedupeWindow]);
+
+  // Errors an ErrorBoundary has reported (with their component stack)
+  const boundaryErrorsRef = useRef(new WeakSet());
+
+  /**
+   * Report an error
+   *
+   * @param {*} error - Anything thrown
+   * @param {Object} details - { source, componentStack, handled, context, notify }
+   *   `notify` shows an error notification: a message, or true for a generic one
+   */
+  const reportError = useCallback((error, { notify, ...details } = {}) => {
+    if (process.env.NODE_ENV !== 'production') {
+      console.error(`[${details.source || 'manual'}]`, error);
+    }
+    if (notify && !isAbortError(error)) {
+      latest.current.notify?.error(typeof notify === 'string' ? notify : DEFAULT_NOTIFY_MESSAGE);
+    }
+    if (details.source === 'render' && error && typeof error === 'object') {
+      boundaryErrorsRef.current.add(error);
+    }
+    return reporter.report(error, { handled: true, ...details });
+  }, [reporter]);
+
+  // Uncaught errors and unhandled rejections
+  useEffect(() => {
+    if (!captureGlobalErrors) return undefined;
+
+    // In development React re-throws render errors to window.onerror before the
+    // boundary catches them. Waiting a tick lets the boundary's report, which has
+    // the component stack, go first - the window one is then skipped.
+    const timers = new Set();
+    const handleError = (event) => {
+      const error = event.error || event.message;
+      const context = {
+        file: event.filename || null,
+        line: event.lineno || null,
+        column: event.colno || null,
+      };
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        if (boundaryErrorsRef.current.has(error)) return;
+        reporter.report(error, { source: 'window', context });
+      }, 0);
+      timers.add(timer);
+    };
+    const handleRejection = (event) => {
+      reporter.report(event.reason, { source: 'promise' });
+    };
+
+    window.addEventListener('error', handleError);
+    window.addEventListener('unhandledrejection', handleRejection);
+    return () => {
+      window.removeEventListener('error', handleError);
+      window.removeEventListener('unhandledrejection', handleRejection);
+      timers.forEach((timer) => clearTimeout(timer));
+    };
+  }, [captureGlobalErrors, reporter]);
+
+  const value = {
+    reportError,
+  };
+
+  return (
+    <ErrorReportingContext.Provider value={value}>
+      {children}
+    </ErrorReportingContext.Provider>
+  );
+};
+
+export const useErrorReporting = () => {
+  const context = useContext(ErrorReportingContext);
+  if (!context) {
+    throw new Error('useErrorReporting must be used within an ErrorReportingProvider');
+  }
+  return context;
+};
+
+export default ErrorReportingContext;
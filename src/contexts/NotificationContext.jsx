@@ -0,0 +1,166 @@
+/**
+ * Notification Context
+ *
+ * Toast notifications for feedback after an action ("Meeting saved",
+ * "Could not reach the server"). The Notifications component renders them
+ * in an ARIA live region with the `.alert-*` styles.
+ *
+ * - Variants: success, info, warning, error
+ * - Auto-dismiss after `duration` (paused while hovered or focused);
+ *   `duration: 0` keeps a notification until it's dismissed
+ * - An optional action button, e.g. { label: 'Undo', onClick: undo }
+ * - Identical notifications aren't stacked: the visible one is counted and
+ *   its timer restarts
+ * - At most `maxVisible` are shown; the oldest make room for new ones
+ *
+ * Usage:
+ *   import { NotificationProvider, useNotify } from './contexts/NotificationContext';
+ *
+ *   // In app root
+ *   <NotificationProvider>
+ *     <App />
+ *   </NotificationProvider>
+ *
+ *   // In components
+ *   const notify = useNotify();
+ *   notify.success('Meeting saved');
+ *   notify.error('Could not save the meeting', { title: 'Save failed', duration: 0 });
+ *   notify({ variant: 'info', message: 'Meeting archived', action: { label: 'Undo', onClick: restore } });
+ *
+ * `notify` has its own context, so components that only raise notifications
+ * don't re-render each time one is shown or dismissed.
+ */
+
+import React, { createContext, useContext, useState, useCallback, useMemo, useRef } from 'react';
+
+const NotificationContext = createContext(null);
+
+// The stable notify function alone (see useNotify)
+export const NotificationActionsContext = createContext(null);
+
+const VARIANTS = ['success', 'info', 'warning', 'error'];
+
+// Errors stay up longer - they usually need reading
+const DEFAULT_DURATIONS = {
+  success: 5000,
+  info: 5000,
+  warning: 7000,
+  error: 8000,
+};
+
+/**
+ * @param {Object} props
+ * @param {number} props.maxVisible - Notifications shown at once (default: 3)
+ * @param {number} props.duration - Auto-dismiss delay in ms for every variant (default: per variant)
+ */
+export const NotificationProvider = ({ children, maxVisible = 3, duration }) => {
+  const [notifications, setNotifications] = useState([]);
+  const nextIdRef = useRef(1);
+
+  // Source of truth, so notify() can dedupe and return ids synchronously
+  const notificationsRef = useRef([]);
+  const update = useCallback((next) => {
+    notificationsRef.current = next;
+    setNotifications(next);
+  }, []);
+
+  // Read the latest settings from the stable notify function
+  const settingsRef = useRef({});
+  settingsRef.current = { maxVisible, duration };
+
+  const dismiss = useCallback((id) => {
+    update(notificationsRef.current.filter((notification) => notification.id !== id));
+  }, [update]);
+
+  const dismissAll = useCallback(() => {
+    update([]);
+  }, [update]);
+
+  /**
+   * Show a notification
+   *
+   * @param {string|Object} input - Message, or { message, variant, title, duration, action, dedupeKey }
+   * @param {Object} options - Extra options when `input` is a message
+   * @returns {number} Notification id, for dismiss()
+   */
+  const show = useCallback((input, options = {}) => {
+    const { message, variant = 'info', title, action, dedupeKey, ...rest } = typeof input === 'object' && input !== null
+      ? { ...input, ...options }
+      : { ...options, message: input };
+
+    const resolvedVariant = VARIANTS.includes(variant) ? variant : 'info';
+    const key = dedupeKey || `${resolvedVariant}:${title || ''}:${message}`;
+    const { maxVisible: max, duration: defaultDuration } = settingsRef.current;
+
+    const current = notificationsRef.current;
+    const existing = current.find((notification) => notification.key === key);
+    if (existing) {
+      // `updatedAt` restarts the visible one's timer
+      update(current.map((notification) => (notification === existing
+        ? { ...notification, count: notification.count + 1, updatedAt: Date.now() }
+        : notification)));
+      return existing.id;
+    }
+
+    const notification = {
+      id: nextIdRef.current++,
+      key,
+      variant: resolvedVariant,
+      title,
+      message,
+      action,
+      duration: rest.duration ?? defaultDuration ?? DEFAULT_DURATIONS[resolvedVariant],
+      count: 1,
+      updatedAt: Date.now(),
+    };
+    update([...current, notification].slice(-Math.max(max, 1)));
+    return notification.id;
+  }, [update]);
+
+  // notify(...) plus notify.success(...) etc., stable across renders
+  const notify = useMemo(() => Object.assign((input, options) => show(input, options), {
+    ...Object.fromEntries(VARIANTS.map((variant) => [
+      variant,
+      (message, options = {}) => show(message, { ...options, variant }),
+    ])),
+    dismiss,
+    dismissAll,
+  }), [show, dismiss, dismissAll]);
+
+  const value = useMemo(() => ({
+    notifications,
+    notify,
+    dismiss,
+    dismissAll,
+  }), [notifications, notify, dismiss, dismissAll]);
+
+  return (
+    <NotificationActionsContext.Provider value={notify}>
+      <NotificationContext.Provider value={value}>
+        {children}
+      </NotificationContext.Provider>
+    </NotificationActionsContext.Provider>
+  );
+};
+
+export const useNotifications = () => {
+  const context = useContext(NotificationContext);
+  if (!context) {
+    throw new Error('useNotifications must be used within a NotificationProvider');
+  }
+  return context;
+};
+
+/**
+ * The notify function: notify(message | options), notify.success/info/warning/error(message, options),
+ * notify.dismiss(id), notify.dismissAll()
+ */
+export const useNotify = () => {
+  const notify = useContext(NotificationActionsContext);
+  if (!notify) {
+    throw new Error('useNotify must be used within a NotificationProvider');
+  }
+  return notify;
+};
+
+export default NotificationContext;
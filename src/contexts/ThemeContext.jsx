@@ -1,7 +1,13 @@
 /**
  * Theme Context
  *
- * Manages light/dark theme switching with localStorage persistence.
+ * Manages theme switching with localStorage persistence. Ships light (the
+ * default), dark and high-contrast themes; subdomains can register brand
+ * themes (token overrides on top of light or dark, see utils/themes).
+ * Theme changes are synchronized across open tabs.
+ *
+ * An opt-in `system` mode follows the OS light/dark preference. It's off by
+ * default - Sober Sidekick apps default to light.
  *
  * Usage:
  *   import { ThemeProvider, useTheme } from './contexts/ThemeContext';
@@ -11,11 +17,19 @@
  *     <App />
  *   </ThemeProvider>
  *
+ *   // With a brand theme and system mode
+ *   <ThemeProvider
+ *     enableSystem
+ *     themes={[{ id: 'brand-ocean', label: 'Ocean', tokens: { '--accent-primary': '#0077b6' } }]}
+ *   >
+ *
  *   // In components
- *   const { theme, toggleTheme, isDark, isLight } = useTheme();
+ *   const { theme, resolvedTheme, themes, setTheme, toggleTheme, isDark, isLight } = useTheme();
  */
 
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { getCrossTabChannel } from '../utils/crossTab';
+import { createThemeRegistry, themesToCss, SYSTEM_THEME } from '../utils/themes';
 
 const ThemeContext = createContext(null);
 
@@ -23,65 +37,158 @@ const THEME_KEY = 'theme';
 const THEMES = {
   LIGHT: 'light',
   DARK: 'dark',
+  HIGH_CONTRAST: 'high-contrast',
+  SYSTEM: SYSTEM_THEME,
 };
 
-export const ThemeProvider = ({ children, defaultTheme = THEMES.LIGHT }) => {
+const CUSTOM_THEMES_STYLE_ID = 'custom-theme-tokens';
+const DARK_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+
+const prefersDark = () => (
+  typeof window !== 'undefined' && window.matchMedia ? window.matchMedia(DARK_SCHEME_QUERY).matches : false
+);
+
+/**
+ * @param {Object} props
+ * @param {string} props.defaultTheme - Theme before the user picks one (default: 'light')
+ * @param {Array} props.themes - Brand theme definitions to register (see utils/themes)
+ * @param {boolean} props.enableSystem - Allow the 'system' theme (default: false)
+ */
+export const ThemeProvider = ({
+  children,
+  defaultTheme = THEMES.LIGHT,
+  themes: customThemes,
+  enableSystem = false,
+}) => {
+  // Brand themes are registered once, on mount
+  const [registry] = useState(() => createThemeRegistry(customThemes));
+
+  const isValidTheme = useCallback(
+    (value) => registry.has(value) || (enableSystem && value === THEMES.SYSTEM),
+    [registry, enableSystem]
+  );
+
   // Initialize theme from localStorage or default to light mode
-  // NOTE: We intentionally do NOT auto-detect system preference.
-  // Light mode is the default for all Sober Sidekick apps.
-  // Users can manually switch to dark mode via the sidebar toggle.
+  // NOTE: We do NOT auto-detect system preference unless `enableSystem` is set
+  // and the user (or defaultTheme) picks 'system'. Light mode is the default
+  // for all Sober Sidekick apps.
   const [theme, setThemeState] = useState(() => {
     const stored = localStorage.getItem(THEME_KEY);
-    if (stored && Object.values(THEMES).includes(stored)) {
+    if (stored && isValidTheme(stored)) {
       return stored;
     }
-    return defaultTheme;
+    return isValidTheme(defaultTheme) ? defaultTheme : THEMES.LIGHT;
   });
 
+  // OS preference, only tracked in system mode
+  const [systemDark, setSystemDark] = useState(prefersDark);
+
+  const resolvedTheme = theme === THEMES.SYSTEM
+    ? (systemDark ? THEMES.DARK : THEMES.LIGHT)
+    : theme;
+  const definition = registry.get(resolvedTheme) || registry.get(THEMES.LIGHT);
+
+  // Skip broadcasting the initial theme and themes received from other tabs
+  const skipBroadcastRef = useRef(true);
+  const themeRef = useRef(theme);
+  themeRef.current = theme;
+
+  // Brand theme tokens, scoped to their data-theme
+  useEffect(() => {
+    const css = themesToCss(registry.custom);
+    if (!css) return undefined;
+
+    const style = document.createElement('style');
+    style.id = CUSTOM_THEMES_STYLE_ID;
+    style.textContent = css;
+    document.head.appendChild(style);
+    return () => style.remove();
+  }, [registry]);
+
   // Apply theme to document
   useEffect(() => {
     const root = document.documentElement;
     const body = document.body;
 
-    // Set data-theme attribute for CSS variables
-    root.setAttribute('data-theme', theme);
+    // Set data-theme attribute for CSS variables; brand themes also need
+    // their base theme's tokens
+    root.setAttribute('data-theme', definition.id);
+    root.setAttribute('data-theme-base', definition.base);
+    root.style.colorScheme = definition.base;
 
     // Add theme class to body for additional styling hooks
-    body.classList.remove('light-theme', 'dark-theme');
-    body.classList.add(`${theme}-theme`);
-
-    // Persist to localStorage
-    localStorage.setItem(THEME_KEY, theme);
+    registry.ids.forEach((id) => body.classList.remove(`${id}-theme`));
+    body.classList.add(`${definition.id}-theme`);
 
     // Update meta theme-color for mobile browsers
     const metaThemeColor = document.querySelector('meta[name="theme-color"]');
     if (metaThemeColor) {
-      metaThemeColor.setAttribute('content', theme === THEMES.DARK ? '#1a1a1a' : '#f8fafc');
+      metaThemeColor.setAttribute('content', definition.metaColor);
+    }
+  }, [definition, registry]);
+
+  // Persist the choice (including 'system') and let other tabs follow it
+  useEffect(() => {
+    localStorage.setItem(THEME_KEY, theme);
+
+    if (skipBroadcastRef.current) {
+      skipBroadcastRef.current = false;
+    } else {
+      getCrossTabChannel('theme').postMessage('change', { theme });
     }
   }, [theme]);
 
-  // NOTE: We intentionally do NOT listen for system preference changes.
-  // Theme switching is manual via the sidebar toggle.
-  // This ensures consistent branding and user control.
+  // Follow theme changes made in other tabs
+  useEffect(() => {
+    const channel = getCrossTabChannel('theme');
+    return channel.subscribe(({ type, payload }) => {
+      if (type !== 'change' || !isValidTheme(payload?.theme)) return;
+      if (payload.theme !== themeRef.current) {
+        skipBroadcastRef.current = true;
+        setThemeState(payload.theme);
+      }
+    });
+  }, [isValidTheme]);
+
+  // NOTE: System preference changes are only followed in 'system' mode.
+  // Otherwise theme switching is manual via the sidebar toggle.
+  useEffect(() => {
+    if (theme !== THEMES.SYSTEM || !window.matchMedia) return undefined;
+
+    const query = window.matchMedia(DARK_SCHEME_QUERY);
+    setSystemDark(query.matches);
+    const handleChange = (event) => setSystemDark(event.matches);
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
+  }, [theme]);
 
   const setTheme = useCallback((newTheme) => {
-    if (Object.values(THEMES).includes(newTheme)) {
+    if (isValidTheme(newTheme)) {
       setThemeState(newTheme);
+    } else if (process.env.NODE_ENV !== 'production') {
+      console.warn(
+        `[theme] Unknown theme "${newTheme}". Registered: ${registry.ids.join(', ')}` +
+        (enableSystem ? `, ${THEMES.SYSTEM}` : '')
+      );
     }
-  }, []);
+  }, [isValidTheme, registry, enableSystem]);
 
+  // Switches between light and dark, from whatever is showing now
   const toggleTheme = useCallback(() => {
-    setThemeState((current) =>
-      current === THEMES.LIGHT ? THEMES.DARK : THEMES.LIGHT
-    );
-  }, []);
+    setThemeState(definition.base === THEMES.DARK ? THEMES.LIGHT : THEMES.DARK);
+  }, [definition]);
 
   const value = {
     theme,
+    resolvedTheme,
+    themeDefinition: definition,
+    themes: registry.themes,
+    systemEnabled: enableSystem,
     setTheme,
     toggleTheme,
-    isDark: theme === THEMES.DARK,
-    isLight: theme === THEMES.LIGHT,
+    isDark: definition.base === THEMES.DARK,
+    isLight: definition.base === THEMES.LIGHT,
+    isHighContrast: definition.id === THEMES.HIGH_CONTRAST,
     THEMES,
   };
 
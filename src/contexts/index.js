@@ -7,5 +7,9 @@
 
 export { ThemeProvider, useTheme } from './ThemeContext';
 export { AuthProvider, useAuth } from './AuthContext';
+export { ConsentProvider, useConsent, CONSENT_STATUS } from './ConsentContext';
 export { AnalyticsProvider, useAnalytics, ANALYTICS_EVENTS } from './AnalyticsContext';
-export { DataCacheProvider, useDataCache, useCachedFetch } from './DataCacheContext';
+export { ErrorReportingProvider, useErrorReporting } from './ErrorReportingContext';
+export { DataCacheProvider, useDataCache, useCachedFetch, useMutation } from './DataCacheContext';
+export { CommandPaletteProvider, useCommandPalette, useCommands } from './CommandPaletteContext';
+export { NotificationProvider, useNotifications, useNotify } from './NotificationContext';
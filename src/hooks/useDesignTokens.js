@@ -0,0 +1,98 @@
+import { useState, useEffect, useCallback } from 'react';
+
+let tokenNames = null;
+
+/**
+ * Names of every design token (CSS custom property) declared on :root or a
+ * [data-theme] selector in the app's stylesheets. Read once, then cached.
+ */
+export const getTokenNames = () => {
+  if (tokenNames) return tokenNames;
+
+  const names = new Set();
+  const collect = (rules) => Array.from(rules).forEach((rule) => {
+    if (rule.cssRules) collect(rule.cssRules); // @media and friends
+    if (!rule.style || !/:root|\[data-theme/.test(rule.selectorText || '')) return;
+    Array.from(rule.style).forEach((property) => {
+      if (property.startsWith('--')) names.add(property);
+    });
+  });
+
+  Array.from(document.styleSheets).forEach((sheet) => {
+    try {
+      collect(sheet.cssRules);
+    } catch (error) {
+      // Cross-origin stylesheets can't be read - they don't hold our tokens
+    }
+  });
+
+  // Stylesheets may not be loaded yet - only cache a result with tokens in it
+  const result = Array.from(names).sort();
+  if (result.length > 0) tokenNames = result;
+  return result;
+};
+
+const normalizeName = (name) => (name.startsWith('--') ? name : `--${name}`);
+
+/**
+ * Resolved values of design tokens on an element (default: <html>)
+ * Values are as declared, with var() references resolved.
+ *
+ * @param {Element} element - Element whose theme to read
+ * @param {string[]} names - Token names (default: every token)
+ * @returns {Object} { '--bg-primary': '#f8fafc', ... }
+ */
+export const readTokens = (element = document.documentElement, names = getTokenNames()) => {
+  const style = window.getComputedStyle(element);
+  return Object.fromEntries(
+    names.map(normalizeName).map((name) => [name, style.getPropertyValue(name).trim()])
+  );
+};
+
+/**
+ * Hook for design token values in JavaScript (charts, canvas, inline SVG)
+ * Re-reads them whenever ThemeProvider switches theme.
+ *
+ * Usage:
+ *   const { tokens, get } = useDesignTokens();
+ *   const color = get('accent-primary');   // '#2f5dff'
+ *   tokens['--bg-primary'];                // '#f8fafc'
+ *
+ *   // Only some tokens
+ *   const { tokens } = useDesignTokens(['--success', '--error']);
+ *
+ * Returns:
+ *   - tokens: { name: value } for the current theme
+ *   - get: (name) => value, with or without the leading "--"
+ *   - theme: The data-theme currently applied
+ *
+ * @param {string[]} names - Token names to read (default: every token)
+ */
+export const useDesignTokens = (names) => {
+  const namesKey = names ? names.join(',') : '';
+
+  const read = useCallback(() => ({
+    tokens: readTokens(document.documentElement, namesKey ? namesKey.split(',') : getTokenNames()),
+    theme: document.documentElement.getAttribute('data-theme'),
+  }), [namesKey]);
+
+  const [state, setState] = useState(read);
+
+  // ThemeProvider applies themes on <html> after its children render, so
+  // watch the attributes rather than the theme context
+  useEffect(() => {
+    setState(read());
+    const observer = new MutationObserver(() => setState(read()));
+    observer.observe(document.documentElement, {
+      attributes: true,
+      attributeFilter: ['data-theme', 'data-theme-base', 'style'],
+    });
+    return () => observer.disconnect();
+  }, [read]);
+
+  const get = useCallback((name) => state.tokens[normalizeName(name)] || '', [state]);
+
+  return { tokens: state.tokens, get, theme: state.theme };
+};
+
+export default useDesignTokens;
@@ -0,0 +1,30 @@
+import { useContext, useEffect, useRef } from 'react';
+import AnalyticsContext from '../contexts/AnalyticsContext';
+import { ANALYTICS_EVENTS } from '../analytics/events';
+
+/**
+ * Track MODAL_OPENED / MODAL_CLOSED as a dialog opens and closes (or
+ * unmounts while open). Works without an AnalyticsProvider.
+ *
+ * @param {boolean} isOpen - Whether the dialog is open
+ * @param {string} name - modal_name sent with the events; nothing is tracked without it
+ */
+export const useDialogTracking = (isOpen, name) => {
+  const analytics = useContext(AnalyticsContext);
+
+  // Keep the latest values without re-running the effect
+  const latest = useRef({});
+  latest.current = { track: analytics?.track, name };
+
+  useEffect(() => {
+    if (!isOpen || !latest.current.name) return undefined;
+
+    const { track, name: modalName } = latest.current;
+    track?.(ANALYTICS_EVENTS.MODAL_OPENED, { modal_name: modalName });
+    return () => {
+      latest.current.track?.(ANALYTICS_EVENTS.MODAL_CLOSED, { modal_name: modalName });
+    };
+  }, [isOpen]);
+};
+
+export default useDialogTracking;
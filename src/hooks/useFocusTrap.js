@@ -0,0 +1,137 @@
+import { useEffect, useRef } from 'react';
+
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'area[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'iframe',
+  '[tabindex]:not([tabindex="-1"])',
+  '[contenteditable="true"]',
+].join(', ');
+
+/**
+ * Elements inside a container that can receive keyboard focus, in tab order
+ * Skips hidden elements (display: none, visibility: hidden, [hidden]).
+ */
+export const getFocusableElements = (container) => {
+  if (!container) return [];
+  return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR)).filter((element) => (
+    !element.closest('[hidden]') &&
+    element.getClientRects().length > 0 &&
+    window.getComputedStyle(element).visibility !== 'hidden'
+  ));
+};
+
+// Active traps, oldest first - only the last one (the topmost surface) handles keys and focus
+const activeTraps = [];
+
+const isTopmost = (trap) => activeTraps[activeTraps.length - 1] === trap;
+
+/**
+ * Hook to keep keyboard focus inside a container while it's active
+ * (drawers, dialogs, menus).
+ *
+ * While active: focus moves into the container, Tab and Shift+Tab cycle
+ * through its focusable elements, and Escape calls `onEscape`. When it
+ * deactivates, focus returns to `returnFocusRef` or to whatever was focused
+ * before.
+ *
+ * Traps nest: a dialog opened over a drawer takes over Tab, focus and
+ * Escape until it closes, then the drawer's trap applies again.
+ *
+ * Usage:
+ *   const drawerRef = useRef(null);
+ *   const toggleRef = useRef(null);
+ *   useFocusTrap(drawerRef, isOpen, {
+ *     onEscape: () => setIsOpen(false),
+ *     returnFocusRef: toggleRef,
+ *   });
+ *
+ * @param {Object} containerRef - Ref to the container element
+ * @param {boolean} active - Whether the trap is on
+ * @param {Object} options
+ * @param {Function} options.onEscape - Called when Escape is pressed
+ * @param {Object} options.returnFocusRef - Element to focus when the trap deactivates
+ * @param {Object} options.initialFocusRef - Element to focus first (default: first focusable element)
+ */
+export const useFocusTrap = (containerRef, active, {
+  onEscape,
+  returnFocusRef,
+  initialFocusRef,
+} = {}) => {
+  // Keep the latest options without re-running the effect
+  const optionsRef = useRef({});
+  optionsRef.current = { onEscape, returnFocusRef, initialFocusRef };
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!active || !container) return undefined;
+
+    const previouslyFocused = document.activeElement;
+    const trap = { container };
+
+    const focusFirst = () => {
+      const target = optionsRef.current.initialFocusRef?.current || getFocusableElements(container)[0];
+      if (target) {
+        target.focus();
+      } else {
+        // Nothing focusable - focus the container itself
+        if (!container.hasAttribute('tabindex')) container.setAttribute('tabindex', '-1');
+        container.focus();
+      }
+    };
+
+    const handleKeyDown = (event) => {
+      if (!isTopmost(trap)) return;
+      if (event.key === 'Escape' && optionsRef.current.onEscape) {
+        event.stopPropagation();
+        optionsRef.current.onEscape(event);
+        return;
+      }
+      if (event.key !== 'Tab') return;
+
+      const focusable = getFocusableElements(container);
+      if (focusable.length === 0) {
+        event.preventDefault();
+        return;
+      }
+
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (event.shiftKey && (document.activeElement === first || !container.contains(document.activeElement))) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && (document.activeElement === last || !container.contains(document.activeElement))) {
+        event.preventDefault();
+        first.focus();
+      }
+    };
+
+    // Focus escaping by other means (e.g. a click outside) is pulled back in
+    const handleFocusIn = (event) => {
+      if (isTopmost(trap) && !container.contains(event.target)) focusFirst();
+    };
+
+    // On the stack before focus moves, so a trap underneath doesn't pull focus back
+    activeTraps.push(trap);
+    focusFirst();
+    document.addEventListener('keydown', handleKeyDown);
+    document.addEventListener('focusin', handleFocusIn);
+
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      document.removeEventListener('focusin', handleFocusIn);
+      activeTraps.splice(activeTraps.indexOf(trap), 1);
+
+      const returnTarget = optionsRef.current.returnFocusRef?.current || previouslyFocused;
+      if (returnTarget && document.contains(returnTarget)) {
+        returnTarget.focus();
+      }
+    };
+  }, [active, containerRef]);
+};
+
+export default useFocusTrap;
@@ -0,0 +1,99 @@
+import React, { useRef, useState } from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { useFocusTrap } from './useFocusTrap';
+
+const Trap = ({ label, isOpen, onEscape, children }) => {
+  const ref = useRef(null);
+  useFocusTrap(ref, isOpen, { onEscape });
+  if (!isOpen) return null;
+
+  return (
+    <div ref={ref} role="group" aria-label={label}>
+      <button type="button">{`${label} first`}</button>
+      {children}
+      <button type="button">{`${label} last`}</button>
+    </div>
+  );
+};
+
+const NestedTraps = ({ onDrawerEscape, onDialogEscape }) => {
+  const [drawerOpen, setDrawerOpen] = useState(false);
+  const [dialogOpen, setDialogOpen] = useState(false);
+
+  return (
+    <>
+      <button type="button" onClick={() => setDrawerOpen(true)}>Open drawer</button>
+      <Trap
+        label="Drawer"
+        isOpen={drawerOpen}
+        onEscape={() => {
+          onDrawerEscape();
+          setDrawerOpen(false);
+        }}
+      >
+        <button type="button" onClick={() => setDialogOpen(true)}>Open dialog</button>
+      </Trap>
+      <Trap
+        label="Dialog"
+        isOpen={dialogOpen}
+        onEscape={() => {
+          onDialogEscape();
+          setDialogOpen(false);
+        }}
+      />
+    </>
+  );
+};
+
+const renderNested = async () => {
+  const onDrawerEscape = jest.fn();
+  const onDialogEscape = jest.fn();
+  const user = userEvent.setup();
+  render(<NestedTraps onDrawerEscape={onDrawerEscape} onDialogEscape={onDialogEscape} />);
+
+  await user.click(screen.getByRole('button', { name: 'Open drawer' }));
+  await user.click(screen.getByRole('button', { name: 'Open dialog' }));
+  return { user, onDrawerEscape, onDialogEscape };
+};
+
+describe('useFocusTrap', () => {
+  beforeEach(() => {
+    // jsdom does no layout, so every element would count as hidden
+    jest.spyOn(Element.prototype, 'getClientRects').mockReturnValue([{}]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('moves focus into the newest trap and keeps it there', async () => {
+    const { user } = await renderNested();
+    expect(screen.getByRole('button', { name: 'Dialog first' })).toHaveFocus();
+
+    await user.tab();
+    expect(screen.getByRole('button', { name: 'Dialog last' })).toHaveFocus();
+    await user.tab();
+    expect(screen.getByRole('button', { name: 'Dialog first' })).toHaveFocus();
+  });
+
+  it('closes only the newest trap on Escape, then hands back to the one below', async () => {
+    const { user, onDrawerEscape, onDialogEscape } = await renderNested();
+
+    await user.keyboard('{Escape}');
+
+    expect(onDialogEscape).toHaveBeenCalledTimes(1);
+    expect(onDrawerEscape).not.toHaveBeenCalled();
+    expect(screen.queryByRole('group', { name: 'Dialog' })).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Open dialog' })).toHaveFocus();
+
+    await user.tab();
+    expect(screen.getByRole('button', { name: 'Drawer last' })).toHaveFocus();
+    await user.tab();
+    expect(screen.getByRole('button', { name: 'Drawer first' })).toHaveFocus();
+
+    await user.keyboard('{Escape}');
+    expect(onDrawerEscape).toHaveBeenCalledTimes(1);
+    expect(screen.getByRole('button', { name: 'Open drawer' })).toHaveFocus();
+  });
+});
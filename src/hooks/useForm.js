@@ -0,0 +1,307 @@
+import { useCallback, useContext, useEffect, useRef, useState } from 'react';
+import AnalyticsContext from '../contexts/AnalyticsContext';
+import { ANALYTICS_EVENTS } from '../analytics/events';
+import { runRules, getServerFieldErrors } from '../utils/validation';
+
+/**
+ * Hook for form state, validation and submission
+ *
+ * - Rules per field (see utils/validation), sync or async. Fields are
+ *   validated on blur, then on every change once touched, and all together
+ *   on submit.
+ * - Tracks touched and dirty (changed from the initial value) fields.
+ * - Submits through `onSubmit`, or to `endpoint` with an API client from
+ *   useApiClient. Field errors in the API's response are shown on their
+ *   fields; anything else ends up in `submitError`.
+ * - Tracks FORM_SUBMITTED for each submission, VALIDATION_ERROR for each
+ *   field that fails, and FORM_FIELD_CHANGED the first time a field changes.
+ *
+ * Usage:
+ *   const api = useApiClient();
+ *   const form = useForm({
+ *     name: 'contact',
+ *     initialValues: { email: '', message: '' },
+ *     validate: {
+ *       email: [rules.required(), rules.email()],
+ *       message: [rules.required(), rules.minLength(10)],
+ *     },
+ *     endpoint: '/contact',
+ *     client: api,
+ *     onSuccess: () => navigate('/thanks'),
+ *   });
+ *
+ *   <form onSubmit={form.handleSubmit} noValidate>
+ *     <Field form={form} name="email" label="Email" required>
+ *       <Input type="email" />
+ *     </Field>
+ *     <Button type="submit" loading={form.isSubmitting}>Send</Button>
+ *   </form>
+ *
+ * @param {Object} options
+ * @param {string} options.name - form_name for analytics
+ * @param {Object} options.initialValues - Starting values, one per field
+ * @param {Object} options.validate - { field: rule | rule[] }
+ * @param {Function} options.onSubmit - (values, form) => result; may be async
+ * @param {string} options.endpoint - Submit to this URL with `client` instead of onSubmit
+ * @param {string} options.method - HTTP method for `endpoint` (default: 'POST')
+ * @param {Object} options.client - API client from useApiClient
+ * @param {Function} options.onSuccess - Called with (result, values)
+ * @param {Function} options.onError - Called with (error, values)
+ * @param {boolean} options.trackSubmit - Track FORM_SUBMITTED (default: true); turn off when
+ *   onSubmit uses useMutation, which already tracks it
+ */
+export const useForm = ({
+  name,
+  initialValues = {},
+  validate = {},
+  onSubmit,
+  endpoint,
+  method = 'POST',
+  client,
+  onSuccess,
+  onError,
+  trackSubmit = true,
+} = {}) => {
+  // Analytics is optional so forms work outside an AnalyticsProvider
+  const analytics = useContext(AnalyticsContext);
+
+  const [initial, setInitial] = useState(initialValues);
+  const [values, setValuesState] = useState(initialValues);
+  const [errors, setErrors] = useState({});
+  const [touched, setTouchedState] = useState({});
+  const [validating, setValidating] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitCount, setSubmitCount] = useState(0);
+  const [submitError, setSubmitError] = useState(null);
+
+  // Read the latest values and options from stable callbacks
+  const latest = useRef({});
+  latest.current = {
+    values, touched, initial, validate, analytics, name,
+    onSubmit, endpoint, method, client, onSuccess, onError, trackSubmit,
+  };
+
+  // Only the newest validation of each field may set its error
+  const validationRuns = useRef({});
+  const changedFields = useRef(new Set());
+  const submittingRef = useRef(false);
+
+  const mountedRef = useRef(true);
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  const track = useCallback((event, properties) => {
+    latest.current.analytics?.track(event, { form_name: latest.current.name || 'form', ...properties });
+  }, []);
+
+  const validateField = useCallback(async (field, fieldValues = latest.current.values) => {
+    const fieldRules = latest.current.validate[field];
+    if (!fieldRules) return undefined;
+
+    const run = (validationRuns.current[field] || 0) + 1;
+    validationRuns.current[field] = run;
+    setValidating((current) => ({ ...current, [field]: true }));
+
+    const message = await runRules(fieldRules, fieldValues[field], fieldValues);
+
+    if (mountedRef.current && validationRuns.current[field] === run) {
+      setErrors((current) => ({ ...current, [field]: message }));
+      setValidating((current) => ({ ...current, [field]: false }));
+    }
+    return message;
+  }, []);
+
+  // Validate every field with rules; resolves to { field: message } for the failures
+  const validateAll = useCallback(async (fieldValues = latest.current.values) => {
+    const fields = Object.keys(latest.current.validate);
+    const messages = await Promise.all(fields.map((field) => validateField(field, fieldValues)));
+    return Object.fromEntries(
+      fields.map((field, index) => [field, messages[index]]).filter(([, message]) => message)
+    );
+  }, [validateField]);
+
+  const setValue = useCallback((field, value) => {
+    const nextValues = { ...latest.current.values, [field]: value };
+    latest.current.values = nextValues;
+    setValuesState(nextValues);
+
+    if (!changedFields.current.has(field)) {
+      changedFields.current.add(field);
+      track(ANALYTICS_EVENTS.FORM_FIELD_CHANGED, { field_name: field });
+    }
+
+    // Server errors no longer apply once the value changes; touched fields re-validate
+    if (latest.current.touched[field]) {
+      validateField(field, nextValues);
+    } else {
+      setErrors((current) => (current[field] ? { ...current, [field]: undefined } : current));
+    }
+  }, [validateField, track]);
+
+  const setValues = useCallback((nextValues) => {
+    const merged = { ...latest.current.values, ...nextValues };
+    latest.current.values = merged;
+    setValuesState(merged);
+  }, []);
+
+  const setTouched = useCallback((field, isTouched = true) => {
+    latest.current.touched = { ...latest.current.touched, [field]: isTouched };
+    setTouchedState(latest.current.touched);
+    if (isTouched) validateField(field);
+  }, [validateField]);
+
+  const setFieldError = useCallback((field, message) => {
+    setErrors((current) => ({ ...current, [field]: message }));
+  }, []);
+
+  const reset = useCallback((nextValues) => {
+    const resetValues = nextValues || latest.current.initial;
+    validationRuns.current = {};
+    changedFields.current = new Set();
+    setInitial(resetValues);
+    setValuesState(resetValues);
+    setErrors({});
+    setTouchedState({});
+    setValidating({});
+    setSubmitCount(0);
+    setSubmitError(null);
+  }, []);
+
+  const handleSubmit = useCallback(async (event) => {
+    event?.preventDefault?.();
+    if (submittingRef.current) return undefined;
+
+    const {
+      values: submitted, onSubmit: submitHandler, endpoint: url, method: httpMethod, client: api,
+      onSuccess: handleSuccess, onError: handleError, trackSubmit: shouldTrack,
+    } = latest.current;
+
+    submittingRef.current = true;
+    setIsSubmitting(true);
+    setSubmitCount((count) => count + 1);
+    setSubmitError(null);
+    setTouchedState((current) => ({
+      ...current,
+      ...Object.fromEntries(Object.keys(submitted).map((field) => [field, true])),
+    }));
+
+    try {
+      const failures = await validateAll(submitted);
+      if (Object.keys(failures).length > 0) {
+        Object.entries(failures).forEach(([field, message]) => {
+          track(ANALYTICS_EVENTS.VALIDATION_ERROR, { field_name: field, error_message: message });
+        });
+        return undefined;
+      }
+
+      const upperMethod = url ? httpMethod.toUpperCase() : undefined;
+      try {
+        let result;
+        if (url) {
+          if (!api) {
+            throw new Error(`useForm: \`endpoint\` needs a \`client\` (from useApiClient) to submit "${url}"`);
+          }
+          result = await api.request(url, { method: upperMethod, body: submitted });
+        } else {
+          result = await submitHandler?.(submitted, latest.current.form);
+        }
+
+        if (shouldTrack) {
+          track(ANALYTICS_EVENTS.FORM_SUBMITTED, { method: upperMethod, success: true });
+        }
+        handleSuccess?.(result, submitted);
+        return result;
+      } catch (error) {
+        if (shouldTrack) {
+          track(ANALYTICS_EVENTS.FORM_SUBMITTED, { method: upperMethod, success: false });
+        }
+
+        // Field errors from the server go on their fields, anything else on the form
+        const fields = Object.keys({ ...latest.current.initial, ...latest.current.validate, ...submitted });
+        const serverErrors = getServerFieldErrors(error, fields);
+        Object.entries(serverErrors).forEach(([field, message]) => {
+          track(ANALYTICS_EVENTS.VALIDATION_ERROR, { field_name: field, error_message: message });
+        });
+        if (mountedRef.current) {
+          setErrors((current) => ({ ...current, ...serverErrors }));
+          if (Object.keys(serverErrors).length === 0) {
+            setSubmitError(error);
+          }
+        }
+        handleError?.(error, submitted);
+        return undefined;
+      }
+    } finally {
+      submittingRef.current = false;
+      if (mountedRef.current) {
+        setIsSubmitting(false);
+      }
+    }
+  }, [validateAll, track]);
+
+  const isDirtyField = (field) => !Object.is(values[field], initial[field]);
+  const dirty = Object.fromEntries(
+    Object.keys({ ...initial, ...values }).filter(isDirtyField).map((field) => [field, true])
+  );
+
+  /**
+   * Everything a field component needs, as used by Field
+   * Errors are shown once the field is touched or the form was submitted.
+   */
+  const getFieldState = (field) => ({
+    name: field,
+    value: values[field],
+    error: errors[field],
+    touched: !!touched[field],
+    dirty: isDirtyField(field),
+    isValidating: !!validating[field],
+    showError: !!errors[field] && (!!touched[field] || submitCount > 0),
+  });
+
+  /**
+   * Props to spread on a plain input, select or textarea
+   * Checkboxes get `checked` instead of `value`.
+   */
+  const getFieldProps = (field, { type } = {}) => ({
+    name: field,
+    ...(type === 'checkbox' ? { checked: !!values[field] } : { value: values[field] ?? '' }),
+    onChange: (event) => {
+      const { target } = event;
+      setValue(field, target.type === 'checkbox' ? target.checked : target.value);
+    },
+    onBlur: () => setTouched(field),
+  });
+
+  const form = {
+    values,
+    errors,
+    touched,
+    dirty,
+    isDirty: Object.keys(dirty).length > 0,
+    isValid: Object.values(errors).every((message) => !message),
+    isValidating: Object.values(validating).some(Boolean),
+    isSubmitting,
+    submitCount,
+    submitError,
+    setValue,
+    setValues,
+    setTouched,
+    setFieldError,
+    setErrors,
+    validateField,
+    validate: validateAll,
+    handleSubmit,
+    reset,
+    getFieldState,
+    getFieldProps,
+  };
+  latest.current.form = form;
+
+  return form;
+};
+
+export default useForm;
@@ -0,0 +1,176 @@
+import React from 'react';
+import { act, renderHook } from '@testing-library/react';
+import { useForm } from './useForm';
+import { rules } from '../utils/validation';
+import { ApiError } from '../api/errors';
+import AnalyticsContext from '../contexts/AnalyticsContext';
+import { ANALYTICS_EVENTS } from '../analytics/events';
+
+const apiError = (details) => new ApiError({
+  status: 422,
+  statusText: 'Unprocessable Entity',
+  body: { message: 'Validation failed', details },
+});
+
+const renderForm = (options = {}) => {
+  const track = jest.fn();
+  const wrapper = ({ children }) => (
+    <AnalyticsContext.Provider value={{ track }}>{children}</AnalyticsContext.Provider>
+  );
+  const view = renderHook(() => useForm({
+    name: 'signup',
+    initialValues: { email: '', password: '' },
+    validate: {
+      email: [rules.required(), rules.email()],
+      password: rules.minLength(8),
+    },
+    ...options,
+  }), { wrapper });
+  return { ...view, track };
+};
+
+const submit = async (result) => {
+  let returned;
+  await act(async () => {
+    returned = await result.current.handleSubmit({ preventDefault: jest.fn() });
+  });
+  return returned;
+};
+
+const fillIn = (result, values) => {
+  act(() => {
+    Object.entries(values).forEach(([field, value]) => result.current.setValue(field, value));
+  });
+};
+
+describe('useForm submit', () => {
+  it('validates every field and does not submit while any fails', async () => {
+    const onSubmit = jest.fn();
+    const { result, track } = renderForm({ onSubmit });
+    fillIn(result, { password: 'short' });
+
+    await submit(result);
+
+    expect(onSubmit).not.toHaveBeenCalled();
+    expect(result.current.errors).toEqual({
+      email: 'This field is required',
+      password: 'Must be at least 8 characters',
+    });
+    expect(result.current.touched).toEqual({ email: true, password: true });
+    expect(result.current.getFieldState('email').showError).toBe(true);
+    expect(result.current.submitCount).toBe(1);
+    expect(track).toHaveBeenCalledWith(ANALYTICS_EVENTS.VALIDATION_ERROR, {
+      form_name: 'signup',
+      field_name: 'email',
+      error_message: 'This field is required',
+    });
+    expect(track).not.toHaveBeenCalledWith(ANALYTICS_EVENTS.FORM_SUBMITTED, expect.anything());
+  });
+
+  it('submits valid values and reports success', async () => {
+    const onSubmit = jest.fn(async (values) => ({ id: 1, ...values }));
+    const onSuccess = jest.fn();
+    const { result, track } = renderForm({ onSubmit, onSuccess });
+    fillIn(result, { email: 'ada@example.com', password: 'correct horse' });
+
+    const returned = await submit(result);
+
+    const values = { email: 'ada@example.com', password: 'correct horse' };
+    expect(onSubmit).toHaveBeenCalledWith(values, expect.objectContaining({ values }));
+    expect(returned).toEqual({ id: 1, ...values });
+    expect(onSuccess).toHaveBeenCalledWith({ id: 1, ...values }, values);
+    expect(result.current.isSubmitting).toBe(false);
+    expect(result.current.submitError).toBeNull();
+    expect(track).toHaveBeenCalledWith(ANALYTICS_EVENTS.FORM_SUBMITTED, {
+      form_name: 'signup',
+      method: undefined,
+      success: true,
+    });
+  });
+
+  it('submits to an endpoint with the API client', async () => {
+    const client = { request: jest.fn().mockResolvedValue({ ok: true }) };
+    const { result } = renderForm({ endpoint: '/signup', method: 'put', client });
+    fillIn(result, { email: 'ada@example.com', password: 'correct horse' });
+
+    await submit(result);
+
+    expect(client.request).toHaveBeenCalledWith('/signup', {
+      method: 'PUT',
+      body: { email: 'ada@example.com', password: 'correct horse' },
+    });
+  });
+
+  it('shows server errors for form fields on those fields', async () => {
+    const onError = jest.fn();
+    const error = apiError({ email: 'Already registered' });
+    const { result, track } = renderForm({ onSubmit: jest.fn().mockRejectedValue(error), onError });
+    fillIn(result, { email: 'ada@example.com', password: 'correct horse' });
+
+    await submit(result);
+
+    expect(result.current.errors.email).toBe('Already registered');
+    expect(result.current.submitError).toBeNull();
+    expect(onError).toHaveBeenCalledWith(error, { email: 'ada@example.com', password: 'correct horse' });
+    expect(track).toHaveBeenCalledWith(ANALYTICS_EVENTS.FORM_SUBMITTED, {
+      form_name: 'signup',
+      method: undefined,
+      success: false,
+    });
+    expect(track).toHaveBeenCalledWith(ANALYTICS_EVENTS.VALIDATION_ERROR, {
+      form_name: 'signup',
+      field_name: 'email',
+      error_message: 'Already registered',
+    });
+
+    // Changing the value clears the server error
+    await act(async () => {
+      result.current.setValue('email', 'grace@example.com');
+    });
+    expect(result.current.errors.email).toBeUndefined();
+  });
+
+  it('puts errors whose details are not form fields in submitError', async () => {
+    const error = apiError({ reason: 'Quota exceeded' });
+    const { result, track } = renderForm({ onSubmit: jest.fn().mockRejectedValue(error) });
+    fillIn(result, { email: 'ada@example.com', password: 'correct horse' });
+
+    await submit(result);
+
+    expect(result.current.submitError).toBe(error);
+    expect(result.current.errors).not.toHaveProperty('reason');
+    expect(result.current.isValid).toBe(true);
+    expect(track).not.toHaveBeenCalledWith(ANALYTICS_EVENTS.VALIDATION_ERROR, expect.anything());
+  });
+
+  it('puts errors without details in submitError', async () => {
+    const error = new Error('Network down');
+    const { result } = renderForm({ onSubmit: jest.fn().mockRejectedValue(error) });
+    fillIn(result, { email: 'ada@example.com', password: 'correct horse' });
+
+    await submit(result);
+
+    expect(result.current.submitError).toBe(error);
+  });
+
+  it('ignores a second submit while the first is pending', async () => {
+    let finish;
+    const onSubmit = jest.fn(() => new Promise((resolve) => { finish = resolve; }));
+    const { result } = renderForm({ onSubmit });
+    fillIn(result, { email: 'ada@example.com', password: 'correct horse' });
+
+    let first;
+    await act(async () => {
+      first = result.current.handleSubmit();
+    });
+    expect(result.current.isSubmitting).toBe(true);
+    await submit(result);
+
+    await act(async () => {
+      finish('done');
+      await first;
+    });
+    expect(onSubmit).toHaveBeenCalledTimes(1);
+    expect(result.current.isSubmitting).toBe(false);
+  });
+});
@@ -0,0 +1,39 @@
+import { useMemo } from 'react';
+import { useLocation } from 'react-router-dom';
+import routes from '../routes';
+import {
+  flattenRoutes,
+  matchManifestRoute,
+  getRouteTitle,
+  getBreadcrumbs,
+} from '../utils/routeManifest';
+
+const flatRoutes = flattenRoutes(routes);
+
+/**
+ * Hook for the manifest route rendering the current location
+ *
+ * Usage:
+ *   const { route, params, title, breadcrumbs } = useRouteMeta();
+ *
+ * Returns:
+ *   - route: Matched manifest route (with fullPath and parents), or null
+ *   - params: Route params
+ *   - title: Page title from the manifest, or null
+ *   - breadcrumbs: [{ path, label, isCurrent }] from the route's nesting
+ */
+export const useRouteMeta = () => {
+  const { pathname } = useLocation();
+
+  return useMemo(() => {
+    const match = matchManifestRoute(flatRoutes, pathname);
+    return {
+      route: match?.route || null,
+      params: match?.params || {},
+      title: match ? getRouteTitle(match.route, match.params) : null,
+      breadcrumbs: getBreadcrumbs(match),
+    };
+  }, [pathname]);
+};
+
+export default useRouteMeta;
@@ -0,0 +1,35 @@
+import { useEffect } from 'react';
+
+// Open dialogs holding the lock - the page scrolls again when the last one closes
+let lockCount = 0;
+let previousOverflow = '';
+
+/**
+ * Hook to stop the page behind a dialog from scrolling while it's open
+ * Nested dialogs are fine: the lock is released when the last one closes.
+ *
+ * Usage:
+ *   useScrollLock(isOpen);
+ *
+ * @param {boolean} active - Whether to lock scrolling
+ */
+export const useScrollLock = (active) => {
+  useEffect(() => {
+    if (!active) return undefined;
+
+    if (lockCount === 0) {
+      previousOverflow = document.body.style.overflow;
+      document.body.style.overflow = 'hidden';
+    }
+    lockCount++;
+
+    return () => {
+      lockCount--;
+      if (lockCount === 0) {
+        document.body.style.overflow = previousOverflow;
+      }
+    };
+  }, [active]);
+};
+
+export default useScrollLock;
@@ -0,0 +1,85 @@
+import { useCallback, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { readTableState, writeTableState } from '../utils/tableData';
+
+/**
+ * Hook for a table's page, sort, search and filters, kept in the URL query
+ * string so a view can be bookmarked, shared and restored with Back.
+ * Changing the sort, search or filters goes back to the first page.
+ *
+ * DataTable calls this itself; call it yourself for server-side tables, to
+ * build the request from the same state, and pass it to DataTable as `state`.
+ *
+ * Usage:
+ *   const table = useTableState({ id: 'meetings', defaultSort: { by: 'name', direction: 'asc' } });
+ *   const { data } = useCachedFetch(`/meetings?${new URLSearchParams(table.params)}`, { client: api });
+ *
+ *   <DataTable server state={table} rows={data?.items} totalRows={data?.total} columns={columns} />
+ *
+ * @param {Object} options
+ * @param {string} options.id - Prefix for the query parameters, for pages with several tables
+ * @param {Object} options.defaultSort - { by, direction } when the URL has no sort
+ * @param {number} options.defaultPageSize - Rows per page when the URL has none (default: 25)
+ * @returns {Object} { page, pageSize, sort, search, filters, params, setPage, setPageSize,
+ *   setSort, setSearch, setFilter, clearFilters } - `params` is
+ *   { page, pageSize, sort, order, q, f_<column>: value } without the blank ones
+ */
+export const useTableState = ({ id, defaultSort = null, defaultPageSize = 25 } = {}) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const defaultSortBy = defaultSort?.by || null;
+  const defaultSortDirection = defaultSort?.direction || 'asc';
+  const defaults = useMemo(() => ({
+    page: 1,
+    pageSize: defaultPageSize,
+    sort: defaultSortBy ? { by: defaultSortBy, direction: defaultSortDirection } : null,
+    search: '',
+  }), [defaultPageSize, defaultSortBy, defaultSortDirection]);
+
+  const state = useMemo(
+    () => readTableState(searchParams, id, defaults),
+    [searchParams, id, defaults]
+  );
+
+  // Table changes replace the history entry - Back leaves the view instead of undoing each click
+  const update = useCallback((changes) => {
+    setSearchParams((current) => {
+      const currentState = readTableState(current, id, defaults);
+      const next = typeof changes === 'function' ? changes(currentState) : changes;
+      return writeTableState(current, id, { ...currentState, ...next }, defaults);
+    }, { replace: true });
+  }, [setSearchParams, id, defaults]);
+
+  const setPage = useCallback((page) => update({ page }), [update]);
+  const setPageSize = useCallback((pageSize) => update({ pageSize, page: 1 }), [update]);
+  const setSort = useCallback((sort) => update({ sort, page: 1 }), [update]);
+  const setSearch = useCallback((search) => update({ search, page: 1 }), [update]);
+  const setFilter = useCallback((key, value) => {
+    update((current) => ({ filters: { ...current.filters, [key]: value }, page: 1 }));
+  }, [update]);
+  const clearFilters = useCallback(() => update({ filters: {}, search: '', page: 1 }), [update]);
+
+  // Query parameters for a server-side request
+  // Filters are prefixed (f_day) so a column named e.g. `page` can't override the paging
+  const params = useMemo(() => Object.fromEntries(Object.entries({
+    page: state.page,
+    pageSize: state.pageSize,
+    sort: state.sort?.by,
+    order: state.sort?.by ? state.sort.direction : undefined,
+    q: state.search,
+    ...Object.fromEntries(Object.entries(state.filters).map(([key, value]) => [`f_${key}`, value])),
+  }).filter(([, value]) => value !== undefined && value !== null && value !== '')), [state]);
+
+  return {
+    ...state,
+    params,
+    setPage,
+    setPageSize,
+    setSort,
+    setSearch,
+    setFilter,
+    clearFilters,
+  };
+};
+
+export default useTableState;
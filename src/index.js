@@ -3,10 +3,16 @@ import ReactDOM from 'react-dom/client';
 import { BrowserRouter } from 'react-router-dom';
 import {
   ThemeProvider,
+  ConsentProvider,
   AuthProvider,
   AnalyticsProvider,
-  DataCacheProvider
+  ErrorReportingProvider,
+  DataCacheProvider,
+  CommandPaletteProvider,
+  NotificationProvider
 } from './contexts';
+import ErrorBoundary from './components/ErrorBoundary';
+import Notifications from './components/Notifications';
 import App from './App';
 import './styles/index.css';
 
@@ -15,13 +21,25 @@ root.render(
   <React.StrictMode>
     <BrowserRouter>
       <ThemeProvider>
-        <AnalyticsProvider>
-          <AuthProvider>
-            <DataCacheProvider>
-              <App />
-            </DataCacheProvider>
-          </AuthProvider>
-        </AnalyticsProvider>
+        <ConsentProvider>
+          <AnalyticsProvider trackPerformance>
+            <NotificationProvider>
+              <ErrorReportingProvider>
+                <AuthProvider>
+                  <DataCacheProvider>
+                    <CommandPaletteProvider>
+                      <ErrorBoundary name="app">
+                        <App />
+                      </ErrorBoundary>
+                      {/* Outside the app boundary so toasts survive its fallback */}
+                      <Notifications />
+                    </CommandPaletteProvider>
+                  </DataCacheProvider>
+                </AuthProvider>
+              </ErrorReportingProvider>
+            </NotificationProvider>
+          </AnalyticsProvider>
+        </ConsentProvider>
       </ThemeProvider>
     </BrowserRouter>
   </React.StrictMode>
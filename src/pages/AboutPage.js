@@ -1,8 +1,11 @@
 import React from 'react';
+import Breadcrumbs from '../components/Breadcrumbs';
 
 const AboutPage = () => {
   return (
     <div className="page-container">
+      <Breadcrumbs />
+
       <div className="page-header">
         <h1 className="page-title">About</h1>
         <p className="page-description">
@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useTheme } from '../contexts';
+import { getTokenNames, readTokens } from '../hooks/useDesignTokens';
+import { parseColor, contrastRatio, getWcagLevel } from '../utils/contrast';
+
+// Text/background pairs the design system relies on
+const CONTRAST_PAIRS = [
+  { label: 'Body text', foreground: '--text-primary', background: '--bg-primary' },
+  { label: 'Secondary text', foreground: '--text-secondary', background: '--bg-primary' },
+  { label: 'Muted text', foreground: '--text-muted', background: '--bg-primary' },
+  { label: 'Faint text', foreground: '--text-faint', background: '--bg-primary' },
+  { label: 'Body text on secondary', foreground: '--text-primary', background: '--bg-secondary' },
+  { label: 'Muted text on secondary', foreground: '--text-muted', background: '--bg-secondary' },
+  { label: 'Link / accent', foreground: '--accent-primary', background: '--bg-primary' },
+  { label: 'Active nav item', foreground: '--accent-primary', background: '--accent-light' },
+  { label: 'Inverse text on accent', foreground: '--text-inverse', background: '--accent-primary' },
+  { label: 'Success', foreground: '--success', background: '--bg-primary' },
+  { label: 'Warning', foreground: '--warning', background: '--bg-primary' },
+  { label: 'Error', foreground: '--error', background: '--bg-primary' },
+  { label: 'Info', foreground: '--info', background: '--bg-primary' },
+];
+
+const LEVEL_BADGES = {
+  AAA: 'badge-success',
+  AA: 'badge-success',
+  'AA Large': 'badge-warning',
+  Fail: 'badge-error',
+};
+
+const BUTTON_VARIANTS = ['primary', 'secondary', 'success', 'danger', 'ghost', 'link'];
+const BADGE_VARIANTS = ['primary', 'success', 'warning', 'error', 'info', 'neutral', 'aa', 'na', 'alanon'];
+const ALERT_VARIANTS = [
+  { variant: 'success', icon: '✅', title: 'Saved', text: 'Your changes were saved.' },
+  { variant: 'warning', icon: '⚠️', title: 'Heads up', text: 'This meeting moved to a new location.' },
+  { variant: 'error', icon: '⛔', title: 'Something went wrong', text: 'We could not load meetings.' },
+  { variant: 'info', icon: 'ℹ️', title: 'Did you know?', text: 'You can save meetings for later.' },
+];
+
+// Every component variant, themed by the nearest data-theme
+const ComponentPreview = () => (
+  <>
+    <h3 className="design-preview-heading">Buttons</h3>
+    <div className="flex flex-wrap gap-2 mb-4">
+      {BUTTON_VARIANTS.map((variant) => (
+        <button key={variant} className={`btn btn-${variant}`}>{variant}</button>
+      ))}
+      <button className="btn btn-primary" disabled>disabled</button>
+      <button className="btn btn-primary btn-sm">small</button>
+      <button className="btn btn-secondary btn-lg">large</button>
+    </div>
+
+    <h3 className="design-preview-heading">Badges</h3>
+    <div className="flex flex-wrap gap-2 mb-4">
+      {BADGE_VARIANTS.map((variant) => (
+        <span key={variant} className={`badge badge-${variant}`}>{variant}</span>
+      ))}
+    </div>
+
+    <h3 className="design-preview-heading">Alerts</h3>
+    <div className="flex flex-col gap-2 mb-4">
+      {ALERT_VARIANTS.map(({ variant, icon, title, text }) => (
+        <div key={variant} className={`alert alert-${variant}`}>
+          <span className="alert-icon" aria-hidden="true">{icon}</span>
+          <div className="alert-content">
+            <div className="alert-title">{title}</div>
+            {text}
+          </div>
+        </div>
+      ))}
+    </div>
+
+    <h3 className="design-preview-heading">Cards</h3>
+    <div className="flex flex-col gap-3">
+      <div className="card">
+        <div className="card-header">
+          <h4 className="card-title">Card</h4>
+          <p className="card-subtitle">With header, body and footer</p>
+        </div>
+        <div className="card-body">Card body text.</div>
+        <div className="card-footer">
+          <span className="badge badge-success">Footer</span>
+        </div>
+      </div>
+      <div className="card card-interactive">
+        <div className="card-body">Interactive card - hover me</div>
+      </div>
+    </div>
+  </>
+);
+
+/**
+ * DesignSystemPage
+ *
+ * Development-only reference at /__design: every component variant and
+ * design token in each registered theme, side by side, with WCAG contrast
+ * ratios for the text/background pairs the design system uses.
+ */
+const DesignSystemPage = () => {
+  const { themes } = useTheme();
+  const panelRefs = useRef({});
+  const [values, setValues] = useState({}); // theme id -> { token: value }
+
+  // Read tokens from each themed panel once they're on the page
+  useEffect(() => {
+    const names = getTokenNames();
+    setValues(Object.fromEntries(themes
+      .filter((theme) => panelRefs.current[theme.id])
+      .map((theme) => [theme.id, readTokens(panelRefs.current[theme.id], names)])));
+  }, [themes]);
+
+  const tokenNames = Object.keys(values[themes[0]?.id] || {});
+
+  return (
+    <div className="page-container design-system-page">
+      <div className="page-header">
+        <h1 className="page-title">Design System</h1>
+        <p className="page-description">
+          Components and tokens in every theme. Only available in development.
+        </p>
+      </div>
+
+      <section className="mb-8">
+        <h2 className="text-lg font-semibold mb-4">Components</h2>
+        <div className="card-grid">
+          {themes.map((theme) => (
+            <div
+              key={theme.id}
+              ref={(element) => { panelRefs.current[theme.id] = element; }}
+              className="design-preview"
+              data-theme={theme.id}
+              data-theme-base={theme.base}
+            >
+              <h2 className="design-preview-title">{theme.label}</h2>
+              <ComponentPreview />
+            </div>
+          ))}
+        </div>
+      </section>
+
+      <section className="mb-8">
+        <h2 className="text-lg font-semibold mb-4">Contrast</h2>
+        <p className="text-muted mb-4">
+          WCAG 2 contrast ratios: AA needs 4.5:1 for body text and 3:1 for large text, AAA needs 7:1.
+        </p>
+        <div className="design-table-wrapper">
+          <table className="design-table">
+            <thead>
+              <tr>
+                <th>Pair</th>
+                {themes.map((theme) => <th key={theme.id}>{theme.label}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {CONTRAST_PAIRS.map(({ label, foreground, background }) => (
+                <tr key={label}>
+                  <td>
+                    <div>{label}</div>
+                    <code className="text-sm text-muted">{foreground} / {background}</code>
+                  </td>
+                  {themes.map((theme) => {
+                    const tokens = values[theme.id] || {};
+                    const ratio = contrastRatio(tokens[foreground], tokens[background], tokens['--bg-primary']);
+                    const level = getWcagLevel(ratio);
+                    return (
+                      <td key={theme.id}>
+                        {ratio === null ? '—' : (
+                          <div className="flex items-center gap-2">
+                            <span
+                              className="design-contrast-sample"
+                              style={{ color: tokens[foreground], background: tokens[background] }}
+                            >
+                              Aa
+                            </span>
+                            <span className="font-mono">{ratio.toFixed(2)}</span>
+                            <span className={`badge ${LEVEL_BADGES[level]}`}>{level}</span>
+                          </div>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+
+      <section>
+        <h2 className="text-lg font-semibold mb-4">Tokens ({tokenNames.length})</h2>
+        <div className="design-table-wrapper">
+          <table className="design-table">
+            <thead>
+              <tr>
+                <th>Token</th>
+                {themes.map((theme) => <th key={theme.id}>{theme.label}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {tokenNames.map((name) => (
+                <tr key={name}>
+                  <td><code>{name}</code></td>
+                  {themes.map((theme) => {
+                    const value = values[theme.id]?.[name];
+                    return (
+                      <td key={theme.id}>
+                        <div className="flex items-center gap-2">
+                          {parseColor(value) && (
+                            <span className="design-swatch" style={{ background: value }} />
+                          )}
+                          <code className="text-sm">{value || '—'}</code>
+                        </div>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default DesignSystemPage;
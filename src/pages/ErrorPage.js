@@ -0,0 +1,43 @@
+import React from 'react';
+
+/**
+ * ErrorPage Component
+ *
+ * Fallback shown by ErrorBoundary. Uses a plain link home (not the router),
+ * so it works even when the router itself failed. Error details are only
+ * shown in development.
+ *
+ * Props:
+ *   - error: The caught error
+ *   - onRetry: Re-renders the failed content (hidden if not given)
+ */
+const ErrorPage = ({ error, onRetry }) => {
+  return (
+    <div className="page-container">
+      <div className="flex flex-col items-center justify-center" style={{ minHeight: '60vh' }}>
+        <h1 className="text-4xl font-bold text-muted mb-4">Oops</h1>
+        <h2 className="text-xl font-semibold mb-2">Something Went Wrong</h2>
+        <p className="text-muted mb-6">
+          This page ran into a problem. Try again, or head back home.
+        </p>
+        {process.env.NODE_ENV !== 'production' && error && (
+          <pre className="alert alert-error mb-6" style={{ maxWidth: '100%', overflowX: 'auto', whiteSpace: 'pre-wrap' }}>
+            {error.message || String(error)}
+          </pre>
+        )}
+        <div className="flex gap-3">
+          {onRetry && (
+            <button className="btn btn-primary" onClick={onRetry}>
+              Try Again
+            </button>
+          )}
+          <a href={`${process.env.PUBLIC_URL}/`} className="btn btn-secondary">
+            Go Home
+          </a>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ErrorPage;
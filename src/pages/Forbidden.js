@@ -0,0 +1,31 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts';
+
+const Forbidden = () => {
+  const { user, signOut } = useAuth();
+
+  return (
+    <div className="page-container">
+      <div className="flex flex-col items-center justify-center" style={{ minHeight: '60vh' }}>
+        <h1 className="text-4xl font-bold text-muted mb-4">403</h1>
+        <h2 className="text-xl font-semibold mb-2">Access Denied</h2>
+        <p className="text-muted mb-6">
+          {user?.email
+            ? `${user.email} doesn't have permission to view this page.`
+            : "You don't have permission to view this page."}
+        </p>
+        <div className="flex gap-3">
+          <Link to="/" className="btn btn-primary">
+            Go Home
+          </Link>
+          <button className="btn btn-secondary" onClick={signOut}>
+            Switch Account
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Forbidden;
@@ -0,0 +1,58 @@
+import React, { useEffect } from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { useTheme, useAuth } from '../contexts';
+
+const SIGNIN_BUTTON_ID = 'signin-page-google-btn';
+
+// Build the path to return to from the location saved by ProtectedRoute
+const getReturnPath = (from) => {
+  if (!from?.pathname) return '/';
+  return `${from.pathname}${from.search || ''}${from.hash || ''}`;
+};
+
+const SignInPage = () => {
+  const { isDark } = useTheme();
+  const { isAuthenticated, isLoading, isGoogleReady, authError, renderSignInButton } = useAuth();
+  const location = useLocation();
+
+  const returnPath = getReturnPath(location.state?.from);
+
+  // Render Google Sign-In button once the session check has finished and the GSI script is ready
+  useEffect(() => {
+    if (!isLoading && !isAuthenticated && isGoogleReady) {
+      renderSignInButton(SIGNIN_BUTTON_ID, {
+        theme: isDark ? 'filled_black' : 'outline',
+      });
+    }
+  }, [isLoading, isAuthenticated, isGoogleReady, isDark, renderSignInButton]);
+
+  // Return to the originally requested page after a successful sign-in
+  if (isAuthenticated) {
+    return <Navigate to={returnPath} replace />;
+  }
+
+  return (
+    <div className="page-container">
+      <div className="flex flex-col items-center justify-center" style={{ minHeight: '60vh' }}>
+        <div className="card max-w-md w-full">
+          <div className="card-body flex flex-col items-center text-center">
+            <h1 className="text-2xl font-semibold mb-2">Sign In</h1>
+            <p className="text-muted mb-6">
+              Sign in with your organization Google account to continue.
+            </p>
+
+            <div id={SIGNIN_BUTTON_ID} />
+
+            {authError && (
+              <div className="alert alert-error mt-4" role="alert">
+                <div className="alert-content">{authError}</div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SignInPage;
@@ -0,0 +1,63 @@
+/**
+ * Route Manifest
+ *
+ * The single list of pages. It drives <AppRoutes />, the Sidebar and Header
+ * navigation, page titles and breadcrumbs - add a page here and nowhere else.
+ *
+ * Route fields:
+ *   - path: URL path; children's paths are relative to their parent
+ *   - component: Page component, bundled with the app
+ *   - lazy: () => import('./pages/MyPage') - code-split page, shown with a loading skeleton
+ *   - href: External URL - a navigation-only link, opened in a new tab
+ *   - label: Navigation label (routes without a label aren't in the navigation)
+ *   - icon: Navigation icon
+ *   - badge: Navigation badge
+ *   - title: Page title and breadcrumb text, a string or (params) => string (default: label)
+ *   - auth: true to require sign-in, or { allowedDomains, allowedEmails } (see ProtectedRoute)
+ *   - nav: false to hide a labelled route from the navigation (default: true)
+ *   - children: Nested routes - each renders as its own page, and breadcrumbs follow the nesting
+ *
+ * A route without `component` or `lazy` only groups its children (or links out with `href`).
+ * Children with labels render as a collapsible group in the Sidebar.
+ */
+
+import HomePage from './pages/HomePage';
+import NotFound from './pages/NotFound';
+
+export const APP_NAME = 'My App';
+export const APP_LOGO = '🔷';
+
+const routes = [
+  {
+    path: '/',
+    component: HomePage,
+    label: 'Home',
+    icon: '🏠',
+  },
+  {
+    path: '/about',
+    lazy: () => import('./pages/AboutPage'),
+    label: 'About',
+    icon: 'ℹ️',
+  },
+  {
+    path: '/signin',
+    lazy: () => import('./pages/SignInPage'),
+    title: 'Sign In',
+  },
+
+  // Development-only design system reference (left out of production builds)
+  ...(process.env.NODE_ENV !== 'production' ? [{
+    path: '/__design',
+    lazy: () => import('./pages/DesignSystemPage'),
+    title: 'Design System',
+  }] : []),
+
+  {
+    path: '*',
+    component: NotFound,
+    title: 'Page Not Found',
+  },
+];
+
+export default routes;
@@ -0,0 +1,3 @@
+// jest-dom adds custom jest matchers for asserting on DOM nodes, e.g.
+// expect(element).toHaveAttribute('aria-busy', 'true')
+import '@testing-library/jest-dom';
@@ -0,0 +1,123 @@
+/**
+ * Cache Keys
+ *
+ * Structured cache keys for useCachedFetch, so requests only share a cache
+ * entry when they would return the same data:
+ *
+ *   u:<userId>|<METHOD>|<bodyHash>|<url with sorted query>
+ *
+ *   buildCacheKey('/api/meetings?b=2&a=1', { userId: '42' })
+ *   // -> 'u:42|GET|-|/api/meetings?a=1&b=2'
+ *
+ *   buildCacheKey('/api/search', { method: 'POST', body: { q: 'aa' } })
+ *   // -> 'u:anon|POST|3f2a9c1b|/api/search'
+ *
+ * The url is the last segment, which keeps the keys usable with the wildcard
+ * syntax of invalidateCache:
+ *
+ *   invalidateCache(userPattern('42')); // Everything cached for user 42
+ *
+ * useDataCache() exposes these as buildKey, invalidateUser and invalidateResource.
+ */
+
+const ANONYMOUS = 'anon';
+const NO_BODY = '-';
+
+// Any base works - it's only used to parse relative URLs
+const PARSE_BASE = 'http://cache.local';
+
+/**
+ * JSON.stringify with object keys sorted, so equal bodies hash equally
+ */
+const stableStringify = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value) ?? 'undefined';
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  return `{${Object.keys(value)
+    .sort()
+    .filter((key) => value[key] !== undefined)
+    .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+    .join(',')}}`;
+};
+
+/**
+ * Short, stable, non-cryptographic hash (FNV-1a, 32 bit) as hex
+ */
+export const hashString = (input) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < input.length; i++) {
+    hash ^= input.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+const hashBody = (body) => {
+  if (body === undefined || body === null || body === '') return NO_BODY;
+  if (typeof body === 'string') return hashString(body);
+  if (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams) {
+    return hashString(body.toString());
+  }
+  return hashString(stableStringify(body));
+};
+
+/**
+ * Normalize a URL: sort query params (by key, then value), merge extra params,
+ * drop the hash. Relative URLs stay relative.
+ */
+export const normalizeUrl = (url, params) => {
+  const isRelative = !/^[a-z][a-z\d+\-.]*:\/\//i.test(url);
+  const parsed = new URL(url, PARSE_BASE);
+
+  if (params) {
+    Object.entries(params).forEach(([key, value]) => {
+      if (value === undefined || value === null) return;
+      (Array.isArray(value) ? value : [value]).forEach((item) => {
+        parsed.searchParams.append(key, item);
+      });
+    });
+  }
+
+  const sorted = Array.from(parsed.searchParams.entries()).sort(([keyA, valueA], [keyB, valueB]) => {
+    if (keyA !== keyB) return keyA < keyB ? -1 : 1;
+    if (valueA === valueB) return 0;
+    return valueA < valueB ? -1 : 1;
+  });
+  const query = new URLSearchParams(sorted).toString();
+
+  const base = isRelative ? parsed.pathname : `${parsed.origin}${parsed.pathname}`;
+  return query ? `${base}?${query}` : base;
+};
+
+/**
+ * Build the cache key for a request
+ *
+ * @param {string} url - Request URL (relative or absolute)
+ * @param {Object} options
+ * @param {string} options.method - HTTP method (default: 'GET')
+ * @param {Object} options.params - Extra query params, merged into the URL
+ * @param {*} options.body - Request body (hashed)
+ * @param {string} options.userId - Signed-in user id (default: anonymous)
+ */
+export const buildCacheKey = (url, { method = 'GET', params, body, userId } = {}) => {
+  const user = userId ?? ANONYMOUS;
+  return `u:${user}|${method.toUpperCase()}|${hashBody(body)}|${normalizeUrl(url, params)}`;
+};
+
+/**
+ * Pattern matching every key cached for a user
+ */
+export const userPattern = (userId) => `u:${userId ?? ANONYMOUS}|*`;
+
+/**
+ * Patterns matching a resource for every user and method: the exact path,
+ * the path with any query, and any sub-path ('/api/meetings' also matches
+ * '/api/meetings?day=1' and '/api/meetings/42', not '/api/meetings-archive')
+ */
+export const resourcePatterns = (url) => {
+  const path = normalizeUrl(url).split('?')[0].replace(/\/+$/, '');
+  return [`u:*|*|*|${path}`, `u:*|*|*|${path}?*`, `u:*|*|*|${path}/*`];
+};
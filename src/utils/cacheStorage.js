@@ -0,0 +1,194 @@
+/**
+ * Cache Storage Adapters
+ *
+ * Pluggable persistence for DataCacheProvider. Every adapter exposes the same
+ * async interface, so the provider doesn't care where entries live:
+ *
+ *   getAll()          -> Promise<Array<[key, entry]>>
+ *   set(key, entry)   -> Promise<void>
+ *   delete(key)       -> Promise<void>
+ *   clear()           -> Promise<void>
+ *   getMeta()         -> Promise<Object|null>
+ *   setMeta(meta)     -> Promise<void>
+ *
+ * Usage:
+ *   import { createLocalStorageAdapter, createIndexedDBAdapter } from './utils/cacheStorage';
+ *
+ *   <DataCacheProvider storage={createIndexedDBAdapter()} maxStorageBytes={5 * 1024 * 1024}>
+ *     <App />
+ *   </DataCacheProvider>
+ *
+ * Entries are stored as { data, staleAt, expiresAt, createdAt } so TTLs survive reloads.
+ * Adapters swallow storage errors (quota exceeded, private mode) - persistence is best effort.
+ */
+
+const DEFAULT_PREFIX = 'data_cache';
+
+/**
+ * Rough size of a value in bytes, computed once when an entry is stored
+ * Strings are UTF-16 in memory, so two bytes per character.
+ */
+export const estimateSize = (value) => {
+  try {
+    const json = JSON.stringify(value);
+    return json ? json.length * 2 : 0;
+  } catch (error) {
+    return 0;
+  }
+};
+
+/**
+ * In-memory adapter - nothing survives a reload
+ * Useful for tests and as an explicit "no persistence" choice.
+ */
+export const createMemoryAdapter = () => {
+  const entries = new Map();
+  let meta = null;
+
+  return {
+    name: 'memory',
+    getAll: async () => Array.from(entries.entries()),
+    set: async (key, entry) => {
+      entries.set(key, entry);
+    },
+    delete: async (key) => {
+      entries.delete(key);
+    },
+    clear: async () => {
+      entries.clear();
+    },
+    getMeta: async () => meta,
+    setMeta: async (value) => {
+      meta = value;
+    },
+  };
+};
+
+/**
+ * localStorage adapter - one key per entry, synchronous under the hood
+ * Best for small caches; localStorage is usually capped around 5MB per origin.
+ *
+ * @param {Object} options
+ * @param {string} options.prefix - Key prefix (default: 'data_cache')
+ */
+export const createLocalStorageAdapter = ({ prefix = DEFAULT_PREFIX } = {}) => {
+  const entryPrefix = `${prefix}:entry:`;
+  const metaKey = `${prefix}:meta`;
+
+  const safely = (fn, fallback) => {
+    try {
+      return fn();
+    } catch (error) {
+      console.warn('Cache storage (localStorage) failed:', error);
+      return fallback;
+    }
+  };
+
+  const entryKeys = () => {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key && key.startsWith(entryPrefix)) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  };
+
+  return {
+    name: 'localStorage',
+    getAll: async () => safely(() => entryKeys().reduce((all, storageKey) => {
+      try {
+        all.push([storageKey.slice(entryPrefix.length), JSON.parse(localStorage.getItem(storageKey))]);
+      } catch (error) {
+        localStorage.removeItem(storageKey);
+      }
+      return all;
+    }, []), []),
+    set: async (key, entry) => safely(() => {
+      localStorage.setItem(entryPrefix + key, JSON.stringify(entry));
+    }),
+    delete: async (key) => safely(() => {
+      localStorage.removeItem(entryPrefix + key);
+    }),
+    clear: async () => safely(() => {
+      entryKeys().forEach((storageKey) => localStorage.removeItem(storageKey));
+    }),
+    getMeta: async () => safely(() => JSON.parse(localStorage.getItem(metaKey)), null),
+    setMeta: async (meta) => safely(() => {
+      localStorage.setItem(metaKey, JSON.stringify(meta));
+    }),
+  };
+};
+
+/**
+ * IndexedDB adapter - asynchronous, suited to large caches
+ * Falls back to doing nothing if IndexedDB is unavailable.
+ *
+ * @param {Object} options
+ * @param {string} options.dbName - Database name (default: 'data_cache')
+ */
+export const createIndexedDBAdapter = ({ dbName = DEFAULT_PREFIX } = {}) => {
+  const ENTRIES = 'entries';
+  const META = 'meta';
+  let dbPromise = null;
+
+  const openDb = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(ENTRIES);
+          request.result.createObjectStore(META);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  };
+
+  // Run a single request in a transaction and resolve with its result
+  const run = async (storeName, mode, operation, fallback) => {
+    try {
+      const db = await openDb();
+      return await new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    } catch (error) {
+      console.warn('Cache storage (IndexedDB) failed:', error);
+      return fallback;
+    }
+  };
+
+  return {
+    name: 'indexedDB',
+    getAll: () => run(ENTRIES, 'readonly', (store) => {
+      // Walk a cursor so keys and values come from the same transaction
+      const entries = [];
+      const cursorRequest = store.openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (cursor) {
+          entries.push([cursor.key, cursor.value]);
+          cursor.continue();
+        }
+      };
+      return { result: entries };
+    }, []),
+    set: (key, entry) => run(ENTRIES, 'readwrite', (store) => store.put(entry, key)),
+    delete: (key) => run(ENTRIES, 'readwrite', (store) => store.delete(key)),
+    clear: () => run(ENTRIES, 'readwrite', (store) => store.clear()),
+    getMeta: async () => (await run(META, 'readonly', (store) => store.get('meta'), null)) || null,
+    setMeta: (meta) => run(META, 'readwrite', (store) => store.put(meta, 'meta')),
+  };
+};
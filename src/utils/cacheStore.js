@@ -0,0 +1,241 @@
+/**
+ * Cache Store
+ *
+ * The in-memory core behind DataCacheProvider: an LRU map with entry-count,
+ * byte-size and per-key-prefix limits.
+ *
+ * All bookkeeping is constant time. A JavaScript Map iterates in insertion
+ * order, so "touching" a key is a delete + set and the least recently used key
+ * is always the first one. Entry sizes are computed once, when an entry is set,
+ * and kept as running totals.
+ *
+ * Usage:
+ *   const store = createCacheStore({
+ *     maxEntries: 1000,
+ *     maxBytes: 10 * 1024 * 1024,
+ *     quotas: { 'meetings:': { maxEntries: 200 } },
+ *     onEvict: (key, entry, reason) => console.log(`evicted ${key} (${reason})`),
+ *   });
+ *
+ *   store.set('meetings:123', { data, staleAt, expiresAt, createdAt });
+ *   store.get('meetings:123'); // Marks the key as most recently used
+ *
+ * Eviction reasons:
+ *   - 'capacity': over maxEntries
+ *   - 'size': over maxBytes (or the entry alone is larger than maxBytes)
+ *   - 'quota': over a key prefix quota
+ */
+
+import { estimateSize } from './cacheStorage';
+
+/**
+ * Create a cache store
+ *
+ * @param {Object} options
+ * @param {number} options.maxEntries - Maximum number of entries (default: Infinity)
+ * @param {number} options.maxBytes - Maximum total size in bytes (default: Infinity)
+ * @param {Object} options.quotas - Per key prefix limits: { [prefix]: { maxEntries, maxBytes } }
+ * @param {Function} options.onEvict - Called with (key, entry, reason) for every eviction
+ * @param {Function} options.sizeOf - Size estimator for entry data (default: JSON length)
+ */
+export const createCacheStore = (options = {}) => {
+  let limits = {};
+  let quotaPrefixes = [];
+
+  const entries = new Map(); // key -> entry, least recently used first
+  const quotaUsage = new Map(); // prefix -> { keys: Map (LRU order), bytes }
+  let totalBytes = 0;
+
+  const configure = ({
+    maxEntries = Infinity,
+    maxBytes = Infinity,
+    quotas = {},
+    onEvict = null,
+    sizeOf = estimateSize,
+  } = {}) => {
+    limits = { maxEntries, maxBytes, quotas, onEvict, sizeOf };
+
+    // Longest prefix wins when several match
+    const prefixes = Object.keys(quotas).sort((a, b) => b.length - a.length);
+    if (prefixes.join('\n') !== quotaPrefixes.join('\n')) {
+      quotaPrefixes = prefixes;
+      reindexQuotas();
+    }
+
+    enforceLimits();
+  };
+
+  const findQuotaPrefix = (key) => quotaPrefixes.find((prefix) => key.startsWith(prefix)) || null;
+
+  // Reassign every entry to its quota prefix (only when the quotas change)
+  const reindexQuotas = () => {
+    quotaUsage.clear();
+    quotaPrefixes.forEach((prefix) => {
+      quotaUsage.set(prefix, { keys: new Map(), bytes: 0 });
+    });
+
+    entries.forEach((entry, key) => {
+      entry.quotaPrefix = findQuotaPrefix(key);
+      const usage = entry.quotaPrefix && quotaUsage.get(entry.quotaPrefix);
+      if (usage) {
+        usage.keys.set(key, true);
+        usage.bytes += entry.size;
+      }
+    });
+  };
+
+  const touch = (key, entry) => {
+    entries.delete(key);
+    entries.set(key, entry);
+
+    const usage = entry.quotaPrefix && quotaUsage.get(entry.quotaPrefix);
+    if (usage) {
+      usage.keys.delete(key);
+      usage.keys.set(key, true);
+    }
+  };
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+
+    entries.delete(key);
+    totalBytes -= entry.size;
+
+    const usage = entry.quotaPrefix && quotaUsage.get(entry.quotaPrefix);
+    if (usage) {
+      usage.keys.delete(key);
+      usage.bytes -= entry.size;
+    }
+    return entry;
+  };
+
+  const evict = (key, reason) => {
+    const entry = remove(key);
+    if (entry && limits.onEvict) {
+      limits.onEvict(key, entry, reason);
+    }
+  };
+
+  const oldestKey = (keys) => keys.keys().next().value;
+
+  // Evict least recently used entries until every limit holds.
+  // The entry just set is the most recently used, so it is only ever the
+  // oldest when it is alone - it is kept then, even if it exceeds a quota.
+  const enforceLimits = (protectedKey = null) => {
+    quotaPrefixes.forEach((prefix) => {
+      const quota = limits.quotas[prefix] || {};
+      const usage = quotaUsage.get(prefix);
+      const maxEntries = quota.maxEntries ?? Infinity;
+      const maxBytes = quota.maxBytes ?? Infinity;
+
+      while (usage.keys.size > 0 && (usage.keys.size > maxEntries || usage.bytes > maxBytes)) {
+        const key = oldestKey(usage.keys);
+        if (key === protectedKey) break;
+        evict(key, 'quota');
+      }
+    });
+
+    while (entries.size > limits.maxEntries) {
+      const key = oldestKey(entries);
+      if (key === protectedKey) break;
+      evict(key, 'capacity');
+    }
+
+    while (totalBytes > limits.maxBytes && entries.size > 0) {
+      const key = oldestKey(entries);
+      if (key === protectedKey) break;
+      evict(key, 'size');
+    }
+  };
+
+  /**
+   * Get an entry and mark it as most recently used
+   */
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    touch(key, entry);
+    return entry;
+  };
+
+  /**
+   * Get an entry without changing its position
+   */
+  const peek = (key) => entries.get(key);
+
+  const has = (key) => entries.has(key);
+
+  /**
+   * Store an entry, computing its size once, then evict as needed
+   * Returns false if the entry alone is larger than maxBytes (it is not stored).
+   */
+  const set = (key, entry) => {
+    const size = limits.sizeOf(entry.data);
+    const stored = { ...entry, size, quotaPrefix: findQuotaPrefix(key) };
+
+    if (size > limits.maxBytes) {
+      remove(key);
+      limits.onEvict?.(key, stored, 'size');
+      return false;
+    }
+
+    remove(key);
+    entries.set(key, stored);
+    totalBytes += size;
+
+    const usage = stored.quotaPrefix && quotaUsage.get(stored.quotaPrefix);
+    if (usage) {
+      usage.keys.set(key, true);
+      usage.bytes += size;
+    }
+
+    enforceLimits(key);
+    return true;
+  };
+
+  /**
+   * Remove an entry (not reported as an eviction)
+   */
+  const del = (key) => remove(key) !== null;
+
+  const clear = () => {
+    entries.clear();
+    quotaUsage.forEach((usage) => {
+      usage.keys.clear();
+      usage.bytes = 0;
+    });
+    totalBytes = 0;
+  };
+
+  configure(options);
+
+  return {
+    configure,
+    get,
+    peek,
+    has,
+    set,
+    delete: del,
+    clear,
+    keys: () => entries.keys(),
+    entries: () => entries.entries(),
+    get size() {
+      return entries.size;
+    },
+    get bytes() {
+      return totalBytes;
+    },
+    /**
+     * Usage per quota prefix: { [prefix]: { entries, bytes } }
+     */
+    getQuotaUsage: () => Object.fromEntries(
+      Array.from(quotaUsage.entries()).map(([prefix, usage]) => [
+        prefix,
+        { entries: usage.keys.size, bytes: usage.bytes },
+      ])
+    ),
+  };
+};
+
+export default createCacheStore;
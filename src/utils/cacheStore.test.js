@@ -0,0 +1,231 @@
+import { createCacheStore } from './cacheStore';
+
+const entry = (data) => ({ data, staleAt: 0, expiresAt: 0, createdAt: 0 });
+
+// Every entry's data has the same length, so sizes are easy to reason about
+const sizeOf = (data) => String(data).length;
+
+const fill = (store, count, prefix = 'key:') => {
+  for (let i = 0; i < count; i++) {
+    store.set(`${prefix}${i}`, entry(i));
+  }
+};
+
+describe('createCacheStore', () => {
+  describe('LRU order', () => {
+    it('evicts the least recently set entry first', () => {
+      const store = createCacheStore({ maxEntries: 3 });
+      fill(store, 4);
+
+      expect(Array.from(store.keys())).toEqual(['key:1', 'key:2', 'key:3']);
+    });
+
+    it('moves a key to most recently used on get, but not on peek', () => {
+      const store = createCacheStore({ maxEntries: 3 });
+      fill(store, 3);
+
+      store.get('key:0');
+      store.peek('key:1');
+      store.set('key:3', entry(3));
+
+      expect(Array.from(store.keys())).toEqual(['key:2', 'key:0', 'key:3']);
+    });
+
+    it('moves a key to most recently used when it is set again', () => {
+      const store = createCacheStore({ maxEntries: 3 });
+      fill(store, 3);
+
+      store.set('key:0', entry('updated'));
+      store.set('key:3', entry(3));
+
+      expect(store.has('key:1')).toBe(false);
+      expect(store.get('key:0').data).toBe('updated');
+    });
+
+    it('keeps the most recent entries of a large cache', () => {
+      const store = createCacheStore({ maxEntries: 20000 });
+      fill(store, 50000);
+
+      expect(store.size).toBe(20000);
+      expect(store.has('key:29999')).toBe(false);
+      expect(store.has('key:30000')).toBe(true);
+      expect(store.has('key:49999')).toBe(true);
+    });
+  });
+
+  describe('maxBytes', () => {
+    it('evicts the least recently used entries to stay within maxBytes', () => {
+      const onEvict = jest.fn();
+      const store = createCacheStore({ maxBytes: 10, sizeOf, onEvict });
+
+      store.set('a', entry('aaaa'));
+      store.set('b', entry('bbbb'));
+      store.get('a');
+      store.set('c', entry('cccc'));
+
+      expect(Array.from(store.keys())).toEqual(['a', 'c']);
+      expect(store.bytes).toBe(8);
+      expect(onEvict).toHaveBeenCalledWith('b', expect.objectContaining({ size: 4 }), 'size');
+    });
+
+    it('uses the size computed when the entry was set', () => {
+      const store = createCacheStore({ maxBytes: 10, sizeOf: (data) => data.length });
+      const data = ['x', 'x'];
+      store.set('a', entry(data));
+
+      // Mutating the data afterwards doesn't change the accounted size
+      data.push('x', 'x', 'x', 'x');
+      expect(store.peek('a').size).toBe(2);
+      expect(store.bytes).toBe(2);
+
+      store.delete('a');
+      expect(store.bytes).toBe(0);
+    });
+
+    it('does not store an entry larger than maxBytes on its own', () => {
+      const onEvict = jest.fn();
+      const store = createCacheStore({ maxBytes: 3, sizeOf, onEvict });
+      store.set('big', entry('small'));
+
+      expect(store.set('big', entry('much too large'))).toBe(false);
+      expect(store.has('big')).toBe(false);
+      expect(store.bytes).toBe(0);
+      expect(onEvict).toHaveBeenCalledWith('big', expect.any(Object), 'size');
+    });
+
+    it('keeps running totals across many entries', () => {
+      const store = createCacheStore({ maxBytes: 100000, sizeOf: () => 4 });
+      fill(store, 30000);
+
+      expect(store.size).toBe(25000);
+      expect(store.bytes).toBe(100000);
+    });
+  });
+
+  describe('quotas', () => {
+    it('limits the entries under a key prefix without touching other keys', () => {
+      const onEvict = jest.fn();
+      const store = createCacheStore({ quotas: { 'meetings:': { maxEntries: 2 } }, onEvict });
+
+      fill(store, 3, 'meetings:');
+      fill(store, 3, 'users:');
+
+      expect(Array.from(store.keys())).toEqual([
+        'meetings:1', 'meetings:2', 'users:0', 'users:1', 'users:2',
+      ]);
+      expect(onEvict).toHaveBeenCalledTimes(1);
+      expect(onEvict).toHaveBeenCalledWith('meetings:0', expect.any(Object), 'quota');
+    });
+
+    it('limits the bytes under a key prefix', () => {
+      const store = createCacheStore({ quotas: { 'meetings:': { maxBytes: 8 } }, sizeOf });
+      store.set('meetings:a', entry('aaaa'));
+      store.set('meetings:b', entry('bbbb'));
+      store.get('meetings:a');
+      store.set('meetings:c', entry('cccc'));
+
+      expect(store.getQuotaUsage()).toEqual({ 'meetings:': { entries: 2, bytes: 8 } });
+      expect(store.has('meetings:b')).toBe(false);
+    });
+
+    it('applies the longest matching prefix', () => {
+      const store = createCacheStore({
+        quotas: { 'meetings:': { maxEntries: 10 }, 'meetings:archive:': { maxEntries: 1 } },
+      });
+      fill(store, 2, 'meetings:archive:');
+      fill(store, 2, 'meetings:');
+
+      expect(store.getQuotaUsage()).toEqual({
+        'meetings:archive:': { entries: 1, bytes: expect.any(Number) },
+        'meetings:': { entries: 2, bytes: expect.any(Number) },
+      });
+    });
+
+    it('reassigns existing entries when the quotas change', () => {
+      const onEvict = jest.fn();
+      const store = createCacheStore({ onEvict });
+      fill(store, 20000, 'meetings:');
+      fill(store, 100, 'users:');
+
+      store.configure({ quotas: { 'meetings:': { maxEntries: 5000 } }, onEvict });
+
+      expect(store.size).toBe(5100);
+      expect(store.getQuotaUsage()['meetings:'].entries).toBe(5000);
+      expect(store.has('meetings:14999')).toBe(false);
+      expect(store.has('meetings:15000')).toBe(true);
+      expect(onEvict).toHaveBeenCalledTimes(15000);
+      expect(onEvict.mock.calls.every(([, , reason]) => reason === 'quota')).toBe(true);
+    });
+  });
+
+  describe('onEvict', () => {
+    it('reports the capacity reason when over maxEntries', () => {
+      const onEvict = jest.fn();
+      const store = createCacheStore({ maxEntries: 1, onEvict });
+      store.set('a', entry(1));
+      store.set('b', entry(2));
+
+      expect(onEvict).toHaveBeenCalledWith('a', expect.objectContaining({ data: 1 }), 'capacity');
+    });
+
+    it('is not called for delete or clear', () => {
+      const onEvict = jest.fn();
+      const store = createCacheStore({ maxEntries: 10, onEvict });
+      fill(store, 5);
+
+      store.delete('key:0');
+      store.clear();
+
+      expect(onEvict).not.toHaveBeenCalled();
+      expect(store.size).toBe(0);
+      expect(store.bytes).toBe(0);
+    });
+
+    it('evicts down to lowered limits on configure', () => {
+      const onEvict = jest.fn();
+      const store = createCacheStore({ onEvict });
+      fill(store, 10);
+
+      store.configure({ maxEntries: 4, onEvict });
+
+      expect(store.size).toBe(4);
+      expect(onEvict).toHaveBeenCalledTimes(6);
+      expect(onEvict.mock.calls.map(([key]) => key)).toEqual(
+        ['key:0', 'key:1', 'key:2', 'key:3', 'key:4', 'key:5']
+      );
+    });
+  });
+
+  describe('work per operation', () => {
+    it('computes each entry size once, however large the cache is', () => {
+      const sizeOfSpy = jest.fn(() => 1);
+      const store = createCacheStore({ maxEntries: 50000, sizeOf: sizeOfSpy });
+      fill(store, 50000);
+      expect(sizeOfSpy).toHaveBeenCalledTimes(50000);
+
+      sizeOfSpy.mockClear();
+      for (let i = 0; i < 20000; i++) {
+        store.get(`key:${i}`);
+        store.peek(`key:${i}`);
+      }
+      store.set('key:0', entry('updated'));
+
+      expect(sizeOfSpy).toHaveBeenCalledTimes(1);
+      expect(store.bytes).toBe(50000);
+    });
+
+    it('evicts exactly one entry per set at full capacity', () => {
+      const onEvict = jest.fn();
+      const store = createCacheStore({ maxEntries: 20000, quotas: { 'next:': { maxEntries: 20000 } }, onEvict });
+      fill(store, 20000);
+
+      fill(store, 30000, 'next:');
+
+      expect(onEvict).toHaveBeenCalledTimes(30000);
+      expect(onEvict.mock.calls.slice(0, 20000).every(([, , reason]) => reason === 'capacity')).toBe(true);
+      expect(onEvict.mock.calls.slice(20000).every(([, , reason]) => reason === 'quota')).toBe(true);
+      expect(store.size).toBe(20000);
+      expect(store.getQuotaUsage()['next:'].entries).toBe(20000);
+    });
+  });
+});
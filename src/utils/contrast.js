@@ -0,0 +1,97 @@
+/**
+ * Color Contrast
+ *
+ * WCAG 2.x contrast ratios for CSS colors, e.g. to check design token pairs.
+ *
+ * Usage:
+ *   contrastRatio('#111827', '#f8fafc');          // 16.96
+ *   getWcagLevel(contrastRatio(text, background)); // 'AAA' | 'AA' | 'AA Large' | 'Fail'
+ *
+ * Semi-transparent foregrounds are blended over the background first, so
+ * tokens like rgba(0, 0, 0, 0.1) are measured as they appear.
+ */
+
+/**
+ * Parse a CSS color (#rgb, #rgba, #rrggbb, #rrggbbaa, rgb(), rgba())
+ * Returns { r, g, b, a } (0-255, alpha 0-1), or null for anything else.
+ */
+export const parseColor = (value) => {
+  const color = (value || '').trim().toLowerCase();
+
+  const hex = color.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) digits = digits.split('').map((digit) => digit + digit).join('');
+    return {
+      r: parseInt(digits.slice(0, 2), 16),
+      g: parseInt(digits.slice(2, 4), 16),
+      b: parseInt(digits.slice(4, 6), 16),
+      a: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1,
+    };
+  }
+
+  const rgb = color.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/);
+  if (rgb) {
+    const alpha = rgb[4] === undefined
+      ? 1
+      : rgb[4].endsWith('%') ? parseFloat(rgb[4]) / 100 : parseFloat(rgb[4]);
+    return { r: Number(rgb[1]), g: Number(rgb[2]), b: Number(rgb[3]), a: alpha };
+  }
+
+  return null;
+};
+
+// Blend a (possibly transparent) color over an opaque one
+const blend = (top, bottom) => ({
+  r: top.r * top.a + bottom.r * (1 - top.a),
+  g: top.g * top.a + bottom.g * (1 - top.a),
+  b: top.b * top.a + bottom.b * (1 - top.a),
+  a: 1,
+});
+
+/**
+ * Relative luminance of an opaque color (0 = black, 1 = white)
+ */
+export const relativeLuminance = ({ r, g, b }) => {
+  const [red, green, blue] = [r, g, b].map((channel) => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+};
+
+/**
+ * Contrast ratio between two colors, from 1 to 21
+ * Returns null if either color can't be parsed.
+ *
+ * @param {string} foreground - Text color
+ * @param {string} background - Background color
+ * @param {string} backdrop - What a transparent background sits on (default: white)
+ */
+export const contrastRatio = (foreground, background, backdrop = '#ffffff') => {
+  const fg = parseColor(foreground);
+  const bg = parseColor(background);
+  const base = parseColor(backdrop) || { r: 255, g: 255, b: 255, a: 1 };
+  if (!fg || !bg) return null;
+
+  const opaqueBg = bg.a < 1 ? blend(bg, { ...base, a: 1 }) : bg;
+  const opaqueFg = fg.a < 1 ? blend(fg, opaqueBg) : fg;
+
+  const lighter = Math.max(relativeLuminance(opaqueFg), relativeLuminance(opaqueBg));
+  const darker = Math.min(relativeLuminance(opaqueFg), relativeLuminance(opaqueBg));
+  return Math.round(((lighter + 0.05) / (darker + 0.05)) * 100) / 100;
+};
+
+/**
+ * WCAG level a contrast ratio reaches for normal text
+ * 'AA Large' passes only for large text (18pt, or 14pt bold).
+ */
+export const getWcagLevel = (ratio) => {
+  if (ratio === null || ratio === undefined) return null;
+  if (ratio >= 7) return 'AAA';
+  if (ratio >= 4.5) return 'AA';
+  if (ratio >= 3) return 'AA Large';
+  return 'Fail';
+};
+
+export default contrastRatio;
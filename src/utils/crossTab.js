@@ -0,0 +1,115 @@
+/**
+ * Cross-Tab Channel
+ *
+ * Broadcasts messages to every other open tab of the app on the same origin.
+ * Uses BroadcastChannel where available and falls back to `storage` events
+ * (writing and immediately removing a localStorage key) elsewhere.
+ *
+ * Messages are never delivered back to the tab that sent them.
+ *
+ * Usage:
+ *   import { getCrossTabChannel } from './utils/crossTab';
+ *
+ *   const channel = getCrossTabChannel('auth');
+ *   const unsubscribe = channel.subscribe(({ type, payload }) => {
+ *     if (type === 'signout') { ... }
+ *   });
+ *   channel.postMessage('signout');
+ */
+
+const CHANNEL_PREFIX = 'app_sync';
+
+const channels = new Map();
+
+const createTabId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Create a channel - prefer getCrossTabChannel, which shares one per name
+ *
+ * @param {string} name - Channel name, e.g. 'auth', 'theme', 'cache'
+ */
+export const createCrossTabChannel = (name) => {
+  const channelName = `${CHANNEL_PREFIX}:${name}`;
+  const tabId = createTabId();
+  const listeners = new Set();
+
+  const dispatch = (message) => {
+    if (!message || message.sender === tabId) return;
+    listeners.forEach((listener) => {
+      try {
+        listener({ type: message.type, payload: message.payload });
+      } catch (error) {
+        console.error(`Cross-tab listener for "${name}" failed:`, error);
+      }
+    });
+  };
+
+  let broadcastChannel = null;
+  let handleStorage = null;
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    broadcastChannel = new BroadcastChannel(channelName);
+    broadcastChannel.onmessage = (event) => dispatch(event.data);
+  } else if (typeof window !== 'undefined') {
+    handleStorage = (event) => {
+      if (event.key !== channelName || !event.newValue) return;
+      try {
+        dispatch(JSON.parse(event.newValue));
+      } catch (error) {
+        // Ignore malformed messages
+      }
+    };
+    window.addEventListener('storage', handleStorage);
+  }
+
+  /**
+   * Send a message to the other tabs
+   */
+  const postMessage = (type, payload = null) => {
+    const message = { type, payload, sender: tabId, sentAt: Date.now() };
+
+    try {
+      if (broadcastChannel) {
+        broadcastChannel.postMessage(message);
+      } else {
+        // The storage event only fires on change, and sentAt keeps every message unique
+        localStorage.setItem(channelName, JSON.stringify(message));
+        localStorage.removeItem(channelName);
+      }
+    } catch (error) {
+      console.warn(`Failed to broadcast "${type}" on "${name}":`, error);
+    }
+  };
+
+  /**
+   * Listen for messages from other tabs
+   * Returns an unsubscribe function
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const close = () => {
+    listeners.clear();
+    if (broadcastChannel) {
+      broadcastChannel.close();
+    }
+    if (handleStorage) {
+      window.removeEventListener('storage', handleStorage);
+    }
+    channels.delete(name);
+  };
+
+  return { name, postMessage, subscribe, close };
+};
+
+/**
+ * Get the shared channel for a name, creating it on first use
+ */
+export const getCrossTabChannel = (name) => {
+  if (!channels.has(name)) {
+    channels.set(name, createCrossTabChannel(name));
+  }
+  return channels.get(name);
+};
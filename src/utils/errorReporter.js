@@ -0,0 +1,137 @@
+/**
+ * Error Reporter
+ *
+ * Normalizes errors from any source and forwards them to a `send` callback,
+ * with deduplication and rate limiting so a render loop or a failing timer
+ * can't flood analytics:
+ * - the same error (name, message and top stack frame) is sent at most once
+ *   per dedupe window; repeats are counted and reported with the next send
+ * - at most `maxPerMinute` reports are sent per rolling minute
+ *
+ * Usage:
+ *   const reporter = createErrorReporter({
+ *     send: (report) => trackError(report.source, report.message, { ... }),
+ *   });
+ *
+ *   reporter.report(error, { source: 'render', componentStack });
+ */
+
+const DEFAULT_DEDUPE_WINDOW = 60 * 1000; // 1 minute
+const DEFAULT_MAX_PER_MINUTE = 10;
+const MAX_STACK_LENGTH = 2000;
+
+// Noise that says nothing about the app
+const IGNORED_MESSAGES = [
+  /^Script error\.?$/, // Cross-origin script without CORS details
+  /ResizeObserver loop (limit exceeded|completed with undelivered notifications)/,
+];
+
+const truncate = (value, length = MAX_STACK_LENGTH) =>
+  value && value.length > length ? `${value.slice(0, length)}…` : value || null;
+
+/**
+ * Turn anything thrown into { name, message, stack }
+ */
+export const normalizeError = (error) => {
+  if (error instanceof Error) {
+    return { name: error.name, message: error.message || String(error), stack: error.stack || null };
+  }
+  if (error && typeof error === 'object') {
+    return {
+      name: error.name || 'Error',
+      message: error.message || JSON.stringify(error),
+      stack: error.stack || null,
+    };
+  }
+  return { name: 'Error', message: String(error), stack: null };
+};
+
+// Same error = same name, message and first stack frame
+const getFingerprint = ({ name, message, stack }) => {
+  const firstFrame = stack ? stack.split('\n').find((line) => /^\s*at\s|@/.test(line)) : '';
+  return `${name}|${message}|${(firstFrame || '').trim()}`;
+};
+
+/**
+ * Create an error reporter
+ *
+ * @param {Object} options
+ * @param {Function} options.send - Called with each report that passes dedupe and rate limiting:
+ *   { name, message, stack, componentStack, source, handled, occurrences, context }
+ * @param {number} options.dedupeWindow - Milliseconds an identical error is suppressed (default: 60s)
+ * @param {number} options.maxPerMinute - Reports sent per rolling minute (default: 10)
+ * @param {Function} options.ignore - Return true to drop an error
+ */
+export const createErrorReporter = ({
+  send,
+  dedupeWindow = DEFAULT_DEDUPE_WINDOW,
+  maxPerMinute = DEFAULT_MAX_PER_MINUTE,
+  ignore,
+}) => {
+  const recent = new Map(); // fingerprint -> { lastSentAt, suppressed }
+  let sentTimes = [];
+
+  const isRateLimited = (now) => {
+    sentTimes = sentTimes.filter((time) => now - time < 60 * 1000);
+    return sentTimes.length >= maxPerMinute;
+  };
+
+  /**
+   * Report an error
+   * Returns true if it was sent, false if it was ignored, deduped or rate limited.
+   *
+   * @param {*} error - Anything thrown
+   * @param {Object} details
+   * @param {string} details.source - Where it was caught, e.g. 'render', 'window', 'promise'
+   * @param {string} details.componentStack - React component stack, for render errors
+   * @param {boolean} details.handled - Caught by app code (default: false)
+   * @param {Object} details.context - Extra properties sent with the report
+   */
+  const report = (error, { source = 'manual', componentStack = null, handled = false, context = {} } = {}) => {
+    const normalized = normalizeError(error);
+    if (IGNORED_MESSAGES.some((pattern) => pattern.test(normalized.message))) return false;
+    if (ignore?.(error, normalized)) return false;
+
+    const now = Date.now();
+    const fingerprint = getFingerprint(normalized);
+    const previous = recent.get(fingerprint);
+
+    if (previous && now - previous.lastSentAt < dedupeWindow) {
+      previous.suppressed++;
+      return false;
+    }
+    if (isRateLimited(now)) {
+      if (previous) previous.suppressed++;
+      return false;
+    }
+
+    // Forget old fingerprints so the map doesn't grow forever
+    recent.forEach((entry, key) => {
+      if (now - entry.lastSentAt >= dedupeWindow && entry.suppressed === 0) {
+        recent.delete(key);
+      }
+    });
+
+    recent.set(fingerprint, { lastSentAt: now, suppressed: 0 });
+    sentTimes.push(now);
+
+    try {
+      send({
+        ...normalized,
+        stack: truncate(normalized.stack),
+        componentStack: truncate(componentStack),
+        source,
+        handled,
+        occurrences: 1 + (previous?.suppressed || 0),
+        context,
+      });
+    } catch (sendError) {
+      console.error('Failed to report error:', sendError);
+    }
+    return true;
+  };
+
+  return { report };
+};
+
+export default createErrorReporter;
@@ -0,0 +1,122 @@
+/**
+ * Fuzzy Matching
+ *
+ * Matches a query against text as a subsequence ("tgth" matches "Toggle theme")
+ * and scores how good the match is, so results can be ranked:
+ * - characters at the start of a word and runs of consecutive characters score higher
+ * - gaps between matched characters cost a little
+ * - text that starts with the query gets a bonus
+ *
+ * Whitespace in the query is ignored. Matching is case-insensitive.
+ *
+ * Usage:
+ *   fuzzyMatch('sgno', 'Sign out');  // { score, indices: [0, 1, 2, 5] }
+ *   fuzzyMatch('xyz', 'Sign out');   // null
+ *
+ *   const results = fuzzySearch(commands, 'thm', (command) => [command.title, ...command.keywords]);
+ */
+
+const WORD_START_BONUS = 8;
+const CONSECUTIVE_BONUS = 5;
+const PREFIX_BONUS = 10;
+const GAP_PENALTY = 0.5;
+
+const isWordStart = (text, index) => index === 0 || /[\s\-_/.]/.test(text[index - 1]) ||
+  // camelCase boundary
+  (/[a-z]/.test(text[index - 1]) && /[A-Z]/.test(text[index]));
+
+// Whether `needle` is a subsequence of `haystack` from `position` on
+const isSubsequence = (needle, haystack, position) => {
+  let index = position;
+  for (const char of needle) {
+    index = haystack.indexOf(char, index);
+    if (index === -1) return false;
+    index += 1;
+  }
+  return true;
+};
+
+/**
+ * Match a query against a string
+ * Returns { score, indices } (indices of the matched characters in `text`), or null.
+ * An empty query matches everything with a score of 0.
+ */
+export const fuzzyMatch = (query, text) => {
+  const needle = (query || '').replace(/\s+/g, '').toLowerCase();
+  if (!needle) return { score: 0, indices: [] };
+  if (!text) return null;
+
+  const haystack = text.toLowerCase();
+  const indices = [];
+  let score = 0;
+  let position = 0;
+
+  if (!isSubsequence(needle, haystack, 0)) return null;
+
+  for (let i = 0; i < needle.length; i++) {
+    const char = needle[i];
+    const rest = needle.slice(i + 1);
+    const previous = indices[indices.length - 1];
+
+    // Prefer continuing a run, then the next word start with this character
+    // (as long as the rest of the query still fits after it), then the next occurrence
+    let index = haystack.indexOf(char, position);
+    if (index !== previous + 1) {
+      let wordStart = index;
+      while (wordStart !== -1 && !isWordStart(text, wordStart)) {
+        wordStart = haystack.indexOf(char, wordStart + 1);
+      }
+      if (wordStart !== -1 && isSubsequence(rest, haystack, wordStart + 1)) index = wordStart;
+    }
+
+    score += 1;
+    if (isWordStart(text, index)) score += WORD_START_BONUS;
+    if (previous !== undefined) {
+      if (index === previous + 1) score += CONSECUTIVE_BONUS;
+      else score -= (index - previous - 1) * GAP_PENALTY;
+    }
+
+    indices.push(index);
+    position = index + 1;
+  }
+
+  if (haystack.startsWith(needle)) score += PREFIX_BONUS;
+
+  return { score, indices };
+};
+
+/**
+ * Filter and rank items by a query
+ * Each item is matched against the strings `getFields` returns; the first
+ * field's match (usually the title) is returned as `indices` for highlighting.
+ * Other fields (keywords) count for less.
+ *
+ * @param {Array} items - Items to search
+ * @param {string} query - Search query
+ * @param {Function} getFields - (item) => [title, ...otherStrings]
+ * @returns {Array} [{ item, score, indices }] - best match first; all items, in order, for an empty query
+ */
+export const fuzzySearch = (items, query, getFields) => {
+  if (!(query || '').trim()) {
+    return items.map((item) => ({ item, score: 0, indices: [] }));
+  }
+
+  return items
+    .map((item, order) => {
+      const [primary, ...others] = getFields(item);
+      const primaryMatch = fuzzyMatch(query, primary);
+      const otherScore = others.reduce((best, field) => {
+        const match = fuzzyMatch(query, field);
+        return match ? Math.max(best, match.score * 0.8) : best;
+      }, -Infinity);
+
+      const score = Math.max(primaryMatch ? primaryMatch.score : -Infinity, otherScore);
+      if (score === -Infinity) return null;
+      return { item, score, indices: primaryMatch ? primaryMatch.indices : [], order };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .map(({ order, ...result }) => result);
+};
+
+export default fuzzyMatch;
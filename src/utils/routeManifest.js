@@ -0,0 +1,100 @@
+/**
+ * Route Manifest Helpers
+ *
+ * Derive everything the app needs from the route manifest (src/routes.js):
+ * flat routes for <Routes>, navigation items, the matched route, page titles
+ * and breadcrumbs.
+ *
+ * Usage:
+ *   import routes from '../routes';
+ *
+ *   const flat = flattenRoutes(routes);
+ *   const navItems = getNavItems(routes);
+ *   const match = matchManifestRoute(flat, '/admin/users/42');
+ *   const crumbs = getBreadcrumbs(match);
+ */
+
+import { generatePath, matchRoutes } from 'react-router-dom';
+
+const joinPaths = (parent, path) => {
+  if (!path) return parent || null;
+  if (!parent || path.startsWith('/')) return path;
+  return `${parent.replace(/\/+$/, '')}/${path}`;
+};
+
+/**
+ * Flatten nested routes, resolving full paths
+ * Each route gets `fullPath` and `parents` (its ancestors, outermost first).
+ */
+export const flattenRoutes = (routes, parent = null) => routes.flatMap((route) => {
+  const fullPath = joinPaths(parent?.fullPath, route.path);
+  const flat = { ...route, fullPath, parents: parent ? [...parent.parents, parent] : [] };
+  return [flat, ...flattenRoutes(route.children || [], flat)];
+});
+
+/**
+ * Navigation items for the Sidebar and Header
+ * Keeps the nesting: { path, href, label, icon, badge, children }
+ */
+export const getNavItems = (routes, parentPath = null) => routes
+  .filter((route) => route.label && route.nav !== false)
+  .map((route) => {
+    const path = joinPaths(parentPath, route.path);
+    const children = getNavItems(route.children || [], path);
+    return {
+      path: route.href ? undefined : path,
+      href: route.href,
+      label: route.label,
+      icon: route.icon,
+      badge: route.badge,
+      ...(children.length > 0 && { children }),
+    };
+  });
+
+/**
+ * Find the route rendering a pathname
+ * Returns { route, params } or null. Uses React Router's ranking, so static
+ * segments win over dynamic ones and '*' comes last.
+ */
+export const matchManifestRoute = (flatRoutes, pathname) => {
+  const candidates = flatRoutes
+    .filter((route) => route.component || route.lazy)
+    .map((route) => ({ path: route.fullPath, route }));
+
+  const matches = matchRoutes(candidates, pathname);
+  if (!matches) return null;
+
+  const { route, params } = matches[matches.length - 1];
+  return { route: route.route, params };
+};
+
+/**
+ * Title of a route: `title` (string or function of params), or its label
+ */
+export const getRouteTitle = (route, params = {}) => {
+  const title = route.title ?? route.label;
+  return typeof title === 'function' ? title(params) : title || null;
+};
+
+/**
+ * Breadcrumbs for a matched route: its ancestors and itself
+ * Returns [{ path, label, isCurrent }]; ancestors without a page have no path.
+ */
+export const getBreadcrumbs = (match) => {
+  if (!match) return [];
+  const { route, params } = match;
+
+  return [...route.parents, route]
+    .map((crumb) => {
+      let path = null;
+      if ((crumb.component || crumb.lazy) && crumb !== route) {
+        try {
+          path = generatePath(crumb.fullPath, params);
+        } catch (error) {
+          path = null;
+        }
+      }
+      return { path, label: getRouteTitle(crumb, params), isCurrent: crumb === route };
+    })
+    .filter((crumb) => crumb.label);
+};
@@ -0,0 +1,223 @@
+/**
+ * Table Data
+ *
+ * Client-side sorting, filtering and pagination for DataTable, plus the
+ * table state <-> query string mapping used by useTableState.
+ *
+ * Column definition (the parts used here):
+ *   {
+ *     key: 'name',                        // Unique key; default accessor is row[key]
+ *     accessor: (row) => row.group.name,  // Optional value getter
+ *     sortValue: (row) => row.startsAt,   // Optional value to sort by (default: the accessor's)
+ *     searchable: false,                  // Leave out of the search (default: true)
+ *     filter: {                           // Optional dropdown filter
+ *       options: ['online', 'in-person'], // Or [{ value, label }]
+ *       match: (row, value) => ...,       // Optional (default: String(value) equality)
+ *     },
+ *   }
+ *
+ * Usage:
+ *   const visible = filterRows(rows, columns, { search: 'morning', filters: { format: 'online' } });
+ *   const sorted = sortRows(visible, columns, { by: 'name', direction: 'asc' });
+ *   const { rows: pageRows, pageCount } = paginateRows(sorted, { page: 1, pageSize: 25 });
+ */
+
+export const SORT_DIRECTIONS = ['asc', 'desc'];
+
+export const getCellValue = (row, column) => (
+  typeof column.accessor === 'function' ? column.accessor(row) : row?.[column.key]
+);
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Compare two cell values: numbers and dates by value, everything else as
+ * text ("Item 2" before "Item 10"). Blank values sort last either way.
+ */
+export const compareValues = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (a instanceof Date && b instanceof Date) return a.getTime() - b.getTime();
+  if (typeof a === 'boolean' && typeof b === 'boolean') return Number(a) - Number(b);
+  return collator.compare(String(a), String(b));
+};
+
+/**
+ * Sort rows by a column (stable; returns a new array)
+ *
+ * @param {Array} rows
+ * @param {Array} columns - Column definitions
+ * @param {Object} sort - { by: column key, direction: 'asc' | 'desc' }
+ */
+export const sortRows = (rows, columns, sort) => {
+  const column = sort?.by && columns.find((candidate) => candidate.key === sort.by);
+  if (!column) return rows;
+
+  const getValue = column.sortValue || ((row) => getCellValue(row, column));
+  const sign = sort.direction === 'desc' ? -1 : 1;
+
+  return rows
+    .map((row, index) => ({ row, index, value: getValue(row) }))
+    .sort((a, b) => {
+      if (isBlank(a.value) || isBlank(b.value)) {
+        if (isBlank(a.value) && isBlank(b.value)) return a.index - b.index;
+        return isBlank(a.value) ? 1 : -1;
+      }
+      return sign * compareValues(a.value, b.value) || a.index - b.index;
+    })
+    .map(({ row }) => row);
+};
+
+/**
+ * Rows matching a text search (over searchable columns) and column filters
+ *
+ * @param {Array} rows
+ * @param {Array} columns - Column definitions
+ * @param {Object} criteria - { search, filters: { columnKey: value } }
+ */
+export const filterRows = (rows, columns, { search = '', filters = {} } = {}) => {
+  const query = search.trim().toLowerCase();
+  const searchColumns = columns.filter((column) => column.searchable !== false);
+  const activeFilters = Object.entries(filters)
+    .filter(([, value]) => !isBlank(value))
+    .map(([key, value]) => [columns.find((column) => column.key === key), value])
+    .filter(([column]) => column);
+
+  if (!query && activeFilters.length === 0) return rows;
+
+  return rows.filter((row) => {
+    const matchesFilters = activeFilters.every(([column, value]) => (
+      column.filter?.match
+        ? column.filter.match(row, value)
+        : String(getCellValue(row, column) ?? '') === String(value)
+    ));
+    if (!matchesFilters) return false;
+    if (!query) return true;
+
+    return searchColumns.some((column) => {
+      const value = getCellValue(row, column);
+      return !isBlank(value) && String(value).toLowerCase().includes(query);
+    });
+  });
+};
+
+/**
+ * One page of rows
+ * Pages are 1-based; a page past the end is clamped to the last page.
+ *
+ * @returns {Object} { rows, page, pageCount, start, end } - start/end are 1-based row numbers
+ */
+export const paginateRows = (rows, { page = 1, pageSize = 25 }) => {
+  const pageCount = Math.max(1, Math.ceil(rows.length / pageSize));
+  const current = Math.min(Math.max(1, page), pageCount);
+  const offset = (current - 1) * pageSize;
+  const pageRows = rows.slice(offset, offset + pageSize);
+
+  return {
+    rows: pageRows,
+    page: current,
+    pageCount,
+    start: pageRows.length ? offset + 1 : 0,
+    end: offset + pageRows.length,
+  };
+};
+
+/**
+ * Options of a column filter as { value, label }
+ */
+export const getFilterOptions = (column) => (column.filter?.options || []).map((option) => (
+  typeof option === 'object' ? option : { value: option, label: String(option) }
+));
+
+/**
+ * Query string parameter names for a table
+ * Tables sharing a page use an `id` so their parameters don't collide.
+ */
+export const getTableParamNames = (id) => {
+  const name = (param) => (id ? `${id}_${param}` : param);
+  return {
+    page: name('page'),
+    pageSize: name('size'),
+    sort: name('sort'),
+    direction: name('order'),
+    search: name('q'),
+    filterPrefix: name('f_'),
+  };
+};
+
+/**
+ * Table state from URL search params, falling back to the defaults
+ *
+ * @param {URLSearchParams} params
+ * @param {string} id - Table id (see getTableParamNames)
+ * @param {Object} defaults - { page, pageSize, sort: { by, direction }, search }
+ */
+export const readTableState = (params, id, defaults) => {
+  const names = getTableParamNames(id);
+  const page = parseInt(params.get(names.page), 10);
+  const pageSize = parseInt(params.get(names.pageSize), 10);
+  const sortBy = params.get(names.sort);
+  const direction = params.get(names.direction);
+
+  const filters = {};
+  params.forEach((value, key) => {
+    if (key.startsWith(names.filterPrefix)) {
+      filters[key.slice(names.filterPrefix.length)] = value;
+    }
+  });
+
+  return {
+    page: page > 0 ? page : defaults.page,
+    pageSize: pageSize > 0 ? pageSize : defaults.pageSize,
+    sort: sortBy !== null
+      ? { by: sortBy || null, direction: SORT_DIRECTIONS.includes(direction) ? direction : 'asc' }
+      : defaults.sort,
+    search: params.get(names.search) ?? defaults.search,
+    filters,
+  };
+};
+
+/**
+ * URL search params with a table's state written in
+ * Default values are left out to keep URLs short; other parameters are kept.
+ */
+export const writeTableState = (params, id, state, defaults) => {
+  const names = getTableParamNames(id);
+  const next = new URLSearchParams(params);
+
+  const set = (name, value, defaultValue) => {
+    if (isBlank(value) || value === defaultValue) {
+      next.delete(name);
+    } else {
+      next.set(name, String(value));
+    }
+  };
+
+  set(names.page, state.page, defaults.page);
+  set(names.pageSize, state.pageSize, defaults.pageSize);
+  set(names.search, state.search, defaults.search);
+
+  const sortBy = state.sort?.by || null;
+  const sortChanged = sortBy !== (defaults.sort?.by || null) ||
+    (sortBy && state.sort.direction !== (defaults.sort?.direction || 'asc'));
+  if (sortChanged) {
+    // An empty sort parameter means "unsorted" when the default sorts
+    next.set(names.sort, sortBy || '');
+    set(names.direction, sortBy ? state.sort.direction : null, 'asc');
+  } else {
+    next.delete(names.sort);
+    next.delete(names.direction);
+  }
+
+  Array.from(next.keys())
+    .filter((key) => key.startsWith(names.filterPrefix))
+    .forEach((key) => next.delete(key));
+  Object.entries(state.filters || {}).forEach(([key, value]) => {
+    if (!isBlank(value)) next.set(`${names.filterPrefix}${key}`, String(value));
+  });
+
+  return next;
+};
+
+export default sortRows;
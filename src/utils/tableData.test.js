@@ -0,0 +1,211 @@
+import {
+  sortRows,
+  filterRows,
+  paginateRows,
+  readTableState,
+  writeTableState,
+  getTableParamNames,
+} from './tableData';
+
+const columns = [
+  { key: 'name' },
+  { key: 'day', filter: { options: ['Monday', 'Tuesday'] } },
+  { key: 'attendees' },
+  { key: 'host', accessor: (row) => row.host?.name },
+  { key: 'format', searchable: false, filter: { match: (row, value) => row.online === (value === 'online') } },
+];
+
+const rows = [
+  { id: 1, name: 'Item 10', day: 'Monday', attendees: 12, host: { name: 'Ada' }, online: true },
+  { id: 2, name: 'Item 2', day: 'Tuesday', attendees: null, host: { name: 'Grace' }, online: false },
+  { id: 3, name: 'item 1', day: 'Monday', attendees: 3, host: null, online: false },
+  { id: 4, name: '', day: 'Tuesday', attendees: 12, host: { name: 'Linus' }, online: true },
+];
+
+const ids = (list) => list.map((row) => row.id);
+
+describe('sortRows', () => {
+  it('sorts text with numeric collation, ignoring case', () => {
+    expect(ids(sortRows(rows, columns, { by: 'name', direction: 'asc' }))).toEqual([3, 2, 1, 4]);
+  });
+
+  it('puts blank values last in both directions', () => {
+    expect(ids(sortRows(rows, columns, { by: 'name', direction: 'desc' }))).toEqual([1, 2, 3, 4]);
+    expect(ids(sortRows(rows, columns, { by: 'attendees', direction: 'desc' }))).toEqual([1, 4, 3, 2]);
+    expect(ids(sortRows(rows, columns, { by: 'host', direction: 'asc' }))).toEqual([1, 2, 4, 3]);
+  });
+
+  it('keeps the original order of equal values', () => {
+    expect(ids(sortRows(rows, columns, { by: 'attendees', direction: 'asc' }))).toEqual([3, 1, 4, 2]);
+    expect(ids(sortRows(rows, columns, { by: 'day', direction: 'asc' }))).toEqual([1, 3, 2, 4]);
+    expect(ids(sortRows(rows, columns, { by: 'day', direction: 'desc' }))).toEqual([2, 4, 1, 3]);
+  });
+
+  it('sorts by sortValue when the column has one', () => {
+    const byLength = [{ key: 'name', sortValue: (row) => -row.name.length }];
+    expect(ids(sortRows(rows.slice(0, 3), byLength, { by: 'name', direction: 'asc' }))).toEqual([1, 2, 3]);
+  });
+
+  it('compares dates by time', () => {
+    const dated = [
+      { id: 1, at: new Date('2024-03-01') },
+      { id: 2, at: new Date('2023-12-31') },
+    ];
+    expect(ids(sortRows(dated, [{ key: 'at' }], { by: 'at', direction: 'asc' }))).toEqual([2, 1]);
+  });
+
+  it('returns the rows as they are without a known sort column', () => {
+    expect(sortRows(rows, columns, null)).toBe(rows);
+    expect(sortRows(rows, columns, { by: 'missing', direction: 'asc' })).toBe(rows);
+  });
+
+  it('does not change the input array', () => {
+    const input = [...rows];
+    sortRows(input, columns, { by: 'name', direction: 'asc' });
+    expect(input).toEqual(rows);
+  });
+});
+
+describe('filterRows', () => {
+  it('searches searchable columns, ignoring case', () => {
+    expect(ids(filterRows(rows, columns, { search: 'ITEM' }))).toEqual([1, 2, 3]);
+    expect(ids(filterRows(rows, columns, { search: '  grace ' }))).toEqual([2]);
+  });
+
+  it('leaves out columns with searchable: false', () => {
+    const searchable = [{ key: 'name' }, { key: 'day', searchable: false }];
+    expect(filterRows(rows, searchable, { search: 'monday' })).toEqual([]);
+  });
+
+  it('applies column filters by value, or with the filter match function', () => {
+    expect(ids(filterRows(rows, columns, { filters: { day: 'Monday' } }))).toEqual([1, 3]);
+    expect(ids(filterRows(rows, columns, { filters: { format: 'online' } }))).toEqual([1, 4]);
+    expect(ids(filterRows(rows, columns, { filters: { attendees: 12 } }))).toEqual([1, 4]);
+  });
+
+  it('combines filters with the search', () => {
+    expect(ids(filterRows(rows, columns, { search: 'item', filters: { day: 'Monday', format: 'offline' } })))
+      .toEqual([3]);
+  });
+
+  it('ignores blank filters and filters on unknown columns', () => {
+    expect(filterRows(rows, columns, { search: ' ', filters: { day: '', missing: 'x' } })).toBe(rows);
+    expect(filterRows(rows, columns)).toBe(rows);
+  });
+});
+
+describe('paginateRows', () => {
+  const many = Array.from({ length: 23 }, (_, index) => ({ id: index + 1 }));
+
+  it('returns one page with 1-based row numbers', () => {
+    const page = paginateRows(many, { page: 2, pageSize: 10 });
+    expect(ids(page.rows)).toEqual([11, 12, 13, 14, 15, 16, 17, 18, 19, 20]);
+    expect(page).toMatchObject({ page: 2, pageCount: 3, start: 11, end: 20 });
+  });
+
+  it('returns a short last page', () => {
+    expect(paginateRows(many, { page: 3, pageSize: 10 })).toMatchObject({ page: 3, start: 21, end: 23 });
+  });
+
+  it('clamps pages past the end to the last page, and below 1 to the first', () => {
+    const past = paginateRows(many, { page: 9, pageSize: 10 });
+    expect(past).toMatchObject({ page: 3, pageCount: 3, start: 21, end: 23 });
+    expect(ids(past.rows)).toEqual([21, 22, 23]);
+
+    expect(paginateRows(many, { page: 0, pageSize: 10 })).toMatchObject({ page: 1, start: 1, end: 10 });
+  });
+
+  it('has one empty page without rows', () => {
+    expect(paginateRows([], { page: 4, pageSize: 10 })).toEqual({
+      rows: [], page: 1, pageCount: 1, start: 0, end: 0,
+    });
+  });
+});
+
+describe('readTableState / writeTableState', () => {
+  const defaults = { page: 1, pageSize: 25, sort: { by: 'name', direction: 'asc' }, search: '' };
+  const unsortedDefaults = { ...defaults, sort: null };
+
+  it('reads the defaults from an empty query string', () => {
+    expect(readTableState(new URLSearchParams(), undefined, defaults)).toEqual({ ...defaults, filters: {} });
+  });
+
+  it('round-trips a state through the query string', () => {
+    const state = {
+      page: 3,
+      pageSize: 50,
+      sort: { by: 'day', direction: 'desc' },
+      search: 'morning',
+      filters: { day: 'Monday', format: 'online' },
+    };
+    const params = writeTableState(new URLSearchParams(), undefined, state, defaults);
+
+    expect(params.toString()).toBe('page=3&size=50&q=morning&sort=day&order=desc&f_day=Monday&f_format=online');
+    expect(readTableState(params, undefined, defaults)).toEqual(state);
+  });
+
+  it('leaves defaults out of the query string', () => {
+    const params = writeTableState(
+      new URLSearchParams('page=2&size=10&sort=day&order=desc'),
+      undefined,
+      { ...defaults, filters: { day: '' } },
+      defaults
+    );
+    expect(params.toString()).toBe('');
+  });
+
+  it('writes an empty sort parameter for "unsorted" when the default sorts', () => {
+    const state = { ...defaults, sort: null, filters: {} };
+    const params = writeTableState(new URLSearchParams(), undefined, state, defaults);
+
+    expect(params.toString()).toBe('sort=');
+    expect(readTableState(params, undefined, defaults).sort).toEqual({ by: null, direction: 'asc' });
+  });
+
+  it('leaves the sort out when unsorted is the default', () => {
+    const state = { ...unsortedDefaults, sort: { by: null, direction: 'asc' }, filters: {} };
+    expect(writeTableState(new URLSearchParams(), undefined, state, unsortedDefaults).toString()).toBe('');
+
+    const sorted = writeTableState(new URLSearchParams(), undefined, {
+      ...state, sort: { by: 'name', direction: 'asc' },
+    }, unsortedDefaults);
+    expect(sorted.toString()).toBe('sort=name');
+    expect(readTableState(sorted, undefined, unsortedDefaults).sort).toEqual({ by: 'name', direction: 'asc' });
+  });
+
+  it('prefixes parameters with the table id and keeps other parameters', () => {
+    const state = { page: 2, pageSize: 25, sort: null, search: 'a', filters: { day: 'Mon' } };
+    const params = writeTableState(new URLSearchParams('x=1&other_page=4'), 'm', state, unsortedDefaults);
+
+    expect(params.toString()).toBe('x=1&other_page=4&m_page=2&m_q=a&m_f_day=Mon');
+    expect(readTableState(params, 'm', unsortedDefaults)).toEqual(state);
+    expect(readTableState(params, 'other', unsortedDefaults).page).toBe(4);
+    expect(getTableParamNames('m')).toEqual({
+      page: 'm_page',
+      pageSize: 'm_size',
+      sort: 'm_sort',
+      direction: 'm_order',
+      search: 'm_q',
+      filterPrefix: 'm_f_',
+    });
+  });
+
+  it('replaces the previous filters', () => {
+    const params = writeTableState(
+      new URLSearchParams('f_day=Monday&f_format=online'),
+      undefined,
+      { ...defaults, filters: { format: 'offline' } },
+      defaults
+    );
+    expect(params.toString()).toBe('f_format=offline');
+  });
+
+  it('falls back to the defaults for invalid values', () => {
+    const params = new URLSearchParams('page=-1&size=abc&sort=day&order=sideways');
+    expect(readTableState(params, undefined, defaults)).toMatchObject({
+      page: 1,
+      pageSize: 25,
+      sort: { by: 'day', direction: 'asc' },
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Theme Registry
+ *
+ * Theme definitions used by ThemeProvider. Built-in themes (light, dark,
+ * high-contrast) get their tokens from tokens.css; brand themes are a base
+ * theme plus token overrides, turned into a stylesheet scoped to their
+ * `data-theme` value.
+ *
+ * Theme definition:
+ *   {
+ *     id: 'brand-ocean',             // data-theme value (lowercase, dashes)
+ *     label: 'Ocean',                // Shown in theme pickers
+ *     base: 'light' | 'dark',        // Tokens it starts from (default: 'light')
+ *     metaColor: '#f0f9ff',          // <meta name="theme-color"> (default: the base theme's)
+ *     tokens: {                      // CSS custom property overrides
+ *       '--accent-primary': '#0077b6',
+ *       '--bg-primary': '#f0f9ff',
+ *     },
+ *   }
+ *
+ * Usage:
+ *   const registry = createThemeRegistry([oceanTheme]);
+ *   registry.get('brand-ocean');     // Normalized definition
+ *   themesToCss(registry.custom);    // '[data-theme="brand-ocean"] { ... }'
+ */
+
+// 'system' follows the OS light/dark preference - opt-in, see ThemeProvider
+export const SYSTEM_THEME = 'system';
+
+export const BUILT_IN_THEMES = [
+  { id: 'light', label: 'Light', base: 'light', metaColor: '#f8fafc', tokens: {} },
+  { id: 'dark', label: 'Dark', base: 'dark', metaColor: '#1a1a1a', tokens: {} },
+  { id: 'high-contrast', label: 'High Contrast', base: 'light', metaColor: '#ffffff', tokens: {} },
+];
+
+const BASES = ['light', 'dark'];
+const THEME_ID_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+const normalizeTokenName = (name) => (name.startsWith('--') ? name : `--${name}`);
+
+/**
+ * Validate and fill in defaults for a theme definition
+ * Throws for definitions that can't work, so mistakes show up immediately.
+ */
+export const defineTheme = (theme) => {
+  const { id, label, base = 'light', metaColor, tokens = {} } = theme || {};
+
+  if (!id || !THEME_ID_PATTERN.test(id) || id === SYSTEM_THEME) {
+    throw new Error(`Invalid theme id "${id}": use lowercase letters, numbers and dashes (not "${SYSTEM_THEME}")`);
+  }
+  if (!BASES.includes(base)) {
+    throw new Error(`Theme "${id}" has base "${base}": expected one of ${BASES.join(', ')}`);
+  }
+  if (!tokens || typeof tokens !== 'object') {
+    throw new Error(`Theme "${id}" tokens must be an object of CSS custom properties`);
+  }
+
+  const baseTheme = BUILT_IN_THEMES.find((builtIn) => builtIn.id === base);
+  return {
+    id,
+    label: label || id,
+    base,
+    metaColor: metaColor || baseTheme.metaColor,
+    tokens: Object.fromEntries(
+      Object.entries(tokens).map(([name, value]) => [normalizeTokenName(name), String(value)])
+    ),
+  };
+};
+
+/**
+ * Create a registry of the built-in themes plus custom ones
+ * Custom themes may not reuse a built-in id.
+ *
+ * @param {Array} customThemes - Theme definitions
+ * @returns {Object} { themes, custom, ids, get(id), has(id) }
+ */
+export const createThemeRegistry = (customThemes = []) => {
+  const custom = customThemes.map(defineTheme);
+  const themes = [...BUILT_IN_THEMES, ...custom];
+
+  const byId = new Map();
+  themes.forEach((theme) => {
+    if (byId.has(theme.id)) {
+      throw new Error(`Theme "${theme.id}" is registered twice`);
+    }
+    byId.set(theme.id, theme);
+  });
+
+  return {
+    themes,
+    custom,
+    ids: themes.map((theme) => theme.id),
+    get: (id) => byId.get(id) || null,
+    has: (id) => byId.has(id),
+  };
+};
+
+/**
+ * Stylesheet applying custom themes' token overrides on their data-theme
+ */
+export const themesToCss = (themes) => themes
+  .filter((theme) => Object.keys(theme.tokens).length > 0)
+  .map((theme) => {
+    const declarations = Object.entries(theme.tokens)
+      .map(([name, value]) => `  ${name}: ${value};`)
+      .join('\n');
+    // :root wins over tokens.css; the bare selector lets previews theme a subtree
+    return `:root[data-theme="${theme.id}"],\n[data-theme="${theme.id}"] {\n${declarations}\n}`;
+  })
+  .join('\n\n');
+
+export default createThemeRegistry;
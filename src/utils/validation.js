@@ -0,0 +1,115 @@
+/**
+ * Form Validation
+ *
+ * Validation rules for useForm. A rule is a function of (value, values)
+ * returning an error message, or nothing when the value is fine. Rules may
+ * be async (e.g. "is this username taken?") - return a Promise of the message.
+ *
+ * Usage:
+ *   import { rules } from './utils/validation';
+ *
+ *   const validate = {
+ *     email: [rules.required(), rules.email()],
+ *     password: [rules.required(), rules.minLength(8)],
+ *     confirm: [rules.matches('password', 'Passwords do not match')],
+ *     username: [rules.required(), async (value) => (await isTaken(value) ? 'Already taken' : undefined)],
+ *   };
+ *
+ *   await runRules(validate.email, 'a@b', values); // 'Enter a valid email address'
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Empty values are left to `required` - other rules only check what's there
+export const isEmpty = (value) => (
+  value === undefined ||
+  value === null ||
+  value === false ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0)
+);
+
+export const rules = {
+  required: (message = 'This field is required') => (value) => (
+    isEmpty(value) ? message : undefined
+  ),
+
+  minLength: (length, message = `Must be at least ${length} characters`) => (value) => (
+    !isEmpty(value) && String(value).length < length ? message : undefined
+  ),
+
+  maxLength: (length, message = `Must be at most ${length} characters`) => (value) => (
+    !isEmpty(value) && String(value).length > length ? message : undefined
+  ),
+
+  min: (minimum, message = `Must be at least ${minimum}`) => (value) => (
+    !isEmpty(value) && Number(value) < minimum ? message : undefined
+  ),
+
+  max: (maximum, message = `Must be at most ${maximum}`) => (value) => (
+    !isEmpty(value) && Number(value) > maximum ? message : undefined
+  ),
+
+  pattern: (regex, message = 'Invalid format') => (value) => (
+    !isEmpty(value) && !regex.test(String(value)) ? message : undefined
+  ),
+
+  email: (message = 'Enter a valid email address') => (value) => (
+    !isEmpty(value) && !EMAIL_PATTERN.test(String(value).trim()) ? message : undefined
+  ),
+
+  // Must equal another field, e.g. password confirmation
+  matches: (field, message = 'Values do not match') => (value, values) => (
+    value !== values?.[field] ? message : undefined
+  ),
+};
+
+/**
+ * Run a field's rules in order and return the first error message
+ * Async rules are awaited; a rule that throws counts as failing with its message.
+ *
+ * @param {Function|Function[]} fieldRules - Rule or rules for the field
+ * @param {*} value - The field's value
+ * @param {Object} values - All form values, for rules comparing fields
+ * @returns {Promise<string|undefined>}
+ */
+export const runRules = async (fieldRules, value, values) => {
+  const list = Array.isArray(fieldRules) ? fieldRules : [fieldRules].filter(Boolean);
+
+  for (const rule of list) {
+    let message;
+    try {
+      message = await rule(value, values);
+    } catch (error) {
+      message = error?.message || 'Invalid value';
+    }
+    if (message) return message;
+  }
+  return undefined;
+};
+
+/**
+ * Field errors from a failed API response
+ * Reads ApiError `details` shaped as { field: message }, { field: [messages] }
+ * or [{ field, message }] (also `path` / `name` instead of `field`).
+ * Only keys in `fields` count - other details (e.g. { reason: 'Quota exceeded' })
+ * aren't field errors.
+ *
+ * @param {Error} error - Error thrown by the API client
+ * @param {string[]} fields - The form's field names
+ * @returns {Object} { field: message } - empty when the response has none
+ */
+export const getServerFieldErrors = (error, fields = []) => {
+  const details = error?.details;
+  if (!details || typeof details !== 'object') return {};
+
+  const entries = Array.isArray(details)
+    ? details.map((detail) => [detail?.field || detail?.path || detail?.name, detail?.message])
+    : Object.entries(details);
+
+  return Object.fromEntries(entries
+    .map(([field, message]) => [field, Array.isArray(message) ? message[0] : message])
+    .filter(([field, message]) => fields.includes(field) && typeof message === 'string' && message));
+};
+
+export default rules;
@@ -0,0 +1,102 @@
+import { rules, runRules, getServerFieldErrors } from './validation';
+import { ApiError } from '../api/errors';
+
+const apiError = (body) => new ApiError({ status: 422, statusText: 'Unprocessable Entity', body });
+
+describe('runRules', () => {
+  it('returns the first failing rule message, in order', async () => {
+    const message = await runRules([rules.required(), rules.minLength(8), rules.email()], 'a@b', {});
+    expect(message).toBe('Must be at least 8 characters');
+  });
+
+  it('returns undefined when every rule passes', async () => {
+    await expect(runRules([rules.required(), rules.email()], 'a@b.co', {})).resolves.toBeUndefined();
+  });
+
+  it('accepts a single rule', async () => {
+    await expect(runRules(rules.required('Required'), '  ', {})).resolves.toBe('Required');
+  });
+
+  it('awaits async rules', async () => {
+    const isTaken = jest.fn(async (value) => (value === 'taken' ? 'Already taken' : undefined));
+
+    await expect(runRules([rules.required(), isTaken], 'taken', {})).resolves.toBe('Already taken');
+    await expect(runRules([rules.required(), isTaken], 'free', {})).resolves.toBeUndefined();
+  });
+
+  it('stops at the first failure without running later rules', async () => {
+    const later = jest.fn();
+    await runRules([rules.required(), later], '', {});
+    expect(later).not.toHaveBeenCalled();
+  });
+
+  it('treats a rule that throws or rejects as failing with its message', async () => {
+    const throws = () => {
+      throw new Error('Could not check');
+    };
+    const rejects = async () => {
+      throw new Error('Service unavailable');
+    };
+
+    await expect(runRules([throws], 'x', {})).resolves.toBe('Could not check');
+    await expect(runRules([rejects], 'x', {})).resolves.toBe('Service unavailable');
+    await expect(runRules([() => Promise.reject(null)], 'x', {})).resolves.toBe('Invalid value');
+  });
+
+  it('passes all values to rules comparing fields', async () => {
+    const confirm = rules.matches('password', 'Passwords do not match');
+    await expect(runRules(confirm, 'secret', { password: 'secret' })).resolves.toBeUndefined();
+    await expect(runRules(confirm, 'other', { password: 'secret' })).resolves.toBe('Passwords do not match');
+  });
+});
+
+describe('getServerFieldErrors', () => {
+  const fields = ['email', 'password'];
+
+  it('reads a { field: message } map', () => {
+    const error = apiError({ message: 'Invalid', details: { email: 'Already registered' } });
+    expect(getServerFieldErrors(error, fields)).toEqual({ email: 'Already registered' });
+  });
+
+  it('takes the first of several messages', () => {
+    const error = apiError({ errors: { password: ['Too short', 'Too common'] } });
+    expect(getServerFieldErrors(error, fields)).toEqual({ password: 'Too short' });
+  });
+
+  it('reads [{ field, message }] lists, with path or name instead of field', () => {
+    const error = apiError({
+      error: {
+        message: 'Invalid',
+        details: [
+          { field: 'email', message: 'Already registered' },
+          { path: 'password', message: 'Too short' },
+        ],
+      },
+    });
+    expect(getServerFieldErrors(error, fields)).toEqual({
+      email: 'Already registered',
+      password: 'Too short',
+    });
+
+    const named = apiError({ details: [{ name: 'email', message: 'Invalid' }] });
+    expect(getServerFieldErrors(named, fields)).toEqual({ email: 'Invalid' });
+  });
+
+  it('ignores details that are not form fields', () => {
+    const error = apiError({ details: { reason: 'Quota exceeded', email: 'Already registered' } });
+    expect(getServerFieldErrors(error, fields)).toEqual({ email: 'Already registered' });
+    expect(getServerFieldErrors(error)).toEqual({});
+  });
+
+  it('ignores entries without a usable message', () => {
+    const error = apiError({ details: [{ field: 'email' }, { field: 'password', message: '' }, { message: 'No field' }] });
+    expect(getServerFieldErrors(error, fields)).toEqual({});
+    expect(getServerFieldErrors(apiError({ details: { email: 42 } }), fields)).toEqual({});
+  });
+
+  it('returns an empty object for errors without details', () => {
+    expect(getServerFieldErrors(new Error('Network down'), fields)).toEqual({});
+    expect(getServerFieldErrors(apiError({ details: 'Bad input' }), fields)).toEqual({});
+    expect(getServerFieldErrors(undefined, fields)).toEqual({});
+  });
+});